@@ -0,0 +1,12 @@
+// Copies the Tesseract.js English language data into public/tessdata, so browser OCR loads it
+// from our own build: Tesseract.js only takes language data from a folder URL, which an
+// imported asset with a hashed file name can't provide. Runs before `start` and `build`.
+
+const fs = require('fs');
+const path = require('path');
+
+const source = require.resolve('@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz');
+const targetDir = path.join(__dirname, '..', 'public', 'tessdata');
+
+fs.mkdirSync(targetDir, { recursive: true });
+fs.copyFileSync(source, path.join(targetDir, 'eng.traineddata.gz'));
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { ACCOUNTING_PROFILES, ACCOUNTING_FORMATS, profileMapping, mapCategory } from './accountingExports';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Mapping of categories to accounts and tax codes for each accounting export profile
+function AccountingSettings({ mappings, onChange, categories }) {
+    const [profile, setProfile] = useState(ACCOUNTING_PROFILES[0][0]);
+    const mapping = profileMapping(mappings, profile);
+    const hint = ACCOUNTING_PROFILES.find(([id]) => id === profile)[2];
+    const formats = ACCOUNTING_FORMATS.filter(format => format.profile === profile).map(format => format.label).join(' and ');
+
+    const updateMapping = (changes) => {
+        onChange({ ...mappings, [profile]: { ...mapping, ...changes } });
+    };
+
+    const handleFieldBlur = (field, value) => {
+        if (value.trim() !== mapping[field]) updateMapping({ [field]: value.trim() });
+    };
+
+    const handleCategoryBlur = (name, field, value) => {
+        const current = mapping.categories[name] || { account: '', taxCode: '' };
+        if (value.trim() === (current[field] || '')) return;
+        updateMapping({ categories: { ...mapping.categories, [name]: { ...current, [field]: value.trim() } } });
+    };
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">Accounting export mapping</summary>
+            <div className="mt-4 space-y-4 text-sm text-gray-700">
+                <div className="flex flex-wrap gap-2">
+                    {ACCOUNTING_PROFILES.map(([id, label]) => (
+                        <button
+                            key={id}
+                            onClick={() => setProfile(id)}
+                            className={`py-1 px-3 rounded-md ${profile === id ? 'bg-blue-500 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-500">
+                    {hint}. Used for the {formats} export. Categories without an account use their GL account code, or else their name.
+                </p>
+                <div className="flex flex-wrap items-center gap-4">
+                    <label className="flex items-center gap-2">
+                        Paid from account
+                        <input
+                            key={`${profile}-paymentAccount-${mapping.paymentAccount}`}
+                            type="text"
+                            defaultValue={mapping.paymentAccount}
+                            onBlur={(e) => handleFieldBlur('paymentAccount', e.target.value)}
+                            placeholder="Company Credit Card"
+                            className={`${inputClassName} w-48`}
+                        />
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Default tax code
+                        <input
+                            key={`${profile}-defaultTaxCode-${mapping.defaultTaxCode}`}
+                            type="text"
+                            defaultValue={mapping.defaultTaxCode}
+                            onBlur={(e) => handleFieldBlur('defaultTaxCode', e.target.value)}
+                            placeholder="e.g. Tax Exempt"
+                            className={`${inputClassName} w-36`}
+                        />
+                    </label>
+                </div>
+                <table className="bg-white border border-gray-200">
+                    <thead>
+                        <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                            <th className="py-1 px-2 border-b">Category</th>
+                            <th className="py-1 px-2 border-b">Account</th>
+                            <th className="py-1 px-2 border-b">Tax code</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {categories.map(category => {
+                            const mapped = mapping.categories[category.name] || {};
+                            const fallback = mapCategory({ ...mapping, categories: {} }, category.name, categories);
+                            return (
+                                <tr key={category.name} className="border-b border-gray-200">
+                                    <td className="py-1 px-2">{category.name}</td>
+                                    <td className="py-1 px-2">
+                                        <input
+                                            key={`${profile}-${category.name}-account-${mapped.account}`}
+                                            type="text"
+                                            defaultValue={mapped.account || ''}
+                                            onBlur={(e) => handleCategoryBlur(category.name, 'account', e.target.value)}
+                                            placeholder={fallback.account}
+                                            className={`${inputClassName} w-40 font-mono`}
+                                        />
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        <input
+                                            key={`${profile}-${category.name}-taxCode-${mapped.taxCode}`}
+                                            type="text"
+                                            defaultValue={mapped.taxCode || ''}
+                                            onBlur={(e) => handleCategoryBlur(category.name, 'taxCode', e.target.value)}
+                                            placeholder={fallback.taxCode}
+                                            className={`${inputClassName} w-36 font-mono`}
+                                        />
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </details>
+    );
+}
+
+export default AccountingSettings;
@@ -0,0 +1,175 @@
+import React from 'react';
+import { SPLIT_MODES, createSplit, splitEqually, hasAllocations, computeAllocations, checkAllocations } from './allocations';
+import { formatMoney, normalizeCurrencyCode } from './currency';
+
+const inputClassName = "w-full p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Split of a receipt across people or cost centers, shown in the expanded row.
+// Edits are committed through onChange(allocations); null removes the split.
+function AllocationEditor({ receipt, reportingCurrency, onChange }) {
+    const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+
+    if (!hasAllocations(receipt)) {
+        return (
+            <div className="p-3 bg-gray-50 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+                <span>Shared expense?</span>
+                {[2, 3, 4].map(count => (
+                    <button
+                        key={count}
+                        onClick={() => onChange(splitEqually(null, count))}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                    >
+                        Split {count} ways
+                    </button>
+                ))}
+            </div>
+        );
+    }
+
+    const { mode, splits } = receipt.allocations;
+    const amounts = computeAllocations(receipt, reportingCurrency);
+    const check = checkAllocations(receipt, reportingCurrency);
+
+    const updateSplit = (splitIndex, changes) => {
+        onChange({ mode, splits: splits.map((split, index) => (index === splitIndex ? { ...split, ...changes } : split)) });
+    };
+
+    // Percentages of the current amounts, rounded to 2 decimals. When the split covers the cost the
+    // rounding difference goes to the first split, so they add up to exactly 100.
+    const toPercentages = () => {
+        const cost = Number(receipt.cost) || 0;
+        const percentages = amounts.map(({ amount }) => (cost > 0 ? Math.round((amount / cost) * 10000) / 100 : 0));
+        if (cost > 0 && check.matches) {
+            const others = percentages.slice(1).reduce((sum, percentage) => sum + percentage, 0);
+            percentages[0] = Math.round((100 - others) * 100) / 100;
+        }
+        return percentages;
+    };
+
+    // Switching mode starts from the current amounts, so the split doesn't jump
+    const handleModeChange = (newMode) => {
+        const percentages = newMode === 'percent' ? toPercentages() : [];
+        onChange({
+            mode: newMode,
+            splits: splits.map((split, index) => ({
+                ...split,
+                share: newMode === 'amount' ? amounts[index].amount
+                    : newMode === 'percent' ? percentages[index]
+                        : split.share
+            }))
+        });
+    };
+
+    const handleTextBlur = (splitIndex, field, value) => {
+        if (value !== splits[splitIndex][field]) updateSplit(splitIndex, { [field]: value });
+    };
+
+    const handleShareBlur = (splitIndex, value) => {
+        const share = parseFloat(value) || 0;
+        if (share !== splits[splitIndex].share) updateSplit(splitIndex, { share });
+    };
+
+    const handleRemoveSplit = (splitIndex) => {
+        const remaining = splits.filter((_, index) => index !== splitIndex);
+        onChange(remaining.length > 0 ? { mode, splits: remaining } : null);
+    };
+
+    return (
+        <div className="p-3 bg-gray-50 border-t border-gray-200">
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-sm text-gray-700">
+                <span className="font-semibold">Split</span>
+                <select value={mode} onChange={(e) => handleModeChange(e.target.value)} className="p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400">
+                    {SPLIT_MODES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                {check && !check.matches && (
+                    <span className="text-yellow-700 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">⚠ {check.message}</span>
+                )}
+            </div>
+            <table className="min-w-full bg-white border border-gray-200 text-sm">
+                <thead>
+                    <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                        <th className="py-2 px-2 border-b">Person / cost center</th>
+                        <th className="py-2 px-2 border-b">Attendees</th>
+                        <th className="py-2 px-2 border-b w-16">Client</th>
+                        {mode !== 'equal' && <th className="py-2 px-2 border-b w-28">{mode === 'percent' ? 'Percent' : `Amount (${currency})`}</th>}
+                        <th className="py-2 px-2 border-b w-28">Share</th>
+                        <th className="py-2 px-2 border-b w-16"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {splits.map((split, splitIndex) => (
+                        <tr key={split.id} className="border-b border-gray-200">
+                            <td className="py-1 px-2">
+                                <input
+                                    key={`name-${split.name}`}
+                                    type="text"
+                                    defaultValue={split.name}
+                                    onBlur={(e) => handleTextBlur(splitIndex, 'name', e.target.value.trim())}
+                                    placeholder="Name or cost center"
+                                    className={inputClassName}
+                                />
+                            </td>
+                            <td className="py-1 px-2">
+                                <input
+                                    key={`attendees-${split.attendees}`}
+                                    type="text"
+                                    defaultValue={split.attendees}
+                                    onBlur={(e) => handleTextBlur(splitIndex, 'attendees', e.target.value.trim())}
+                                    placeholder="e.g. Jane Tan, Acme Corp"
+                                    className={inputClassName}
+                                />
+                            </td>
+                            <td className="py-1 px-2 text-center">
+                                <input
+                                    type="checkbox"
+                                    checked={Boolean(split.client)}
+                                    onChange={(e) => updateSplit(splitIndex, { client: e.target.checked })}
+                                    title="Client (external) attendees rather than internal staff"
+                                />
+                            </td>
+                            {mode !== 'equal' && (
+                                <td className="py-1 px-2">
+                                    <input
+                                        key={`share-${split.share}`}
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        defaultValue={split.share}
+                                        onBlur={(e) => handleShareBlur(splitIndex, e.target.value)}
+                                        className={inputClassName}
+                                    />
+                                </td>
+                            )}
+                            <td className="py-1 px-2 text-gray-800">{formatMoney(amounts[splitIndex].amount, currency)}</td>
+                            <td className="py-1 px-2 text-center">
+                                <button
+                                    onClick={() => handleRemoveSplit(splitIndex)}
+                                    className="text-red-500 hover:text-red-700 font-bold"
+                                    title="Remove this share"
+                                >
+                                    ✕
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="flex flex-wrap gap-2 mt-2">
+                <button
+                    onClick={() => onChange({ mode, splits: [...splits, createSplit(`Person ${splits.length + 1}`)] })}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                >
+                    Add split
+                </button>
+                <button
+                    onClick={() => onChange(null)}
+                    className="bg-gray-200 hover:bg-red-100 text-red-600 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                >
+                    Stop splitting
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default AllocationEditor;
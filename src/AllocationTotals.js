@@ -0,0 +1,53 @@
+import React from 'react';
+import { formatMoney } from './currency';
+
+// Totals per person or cost center over all receipts, split into client and internal shares
+function AllocationTotals({ totals, currency }) {
+    const { groups, unconvertedCount } = totals;
+    const sum = (key) => groups.reduce((total, group) => total + group[key], 0);
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">Totals per person / cost center</summary>
+            <div className="mt-4 overflow-x-auto">
+                <table className="min-w-full bg-white border border-gray-200 text-sm">
+                    <thead>
+                        <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                            <th className="py-2 px-2 border-b">Person / cost center</th>
+                            <th className="py-2 px-2 border-b">Receipts</th>
+                            <th className="py-2 px-2 border-b">Internal</th>
+                            <th className="py-2 px-2 border-b">Client</th>
+                            <th className="py-2 px-2 border-b">Total ({currency})</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {groups.map(group => (
+                            <tr key={group.name} className="border-b border-gray-200">
+                                <td className="py-1 px-2">{group.name}</td>
+                                <td className="py-1 px-2">{group.receiptCount}</td>
+                                <td className="py-1 px-2">{formatMoney(group.internalTotal, currency)}</td>
+                                <td className="py-1 px-2">{formatMoney(group.clientTotal, currency)}</td>
+                                <td className="py-1 px-2 font-semibold">{formatMoney(group.total, currency)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr className="bg-gray-50 font-semibold">
+                            <td className="py-1 px-2" colSpan={2}>Total</td>
+                            <td className="py-1 px-2">{formatMoney(sum('internalTotal'), currency)}</td>
+                            <td className="py-1 px-2">{formatMoney(sum('clientTotal'), currency)}</td>
+                            <td className="py-1 px-2">{formatMoney(sum('total'), currency)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                {unconvertedCount > 0 && (
+                    <p className="text-xs text-yellow-700 mt-2">
+                        {unconvertedCount} share{unconvertedCount === 1 ? '' : 's'} without an exchange rate to {currency} are not included.
+                    </p>
+                )}
+            </div>
+        </details>
+    );
+}
+
+export default AllocationTotals;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { formatMoney } from './currency';
+
+const BAR_COLORS = ['bg-blue-500', 'bg-green-500', 'bg-yellow-500', 'bg-purple-500', 'bg-pink-500', 'bg-indigo-500', 'bg-red-500', 'bg-teal-500'];
+
+const StatCard = ({ label, value }) => (
+    <div className="flex-1 min-w-[8rem] p-3 bg-blue-50 rounded-lg text-center">
+        <div className="text-xs font-semibold text-blue-700 uppercase tracking-wider">{label}</div>
+        <div className="text-xl font-bold text-gray-800 mt-1">{value}</div>
+    </div>
+);
+
+// Horizontal bar chart; clicking a bar selects that segment
+const BarChart = ({ title, field, groups, currency, activeFilter, onSelect }) => {
+    const max = Math.max(...groups.map(group => group.total), 0);
+    return (
+        <div className="p-3 border border-gray-200 rounded-lg">
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">{title}</h4>
+            {groups.length === 0 && <p className="text-xs text-gray-500">No data</p>}
+            <ul className="space-y-1">
+                {groups.map((group, index) => {
+                    const active = activeFilter && activeFilter.field === field && activeFilter.value === group.key;
+                    return (
+                        <li key={group.key}>
+                            <button
+                                onClick={() => onSelect(active ? null : { field, value: group.key })}
+                                className={`w-full text-left text-xs rounded p-1 hover:bg-gray-100 ${active ? 'ring-2 ring-blue-400' : ''}`}
+                                title={`${group.count} receipt${group.count === 1 ? '' : 's'} - click to filter the table`}
+                            >
+                                <div className="flex justify-between text-gray-700">
+                                    <span className="truncate mr-2">{group.key}</span>
+                                    <span>{formatMoney(group.total, currency)}</span>
+                                </div>
+                                <div className="h-2 bg-gray-100 rounded">
+                                    <div
+                                        className={`h-2 rounded ${BAR_COLORS[index % BAR_COLORS.length]}`}
+                                        style={{ width: `${max > 0 ? (group.total / max) * 100 : 0}%` }}
+                                    ></div>
+                                </div>
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+// Monthly spending as an SVG column chart; clicking a column selects that month
+const MonthlyTrendChart = ({ months, currency, activeFilter, onSelect }) => {
+    const width = 600;
+    const height = 160;
+    const labelHeight = 20;
+    const max = Math.max(...months.map(month => month.total), 0);
+    const columnWidth = months.length > 0 ? width / months.length : width;
+
+    return (
+        <div className="p-3 border border-gray-200 rounded-lg">
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Monthly trend</h4>
+            {months.length === 0 ? (
+                <p className="text-xs text-gray-500">No data</p>
+            ) : (
+                <svg viewBox={`0 0 ${width} ${height + labelHeight}`} className="w-full h-auto">
+                    {months.map((month, index) => {
+                        const barHeight = max > 0 ? (month.total / max) * (height - 16) : 0;
+                        const active = activeFilter && activeFilter.field === 'month' && activeFilter.value === month.key;
+                        return (
+                            <g
+                                key={month.key}
+                                onClick={() => onSelect(active ? null : { field: 'month', value: month.key })}
+                                className="cursor-pointer"
+                            >
+                                <title>{`${month.key}: ${formatMoney(month.total, currency)} (${month.count} receipts)`}</title>
+                                <rect
+                                    x={index * columnWidth + columnWidth * 0.15}
+                                    y={height - barHeight}
+                                    width={columnWidth * 0.7}
+                                    height={barHeight}
+                                    className={active ? 'fill-blue-700' : 'fill-blue-400 hover:fill-blue-500'}
+                                    rx={3}
+                                />
+                                <text
+                                    x={index * columnWidth + columnWidth / 2}
+                                    y={height + 14}
+                                    textAnchor="middle"
+                                    className="fill-gray-600"
+                                    style={{ fontSize: '11px' }}
+                                >
+                                    {month.key}
+                                </text>
+                            </g>
+                        );
+                    })}
+                </svg>
+            )}
+        </div>
+    );
+};
+
+// Spending analytics built from the receipts; updates live as receipts are edited
+function AnalyticsPanel({ analytics, currency, activeFilter, onFilterChange }) {
+    return (
+        <div className="mt-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4 text-center">Spending Analytics</h2>
+            <div className="flex flex-wrap gap-3 mb-4">
+                <StatCard label="Grand total" value={formatMoney(analytics.grandTotal, currency)} />
+                <StatCard label="Receipts" value={analytics.count} />
+                <StatCard label="Average per receipt" value={formatMoney(analytics.average, currency)} />
+            </div>
+            {analytics.unconvertedCount > 0 && (
+                <p className="text-xs text-yellow-700 mb-3 text-center">
+                    {analytics.unconvertedCount} receipt{analytics.unconvertedCount === 1 ? '' : 's'} without an exchange rate to {currency} not included in the totals.
+                </p>
+            )}
+            <div className="mb-3">
+                <MonthlyTrendChart months={analytics.byMonth} currency={currency} activeFilter={activeFilter} onSelect={onFilterChange} />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <BarChart title="By category" field="category" groups={analytics.byCategory} currency={currency} activeFilter={activeFilter} onSelect={onFilterChange} />
+                <BarChart title="By meal type" field="mealType" groups={analytics.byMealType} currency={currency} activeFilter={activeFilter} onSelect={onFilterChange} />
+                <BarChart title="Top merchants" field="companyName" groups={analytics.topMerchants} currency={currency} activeFilter={activeFilter} onSelect={onFilterChange} />
+            </div>
+        </div>
+    );
+}
+
+export default AnalyticsPanel;
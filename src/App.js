@@ -1,281 +1,768 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+    listSessions,
+    loadSession,
+    createSession,
+    createSessionIfNone,
+    saveSessionReceipts,
+    renameSession,
+    deleteSession,
+    getActiveSessionId,
+    setActiveSessionId as storeActiveSessionId
+} from './sessionStore';
+import { buildSummaryRows, toCsv, toJson, toXlsxBlob } from './exporters';
+import { ACCOUNTING_FORMATS, DEFAULT_ACCOUNTING_MAPPINGS, buildAccountingExport, describeSkipped } from './accountingExports';
+import { parsePageRange, renderPdfPages, mergePageResults, getReceiptPages } from './pdfPages';
+import { checkLineItems } from './lineItems';
+import LineItemsEditor from './LineItemsEditor';
+import AllocationEditor from './AllocationEditor';
+import AllocationTotals from './AllocationTotals';
+import { allocationTotals, hasAllocations, checkAllocations } from './allocations';
+import { useSetting } from './settingsStore';
+import { DEFAULT_CURRENCY, normalizeCurrencyCode, formatMoney, convertAmount, summarizeAmounts } from './currency';
+import CurrencySettings from './CurrencySettings';
+import { extractReceipt, getProvider, DEFAULT_PROVIDER, DEFAULT_ENDPOINT } from './extraction';
+import ExtractionSettings from './ExtractionSettings';
+import {
+    QUEUE_STATUS,
+    ACTIVE_STATUSES,
+    createQueueItem,
+    isAbortError,
+    throwIfAborted,
+    withRetry
+} from './processingQueue';
+import UploadQueue from './UploadQueue';
+import { generateId } from './ids';
+import { addDuplicateHashes, findDuplicate, mergeDuplicate } from './duplicates';
+import DuplicatePrompt from './DuplicatePrompt';
+import { computeAnalytics, matchesChartFilter } from './analytics';
+import AnalyticsPanel from './AnalyticsPanel';
+import CategorySettings from './CategorySettings';
+import PolicySettings from './PolicySettings';
+import AccountingSettings from './AccountingSettings';
+import ReconciliationPanel from './ReconciliationPanel';
+import PolicyViolations from './PolicyViolations';
+import { DEFAULT_POLICY, evaluatePolicy } from './policy';
+import ReviewPanel from './ReviewPanel';
+import { extractFieldBoxes } from './fieldBoxes';
+import { extractFieldConfidence, findReviewIssues, needsReview } from './reviewFlags';
+import PreprocessingSettings from './PreprocessingSettings';
+import FilenameTemplateEditor from './FilenameTemplateEditor';
+import { DEFAULT_FILENAME_TEMPLATE, validateTemplate, buildZipPaths } from './filenameTemplate';
+import { buildExpenseReport, receiptPeriod } from './pdfReport';
+import CameraCapture from './CameraCapture';
+import { expandInputFiles, filesFromDataTransfer, filesFromClipboard } from './fileInputs';
+import { loadPdfJs, loadJsZip, saveFile } from './libraries';
+import { SYNC_STATUS, isOffline, isConnectionError, pendingReceiptFields, applySyncedFields, resumeSync } from './offlineSync';
+import { DEFAULT_PREPROCESSING, isHeicFile, preprocessImage, formatBytes } from './imagePreprocessing';
+import { DEFAULT_CATEGORIES, categoryNames, matchCategory, applyCategoryRules, learnRule } from './categories';
+import CellEditor from './CellEditor';
+import { EMPTY_HISTORY, recordChange, revertEntry, applyEntry, describeEntry } from './editHistory';
+import { EMPTY_FILTERS, matchesFilters, sortRows, nextSort, distinctValues, hasActiveFilters } from './receiptFilters';
+import TableFilters from './TableFilters';
+
+const DEFAULT_SESSION_NAME = 'Default session';
+
+// Badge of a receipt captured offline, by sync status: [label, classes]
+const SYNC_BADGES = {
+    [SYNC_STATUS.PENDING]: ['Pending extraction', 'bg-gray-100 text-gray-700'],
+    [SYNC_STATUS.SYNCING]: ['Syncing...', 'bg-blue-100 text-blue-700'],
+    [SYNC_STATUS.SYNCED]: ['Synced', 'bg-green-100 text-green-700'],
+    [SYNC_STATUS.FAILED]: ['Sync failed ↻', 'bg-red-100 text-red-700']
+};
+
+// Summary table columns that can be sorted: [receipt field, header label]
+const SORTABLE_COLUMNS = [
+    ['date', 'Date'],
+    ['companyName', 'Company'],
+    ['category', 'Category'],
+    ['mealType', 'Meal Type'],
+    ['currency', 'Currency'],
+    ['cost', 'Cost']
+];
 
 function App() {
     const [receipts, setReceipts] = useState([]);
-    const [loading, setLoading] = useState(false); // For file processing
-    const [scriptsLoaded, setScriptsLoaded] = useState(false); // For external JS libraries
+    const [loading, setLoading] = useState(false); // For downloads and exports
     const [error, setError] = useState(null);
     // State to track which file's preview is currently shown
     const [currentPreviewIndex, setCurrentPreviewIndex] = useState(-1);
+    // Page of the current receipt shown in the preview (multi-page PDFs)
+    const [currentPreviewPage, setCurrentPreviewPage] = useState(0);
+    // Side-by-side review of the selected receipt (currentPreviewIndex) and its image
+    const [reviewMode, setReviewMode] = useState(false);
+    // Show the uploaded image instead of the preprocessed one in the preview
+    const [showOriginalPreview, setShowOriginalPreview] = useState(false);
+    // Whether files are being dragged over the upload box
+    const [dragActive, setDragActive] = useState(false);
+    // Which PDF pages to extract ("all", "1-3,5", "last", ...) and whether each page becomes its own receipt
+    const [pdfPageRange, setPdfPageRange] = useState('all');
+    const [splitPdfPages, setSplitPdfPages] = useState(false);
     // State to track which cell is being edited: { rowIndex: number, fieldName: string }
     const [editingCell, setEditingCell] = useState(null);
-    const [editedValue, setEditedValue] = useState('');
+    // Undo/redo history of edits, deletes and resets: { past: [entry], future: [entry] }
+    const [history, setHistory] = useState(EMPTY_HISTORY);
+    // Index of the row whose line-item details are expanded, or null
+    const [expandedRowIndex, setExpandedRowIndex] = useState(null);
+    // Locally persisted sessions: [{ id, name, ... }] and the one currently shown
+    const [sessions, setSessions] = useState([]);
+    const [activeSessionId, setActiveSessionId] = useState(null);
+    // The receipts array last loaded from storage, so loading a session doesn't trigger a save
+    const loadedReceiptsRef = useRef(null);
+    // Whether "Download All" also puts a CSV manifest of the summary table into receipts.zip
+    const [includeManifest, setIncludeManifest] = useState(true);
+    // Accounting export format also put into receipts.zip ('' for none)
+    const [zipAccountingFormat, setZipAccountingFormat] = useState('');
+    // Template for the names (and folders) of the files in receipts.zip
+    const [filenameTemplate, setFilenameTemplate] = useSetting('filenameTemplate', DEFAULT_FILENAME_TEMPLATE);
+    // Cover page details of the PDF expense report; an empty period is taken from the receipt dates
+    const [claimantName, setClaimantName] = useSetting('claimantName', '');
+    const [reportPeriod, setReportPeriod] = useState({ from: '', to: '' });
+    // Currency all amounts are converted to, and the user-editable exchange-rate table
+    const [reportingCurrency, setReportingCurrency] = useSetting('reportingCurrency', DEFAULT_CURRENCY);
+    const [exchangeRates, setExchangeRates] = useSetting('exchangeRates', {});
+    // Which extraction provider to use (cloud, mock, ocr) and the cloud endpoint
+    const [extractionProvider, setExtractionProvider] = useSetting('extractionProvider', DEFAULT_PROVIDER);
+    const [extractionEndpoint, setExtractionEndpoint] = useSetting('extractionEndpoint', DEFAULT_ENDPOINT);
+    // Files waiting for or going through processing, and how many are processed in parallel
+    const [uploadQueue, setUploadQueue] = useState([]);
+    const [uploadConcurrency, setUploadConcurrency] = useSetting('uploadConcurrency', 3);
+    // Expense categories with GL account codes, and merchant rules that categorise extracted receipts
+    const [categories, setCategories] = useSetting('categories', DEFAULT_CATEGORIES);
+    const [categoryRules, setCategoryRules] = useSetting('categoryRules', []);
+    // Expense policy rules every receipt is checked against (see policy.js)
+    const [expensePolicy, setExpensePolicy] = useSetting('expensePolicy', DEFAULT_POLICY);
+    // Category to account and tax code mapping of each accounting export profile
+    const [accountingMappings, setAccountingMappings] = useSetting('accountingMappings', DEFAULT_ACCOUNTING_MAPPINGS);
+    const [storedPreprocessing, setPreprocessingSettings] = useSetting('imagePreprocessing', DEFAULT_PREPROCESSING);
+    const preprocessingSettings = { ...DEFAULT_PREPROCESSING, ...storedPreprocessing };
+    // AbortControllers of files being processed, by queue item id
+    const abortControllersRef = useRef({});
+    // Queue items already handed to runQueueItem, so a re-render can't start them twice
+    const startedItemIdsRef = useRef(new Set());
+    // New receipts that look like duplicates, waiting for a merge/keep/discard decision
+    const [pendingDuplicates, setPendingDuplicates] = useState([]);
+    // Chart segment the table is filtered by: { field, value } or null
+    const [chartFilter, setChartFilter] = useState(null);
+    const [needsReviewOnly, setNeedsReviewOnly] = useState(false); // Show only the "needs review" queue
+    const [reextractingIds, setReextractingIds] = useState([]); // Receipts being extracted again
+    // Table search / filters and sort order ({ field, direction } or null for upload order)
+    const [tableFilters, setTableFilters] = useState(EMPTY_FILTERS);
+    const [tableSort, setTableSort] = useState(null);
+    // Whether downloads and exports include only the rows matching the current filters
+    const [exportFilteredOnly, setExportFilteredOnly] = useState(false);
+    // Whether the browser has a connection; receipts captured offline are extracted once it returns
+    const [online, setOnline] = useState(!isOffline());
+    // Whether receipts captured offline are being extracted right now
+    const syncingRef = useRef(false);
+    // Latest receipts, for checks made outside of render (e.g. duplicate detection after extraction)
+    const receiptsRef = useRef(receipts);
+    receiptsRef.current = receipts;
+    // Latest pending duplicates; both refs are also updated as receipts are added, before the next render
+    const pendingDuplicatesRef = useRef(pendingDuplicates);
+    pendingDuplicatesRef.current = pendingDuplicates;
+
+    // Load the receipts of a stored session into state and make it the active one
+    const loadSessionIntoState = async (sessionId) => {
+        const session = await loadSession(sessionId);
+        // Receipts saved before ids were introduced get one now
+        const sessionReceipts = (session ? session.receipts : [])
+            .map(receipt => (receipt.id ? receipt : { ...receipt, id: generateId() }))
+            .map(resumeSync);
+        loadedReceiptsRef.current = sessionReceipts;
+        setReceipts(sessionReceipts);
+        setCurrentPreviewIndex(sessionReceipts.length > 0 ? 0 : -1);
+        setEditingCell(null);
+        setExpandedRowIndex(null);
+        setPendingDuplicates([]);
+        setChartFilter(null);
+        setTableFilters(EMPTY_FILTERS);
+        setHistory(EMPTY_HISTORY);
+        setReviewMode(false);
+        setActiveSessionId(sessionId);
+        storeActiveSessionId(sessionId);
+    };
 
-    // Dynamically load pdf.js, jszip, and file-saver libraries
+    // Restore the last active session (creating a default one on first use)
     useEffect(() => {
-        let pdfJsScript, jszipScript, fileSaverScript;
-        const scriptsToLoad = [
-            { src: 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.min.js', id: 'pdfjs-script' },
-            { src: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js', id: 'jszip-script' },
-            { src: 'https://cdn.jsdelivr.net/npm/file-saver@2.0.5/dist/FileSaver.min.js', id: 'filesaver-script' }
-        ];
-        let loadedCount = 0;
-
-        const scriptLoaded = () => {
-            loadedCount++;
-            if (loadedCount === scriptsToLoad.length) {
-                // Ensure pdf.js worker is set after pdf.js is loaded
-                if (window.pdfjsLib) {
-                    window.pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
-                }
-                setScriptsLoaded(true);
+        const restoreSessions = async () => {
+            try {
+                await createSessionIfNone(DEFAULT_SESSION_NAME);
+                const storedSessions = await listSessions();
+                setSessions(storedSessions);
+                const lastActiveId = getActiveSessionId();
+                const sessionToLoad = storedSessions.find(session => session.id === lastActiveId) || storedSessions[storedSessions.length - 1];
+                await loadSessionIntoState(sessionToLoad.id);
+            } catch (storageError) {
+                console.error("Error restoring saved sessions:", storageError);
+                setError('Could not access local storage. Receipts will not be saved between page loads.');
             }
         };
+        restoreSessions();
+    }, []);
 
-        scriptsToLoad.forEach(scriptInfo => {
-            const script = document.createElement('script');
-            script.src = scriptInfo.src;
-            script.id = scriptInfo.id;
-            script.onload = scriptLoaded;
-            script.onerror = () => {
-                console.error(`Failed to load script: ${scriptInfo.src}`);
-                setError(`Failed to load a required library: ${scriptInfo.src}. Please check your internet connection.`);
-                // Still mark as loaded to potentially allow partial functionality or prevent infinite loading
-                scriptLoaded();
-            };
-            document.body.appendChild(script);
-
-            // Store references for cleanup
-            if (scriptInfo.id === 'pdfjs-script') pdfJsScript = script;
-            if (scriptInfo.id === 'jszip-script') jszipScript = script;
-            if (scriptInfo.id === 'filesaver-script') fileSaverScript = script;
+    // Save receipts to the active session whenever they change
+    useEffect(() => {
+        if (!activeSessionId || receipts === loadedReceiptsRef.current) return;
+        saveSessionReceipts(activeSessionId, receipts).catch(storageError => {
+            console.error("Error saving session:", storageError);
+            setError('Failed to save receipts locally. Changes may be lost on refresh.');
         });
+    }, [receipts, activeSessionId]);
 
+    // Rendered pages of the receipt currently shown in the preview
+    const currentPreviewPages = useMemo(() => {
+        if (currentPreviewIndex >= 0 && currentPreviewIndex < receipts.length) {
+            return getReceiptPages(receipts[currentPreviewIndex]);
+        }
+        return [];
+    }, [receipts, currentPreviewIndex]);
 
-        return () => {
-            // Clean up scripts when component unmounts
-            if (pdfJsScript && document.body.contains(pdfJsScript)) document.body.removeChild(pdfJsScript);
-            if (jszipScript && document.body.contains(jszipScript)) document.body.removeChild(jszipScript);
-            if (fileSaverScript && document.body.contains(fileSaverScript)) document.body.removeChild(fileSaverScript);
-        };
-    }, []);
+    // Start at the first page whenever a different receipt is previewed
+    useEffect(() => {
+        setCurrentPreviewPage(0);
+    }, [currentPreviewIndex]);
 
-    // Memoized current image preview based on currentPreviewIndex
+    // The uploaded image of the previewed receipt, for comparing with the preprocessed one
+    // (null for PDFs, HEIC photos and receipts that weren't preprocessed)
+    const originalImagePreview = useMemo(() => {
+        const receipt = receipts[currentPreviewIndex];
+        if (!receipt || !receipt.preprocessing || !receipt.originalFileData) return null;
+        const { base64, mimeType } = receipt.originalFileData;
+        return /^image\/(jpeg|png|gif|webp|bmp)$/.test(mimeType) ? `data:${mimeType};base64,${base64}` : null;
+    }, [receipts, currentPreviewIndex]);
+
+    // Memoized current image preview based on currentPreviewIndex and currentPreviewPage
     const currentImagePreview = useMemo(() => {
-        if (currentPreviewIndex >= 0 && currentPreviewIndex < receipts.length) {
-            const receipt = receipts[currentPreviewIndex];
-            // For preview, we always use the image data generated for Gemini, as original PDFs can't be directly displayed as <img>
-            if (receipt && receipt.geminiImageData) {
-                return `data:image/jpeg;base64,${receipt.geminiImageData}`;
+        // For preview, we always use the image data generated for Gemini, as original PDFs can't be directly displayed as <img>
+        const pageImage = currentPreviewPages[Math.min(currentPreviewPage, currentPreviewPages.length - 1)];
+        return pageImage ? `data:image/jpeg;base64,${pageImage}` : null;
+    }, [currentPreviewPages, currentPreviewPage]);
+
+
+    // Whether each receipt's line items add up to its extracted totals
+    const lineItemChecks = useMemo(() => receipts.map(checkLineItems), [receipts]);
+
+    // Suspicious or low-confidence fields of each receipt, { field: [message] }
+    const reviewIssues = useMemo(() => receipts.map(receipt => findReviewIssues(receipt)), [receipts]);
+    const needsReviewCount = receipts.filter((receipt, index) => needsReview(receipt, reviewIssues[index])).length;
+
+    // Rows shown in the table, with their index in receipts (used by the edit handlers)
+    const visibleRows = useMemo(
+        () => sortRows(
+            receipts
+                .map((receipt, index) => ({ receipt, index }))
+                .filter(({ receipt, index }) => matchesChartFilter(receipt, chartFilter) && matchesFilters(receipt, tableFilters)
+                    && (!needsReviewOnly || needsReview(receipt, reviewIssues[index]))),
+            tableSort
+        ),
+        [receipts, chartFilter, tableFilters, tableSort, needsReviewOnly, reviewIssues]
+    );
+    // Position of the selected receipt among the visible rows, for review navigation
+    const reviewPosition = visibleRows.findIndex(({ index }) => index === currentPreviewIndex);
+    const reviewedCount = useMemo(() => receipts.filter(receipt => receipt.reviewed).length, [receipts]);
+    const pendingSyncCount = receipts.filter(receipt => receipt.syncStatus === SYNC_STATUS.PENDING || receipt.syncStatus === SYNC_STATUS.SYNCING).length;
+
+    const isFiltered = chartFilter !== null || hasActiveFilters(tableFilters) || needsReviewOnly;
+
+    // Receipts included in downloads and exports
+    const receiptsToExport = useMemo(
+        () => (exportFilteredOnly && isFiltered ? visibleRows.map(({ receipt }) => receipt) : receipts),
+        [exportFilteredOnly, isFiltered, visibleRows, receipts]
+    );
+
+    // Expense policy violations of each receipt, and of the exported receipts
+    const policyViolations = useMemo(
+        () => receipts.map(receipt => evaluatePolicy(receipt, expensePolicy, { reportingCurrency, rates: exchangeRates })),
+        [receipts, expensePolicy, reportingCurrency, exchangeRates]
+    );
+    const exportViolations = useMemo(
+        () => receiptsToExport.map(receipt => policyViolations[receipts.indexOf(receipt)] || []),
+        [receiptsToExport, receipts, policyViolations]
+    );
+    const flaggedCount = policyViolations.filter(violations => violations.length > 0).length;
+    const justifiedCount = receipts.filter((receipt, index) => policyViolations[index].length > 0 && receipt.policyJustification).length;
+
+    // Names of the exported files in receipts.zip; an invalid template falls back to the default naming
+    const filenameTemplateErrors = useMemo(() => validateTemplate(filenameTemplate), [filenameTemplate]);
+    const zipPaths = useMemo(
+        () => buildZipPaths(receiptsToExport, filenameTemplateErrors.length === 0 ? filenameTemplate : DEFAULT_FILENAME_TEMPLATE, categories),
+        [receiptsToExport, filenameTemplate, filenameTemplateErrors, categories]
+    );
+
+    // Totals of the shown rows per original currency and converted to the reporting currency
+    const amountSummary = useMemo(
+        () => summarizeAmounts(visibleRows.map(({ receipt }) => receipt), reportingCurrency, exchangeRates),
+        [visibleRows, reportingCurrency, exchangeRates]
+    );
+
+    const categoryOptions = useMemo(() => distinctValues(receipts, 'category'), [receipts]);
+    const configuredCategoryNames = useMemo(() => categoryNames(categories), [categories]);
+    const mealTypeOptions = useMemo(() => distinctValues(receipts, 'mealType'), [receipts]);
+
+    // Totals per person / cost center, shown once any receipt is split
+    const anySplit = useMemo(() => receipts.some(hasAllocations), [receipts]);
+    const allocationSummary = useMemo(
+        () => allocationTotals(receipts, reportingCurrency, exchangeRates),
+        [receipts, reportingCurrency, exchangeRates]
+    );
+
+    // Spending analytics over all receipts
+    const analytics = useMemo(
+        () => computeAnalytics(receipts, reportingCurrency, exchangeRates),
+        [receipts, reportingCurrency, exchangeRates]
+    );
+
+    // Cost of a receipt converted to the reporting currency, for display under the original amount
+    const convertedCostLabel = (receipt) => {
+        const converted = convertAmount(receipt.cost, receipt.currency, reportingCurrency, exchangeRates);
+        return converted === null ? `No ${receipt.currency} rate` : `≈ ${formatMoney(converted, reportingCurrency)}`;
+    };
+
+    // Whether any uploaded file is still waiting or being processed
+    const processing = uploadQueue.some(item => item.status === QUEUE_STATUS.QUEUED || ACTIVE_STATUSES.includes(item.status));
+
+    // Function to queue uploaded files; the queue effect below picks them up
+    // Queue files from any input (picker, drop, paste, camera); ZIP archives are unpacked first
+    const queueFiles = async (inputFiles) => {
+        if (inputFiles.length === 0) return;
+        setError(null);
+        const { files, skipped } = await expandInputFiles(inputFiles);
+        if (files.length > 0) {
+            setUploadQueue(prevQueue => [...prevQueue, ...files.map(createQueueItem)]);
+        }
+        if (skipped.length > 0) {
+            setError(`Skipped ${skipped.length} unsupported file${skipped.length === 1 ? '' : 's'}: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+        }
+    };
+
+    const handleImageUpload = (event) => {
+        const files = Array.from(event.target.files); // Get all selected files
+        // Clear the input field to allow re-uploading the same files
+        event.target.value = null;
+        queueFiles(files);
+    };
+
+    // Drag and drop of files, folders (recursively) and ZIP archives onto the upload box
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setDragActive(true);
+    };
+
+    const handleDragLeave = (e) => {
+        // Ignore leaving a child element of the box
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+    };
+
+    const handleDrop = async (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        try {
+            queueFiles(await filesFromDataTransfer(e.dataTransfer));
+        } catch (dropError) {
+            console.error("Error reading dropped files:", dropError);
+            setError('Failed to read the dropped files.');
+        }
+    };
+
+    // Ctrl+V / Cmd+V of screenshots or copied files anywhere outside a text field
+    useEffect(() => {
+        const handlePaste = (e) => {
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+            const files = e.clipboardData ? filesFromClipboard(e.clipboardData) : [];
+            if (files.length === 0) return;
+            e.preventDefault();
+            queueFiles(files);
+        };
+        window.addEventListener('paste', handlePaste);
+        return () => window.removeEventListener('paste', handlePaste);
+    });
+
+    const updateQueueItem = (id, changes) => {
+        setUploadQueue(prevQueue => prevQueue.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    // Run one queued file through the pipeline, tracking its status and making it cancellable
+    const runQueueItem = async (item) => {
+        const controller = new AbortController();
+        abortControllersRef.current[item.id] = controller;
+        updateQueueItem(item.id, { status: QUEUE_STATUS.READING, error: null, attempt: 0 });
+
+        try {
+            const { deferred } = await processFile(item.file, {
+                signal: controller.signal,
+                onStatus: (status) => updateQueueItem(item.id, { status }),
+                onRetry: (attempt) => updateQueueItem(item.id, { attempt })
+            });
+            updateQueueItem(item.id, { status: deferred ? QUEUE_STATUS.DEFERRED : QUEUE_STATUS.DONE });
+        } catch (err) {
+            if (isAbortError(err)) {
+                updateQueueItem(item.id, { status: QUEUE_STATUS.CANCELLED, error: null });
+            } else {
+                console.error(`Error processing ${item.name}:`, err);
+                updateQueueItem(item.id, { status: QUEUE_STATUS.FAILED, error: err.message || 'Processing failed.' });
             }
+        } finally {
+            delete abortControllersRef.current[item.id];
         }
-        return null;
-    }, [receipts, currentPreviewIndex]);
+    };
 
+    // Start queued files whenever fewer than uploadConcurrency files are being processed
+    useEffect(() => {
+        const activeCount = uploadQueue.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+        const waiting = uploadQueue.filter(item => item.status === QUEUE_STATUS.QUEUED && !startedItemIdsRef.current.has(item.id));
+        waiting.slice(0, Math.max(0, uploadConcurrency - activeCount)).forEach(item => {
+            startedItemIdsRef.current.add(item.id);
+            runQueueItem(item).finally(() => startedItemIdsRef.current.delete(item.id));
+        });
+    });
 
-    // Function to handle multiple file uploads and processing
-    const handleImageUpload = async (event) => {
-        const files = Array.from(event.target.files); // Get all selected files
-        if (files.length === 0) return;
+    const handleRetryItem = (id) => {
+        updateQueueItem(id, { status: QUEUE_STATUS.QUEUED, error: null, attempt: 0 });
+    };
 
-        setError(null);
-        setLoading(true); // Start loading for all files
+    const handleRetryAllFailed = () => {
+        setUploadQueue(prevQueue => prevQueue.map(item => (
+            item.status === QUEUE_STATUS.FAILED || item.status === QUEUE_STATUS.CANCELLED
+                ? { ...item, status: QUEUE_STATUS.QUEUED, error: null, attempt: 0 }
+                : item
+        )));
+    };
 
-        // Process files sequentially
-        for (const file of files) {
-            await processFile(file);
+    const handleCancelItem = (id) => {
+        const controller = abortControllersRef.current[id];
+        if (controller) {
+            controller.abort();
+        } else {
+            // Not started yet: just take it out of the waiting list
+            updateQueueItem(id, { status: QUEUE_STATUS.CANCELLED });
         }
+    };
 
-        setLoading(false); // End loading after all files are processed
-        // Clear the input field after processing to allow re-uploading the same files
-        event.target.value = null;
+    const handleCancelAll = () => {
+        Object.values(abortControllersRef.current).forEach(controller => controller.abort());
+        setUploadQueue(prevQueue => prevQueue.map(item => (
+            item.status === QUEUE_STATUS.QUEUED ? { ...item, status: QUEUE_STATUS.CANCELLED } : item
+        )));
     };
 
-    // Helper function to process a single file (image or PDF)
-    const processFile = async (file) => {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-
-            reader.onloadend = async () => {
-                let geminiBase64Data = null; // Data to send to Gemini (always JPEG)
-                let originalFileBase64 = null; // Original file data for download
-                let originalFileMimeType = file.type;
-
-                if (file.type.startsWith('image/')) {
-                    geminiBase64Data = reader.result.split(',')[1];
-                    originalFileBase64 = reader.result.split(',')[1]; // Store original image base64
-                } else if (file.type === 'application/pdf') {
-                    // Store the original PDF data (as base64) for download
-                    // Convert ArrayBuffer to Base64 string for storage
-                    originalFileBase64 = btoa(new Uint8Array(reader.result).reduce((data, byte) => data + String.fromCharCode(byte), ''));
-
-                    // For Gemini, convert PDF to JPEG preview
-                    if (!window.pdfjsLib) {
-                        setError('PDF.js library not loaded. Cannot process PDF.');
-                        resolve();
-                        return;
-                    }
-                    const pdfData = new Uint8Array(reader.result);
-                    try {
-                        const pdf = await window.pdfjsLib.getDocument({ data: pdfData }).promise;
-                        const page = await pdf.getPage(1);
-
-                        const viewport = page.getViewport({ scale: 2 });
-                        const canvas = document.createElement('canvas');
-                        const canvasContext = canvas.getContext('2d');
-                        canvas.height = viewport.height;
-                        canvas.width = viewport.width;
-
-                        await page.render({ canvasContext, viewport }).promise;
-
-                        geminiBase64Data = canvas.toDataURL('image/jpeg', 0.8).split(',')[1]; // Send JPEG to Gemini
-
-                    } catch (pdfError) {
-                        console.error("Error rendering PDF for Gemini:", pdfError);
-                        setError(`Failed to render PDF: ${file.name} for AI processing. Ensure it is a valid PDF.`);
-                        resolve();
-                        return;
-                    }
-                } else {
-                    setError(`Unsupported file type: ${file.name}. Please upload an image (JPEG, PNG) or a PDF.`);
-                    resolve();
-                    return;
-                }
+    const handleRemoveQueueItem = (id) => {
+        setUploadQueue(prevQueue => prevQueue.filter(item => item.id !== id));
+    };
 
-                if (geminiBase64Data) {
-                    // Pass all necessary data to processReceipt
-                    await processReceipt(geminiBase64Data, originalFileBase64, originalFileMimeType, file.name);
+    const handleClearFinished = () => {
+        setUploadQueue(prevQueue => prevQueue.filter(item => item.status !== QUEUE_STATUS.DONE && item.status !== QUEUE_STATUS.DEFERRED));
+    };
+
+    // Read a file as a data URL or an ArrayBuffer
+    const readFile = (file, asArrayBuffer) => new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Failed to read file: ${file.name}.`));
+        if (asArrayBuffer) {
+            reader.readAsArrayBuffer(file); // Read PDF as ArrayBuffer
+        } else {
+            reader.readAsDataURL(file); // Read image as Data URL
+        }
+    });
+
+    // Helper function to process a single file (image or PDF) into one or more receipts.
+    // Throws on failure; onStatus reports the pipeline stage and signal cancels it.
+    // Without a connection the receipts are added as pending extraction and { deferred: true } is returned.
+    const processFile = async (file, { signal, onStatus = () => {}, onRetry } = {}) => {
+        let pageImages = []; // Data to send to Gemini (always JPEG), one entry per page
+        let pageNumbers = [1]; // Page number of each entry in pageImages
+        let originalFileBase64 = null; // Original file data for download
+        const originalFileMimeType = file.type || (isHeicFile(file) ? 'image/heic' : '');
+        let preprocessing = null; // What preprocessing changed, shown with the preview
+
+        if (file.type.startsWith('image/') || isHeicFile(file)) {
+            const dataUrl = await readFile(file, false);
+            originalFileBase64 = dataUrl.split(',')[1]; // Store original image base64
+            // HEIC photos always need converting; everything else is only touched when preprocessing is on
+            if (preprocessingSettings.enabled || isHeicFile(file)) {
+                throwIfAborted(signal);
+                onStatus(QUEUE_STATUS.PREPROCESSING);
+                try {
+                    const { base64, ...info } = await preprocessImage(file, preprocessingSettings);
+                    pageImages = [base64];
+                    preprocessing = info;
+                } catch (preprocessError) {
+                    console.error("Error preprocessing image:", preprocessError);
+                    throw new Error(`Failed to preprocess image. ${preprocessError.message || ''}`.trim());
                 }
-                resolve();
-            };
+            } else {
+                pageImages = [originalFileBase64];
+            }
+        } else if (file.type === 'application/pdf') {
+            const buffer = await readFile(file, true);
+            // Store the original PDF data (as base64) for download
+            // Convert ArrayBuffer to Base64 string for storage
+            originalFileBase64 = btoa(new Uint8Array(buffer).reduce((data, byte) => data + String.fromCharCode(byte), ''));
 
-            reader.onerror = () => {
-                setError(`Failed to read file: ${file.name}.`);
-                resolve();
-            };
+            // For Gemini, convert the selected PDF pages to JPEG previews
+            const pdfjsLib = await loadPdfJs();
+            throwIfAborted(signal);
+            onStatus(QUEUE_STATUS.RENDERING);
+            try {
+                const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+                pageNumbers = parsePageRange(pdfPageRange, pdf.numPages);
+                pageImages = await renderPdfPages(pdf, pageNumbers, preprocessingSettings.enabled ? preprocessingSettings : undefined);
+            } catch (pdfError) {
+                console.error("Error rendering PDF for Gemini:", pdfError);
+                throw new Error(`Failed to render PDF for AI processing. ${pdfError.message || 'Ensure it is a valid PDF.'}`);
+            }
+        } else {
+            throw new Error('Unsupported file type. Please upload an image (JPEG, PNG) or a PDF.');
+        }
 
-            // Read file based on its type
-            if (file.type === 'application/pdf') {
-                reader.readAsArrayBuffer(file); // Read PDF as ArrayBuffer
+        throwIfAborted(signal);
+        onStatus(QUEUE_STATUS.EXTRACTING);
+
+        // Each page is a separate receipt when splitting, all pointing at the same original PDF
+        const splitPages = pageImages.length > 1 && splitPdfPages;
+        const receiptPages = splitPages ? pageImages.map(pageImage => [pageImage]) : [pageImages];
+        const newReceipts = [];
+        // Providers that need a connection aren't even tried while offline
+        let deferred = isOffline() && !getProvider(extractionProvider).worksOffline;
+        for (const [pageIndex, pages] of receiptPages.entries()) {
+            let parsedData;
+            try {
+                parsedData = deferred ? pendingReceiptFields(reportingCurrency) : await extractPages(pages, { signal, onRetry });
+            } catch (extractError) {
+                // The connection dropped while extracting
+                if (!isConnectionError(extractError)) throw extractError;
+                deferred = true;
+                parsedData = pendingReceiptFields(reportingCurrency);
+            }
+            newReceipts.push(await addDuplicateHashes({
+                ...parsedData,
+                id: generateId(),
+                sourcePage: splitPages ? pageNumbers[pageIndex] : null, // Page of the original PDF this receipt came from
+                originalFileData: { base64: originalFileBase64, mimeType: originalFileMimeType }, // Store original data
+                geminiImageData: pages[0], // Store Gemini-ready image data for preview
+                pageImages: pages, // All rendered pages, for paging through the preview
+                preprocessing,
+                originalFileName: file.name
+            }));
+        }
+
+        // Add all receipts of the file at once, so a failed or cancelled file adds nothing
+        throwIfAborted(signal);
+        addReceiptsCheckingDuplicates(newReceipts);
+        return { deferred };
+    };
+
+    const addReceipts = (newReceipts) => {
+        if (newReceipts.length === 0) return;
+        receiptsRef.current = [...receiptsRef.current, ...newReceipts];
+        setReceipts(prevReceipts => {
+            const updatedReceipts = [...prevReceipts, ...newReceipts];
+            // Set current preview index to the newly added receipt
+            setCurrentPreviewIndex(updatedReceipts.length - 1);
+            return updatedReceipts;
+        });
+    };
+
+    // Add new receipts, holding back likely duplicates for the user to decide on: duplicates of receipts
+    // already in the table (or added since the last render), of earlier receipts of the same batch and
+    // of uploads already waiting for a decision
+    const addReceiptsCheckingDuplicates = (newReceipts) => {
+        const uniqueReceipts = [];
+        const duplicates = [];
+        newReceipts.forEach(receipt => {
+            const heldBack = [...pendingDuplicatesRef.current, ...duplicates].map(duplicate => duplicate.receipt);
+            const match = findDuplicate(receipt, [...receiptsRef.current, ...uniqueReceipts, ...heldBack]);
+            if (match) {
+                duplicates.push({ receipt, ...match });
             } else {
-                reader.readAsDataURL(file); // Read image as Data URL
+                uniqueReceipts.push(receipt);
             }
         });
+        addReceipts(uniqueReceipts);
+        if (duplicates.length > 0) {
+            pendingDuplicatesRef.current = [...pendingDuplicatesRef.current, ...duplicates];
+            setPendingDuplicates(prevDuplicates => [...prevDuplicates, ...duplicates]);
+        }
     };
 
-    // Function to process the receipt using Gemini API
-    // Now accepts geminiBase64Data, originalFileBase64, originalFileMimeType
-    const processReceipt = async (geminiBase64Data, originalFileBase64, originalFileMimeType, originalFileName) => {
-        try {
-            // Updated prompt to include company name
-            const prompt = "Extract the following information from this receipt image: date (YYYY-MM-DD), company name, category (classify as 'Restaurant', 'Transport', 'Groceries', 'Utilities', 'Shopping', 'Other'), meal type (classify as 'Lunch' or 'Dinner' based on typical meal times, if unclear, use 'Unknown'), and total cost. Provide the total cost as a number. If any information is missing, use 'N/A'.";
-
-            const payload = {
-                contents: [
-                    {
-                        role: "user",
-                        parts: [
-                            { text: prompt },
-                            {
-                                inlineData: {
-                                    mimeType: 'image/jpeg', // Always send JPEG to Gemini
-                                    data: geminiBase64Data
-                                }
-                            }
-                        ]
-                    }
-                ],
-                generationConfig: {
-                    responseMimeType: "application/json",
-                    responseSchema: {
-                        type: "OBJECT",
-                        properties: {
-                            "date": { "type": "STRING", "description": "Date of the receipt inYYYY-MM-DD format. If not found, use 'N/A'." },
-                            "companyName": { "type": "STRING", "description": "Name of the company or establishment. If not found, use 'N/A'." },
-                            "category": { "type": "STRING", "description": "Category of the expense, such as 'Restaurant', 'Transport', 'Groceries', 'Utilities', 'Shopping', 'Other'. If not found, use 'Other'." },
-                            "mealType": { "type": "STRING", "description": "Type of meal, either 'Lunch', 'Dinner', or 'Unknown'. If not found, use 'Unknown'." },
-                            "cost": { "type": "NUMBER", "description": "Total cost of the receipt as a number. If not found, use 0." }
-                        },
-                        "required": ["date", "companyName", "category", "mealType", "cost"]
-                    }
-                }
-            };
-
-            const apiUrl = `https://us-central1-turing-booster-461522-a5.cloudfunctions.net/gemini-api-proxy`;
-
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ // Send a simplified payload to your Cloud Function proxy
-                    prompt: prompt,
-                    imageData: geminiBase64Data,
-                    mimeType: 'image/jpeg' // The mimeType that the Cloud Function will use for Gemini
-                })
-            });
+    // Resolve the first pending duplicate: 'merge' into the matching receipt, 'keep' both or 'discard' the new one
+    const handleResolveDuplicate = (action) => {
+        const [duplicate, ...remaining] = pendingDuplicates;
+        if (!duplicate) return;
+        pendingDuplicatesRef.current = remaining;
+        setPendingDuplicates(remaining);
 
-            const result = await response.json();
-            // Assuming your Cloud Function returns the already parsed JSON object directly from Gemini
-            const parsedData = result;
-
-            setReceipts(prevReceipts => {
-                const newReceipts = [
-                    ...prevReceipts,
-                    {
-                        ...parsedData,
-                        originalFileData: { base64: originalFileBase64, mimeType: originalFileMimeType }, // Store original data
-                        geminiImageData: geminiBase64Data, // Store Gemini-ready image data for preview
-                        originalFileName: originalFileName
-                    }
-                ];
-                // Set current preview index to the newly added receipt
-                setCurrentPreviewIndex(newReceipts.length - 1);
-                return newReceipts;
-            });
+        if (action === 'keep') {
+            addReceipts([duplicate.receipt]);
+        } else if (action === 'merge') {
+            // Matched by id, as receipts added since the last render aren't in `receipts` yet
+            const existing = receiptsRef.current.find(receipt => receipt.id === duplicate.receiptId);
+            if (existing) editReceipt(existing, mergeDuplicate(existing, duplicate.receipt));
+        }
+    };
+
+    // Function to extract the receipt fields from a single JPEG image with the configured provider,
+    // retrying network and server errors with backoff
+    const extractReceiptData = (geminiBase64Data, { signal, onRetry } = {}) => withRetry(
+        () => extractReceipt(geminiBase64Data, {
+            provider: extractionProvider,
+            endpoint: extractionEndpoint,
+            categoryNames: configuredCategoryNames,
+            signal
+        }),
+        { signal, onRetry }
+    );
+
+    // Function to extract a receipt made of one or more page images
+    // Every page is extracted separately and the results merged into a single receipt
+    const extractPages = async (pageImages, options) => {
+        const pageResults = [];
+        for (const [page, pageImage] of pageImages.entries()) {
+            const { boundingBoxes, confidence, ...result } = await extractReceiptData(pageImage, options);
+            pageResults.push({ ...result, fieldBoxes: extractFieldBoxes({ boundingBoxes }, page), fieldConfidence: extractFieldConfidence({ confidence }) });
+        }
+        const mergedData = mergePageResults(pageResults);
+        // Receipts without a recognisable currency are assumed to be in the reporting currency
+        const receiptData = {
+            ...mergedData,
+            currency: normalizeCurrencyCode(mergedData.currency, reportingCurrency),
+            category: matchCategory(mergedData.category, categories)
+        };
+        const ruledData = applyCategoryRules(receiptData, categoryRules);
+        // A category set by one of the user's rules is certain
+        return ruledData === receiptData ? receiptData : { ...ruledData, fieldConfidence: { ...ruledData.fieldConfidence, category: 1 } };
+    };
 
-        } catch (err) { // Catch block added here
-            console.error("Error processing receipt:", err);
-            setError('Failed to process one of the receipts. Please ensure images are clear and try again.');
-        } finally { // Finally block added here
-            // Any cleanup or final actions can go here
+    // Track the connection so receipts captured offline are extracted as soon as it returns
+    useEffect(() => {
+        const handleConnectionChange = () => setOnline(!isOffline());
+        window.addEventListener('online', handleConnectionChange);
+        window.addEventListener('offline', handleConnectionChange);
+        return () => {
+            window.removeEventListener('online', handleConnectionChange);
+            window.removeEventListener('offline', handleConnectionChange);
+        };
+    }, []);
+
+    const updateReceiptById = (id, update) => {
+        setReceipts(prevReceipts => prevReceipts.map(receipt => (receipt.id === id ? update(receipt) : receipt)));
+    };
+
+    // Extract the receipts captured offline one after the other, until none is pending or the
+    // connection drops again. Sync results are not undoable edits, like the first extraction.
+    const syncPendingReceipts = async () => {
+        const attemptedIds = new Set();
+        const nextPending = () => receiptsRef.current.find(receipt => receipt.syncStatus === SYNC_STATUS.PENDING && !attemptedIds.has(receipt.id));
+        for (let receipt = nextPending(); receipt && !isOffline(); receipt = nextPending()) {
+            const { id } = receipt;
+            attemptedIds.add(id);
+            updateReceiptById(id, current => ({ ...current, syncStatus: SYNC_STATUS.SYNCING, syncError: null }));
+            try {
+                const extracted = await extractPages(getReceiptPages(receipt));
+                updateReceiptById(id, current => applySyncedFields(current, extracted));
+            } catch (syncError) {
+                if (isConnectionError(syncError)) {
+                    updateReceiptById(id, current => ({ ...current, syncStatus: SYNC_STATUS.PENDING }));
+                    return;
+                }
+                console.error(`Error extracting ${receipt.originalFileName}:`, syncError);
+                updateReceiptById(id, current => ({ ...current, syncStatus: SYNC_STATUS.FAILED, syncError: syncError.message || 'Extraction failed.' }));
+            }
         }
     };
 
+    // Start syncing whenever there are pending receipts and a connection
+    useEffect(() => {
+        if (!online || syncingRef.current || !receipts.some(receipt => receipt.syncStatus === SYNC_STATUS.PENDING)) return;
+        syncingRef.current = true;
+        syncPendingReceipts().finally(() => {
+            syncingRef.current = false;
+        });
+    });
+
+    // Queue a receipt whose sync failed for another attempt
+    const handleRetrySync = (id) => {
+        updateReceiptById(id, current => ({ ...current, syncStatus: SYNC_STATUS.PENDING, syncError: null }));
+    };
+
     // Function to handle starting cell edit mode
-    const handleDoubleClick = (rowIndex, fieldName, currentValue) => {
+    const handleDoubleClick = (rowIndex, fieldName) => {
         setEditingCell({ rowIndex, fieldName });
-        setEditedValue(currentValue);
     };
 
-    // Function to handle input change during editing
-    const handleInputChange = (e) => {
-        setEditedValue(e.target.value);
+    // Replace a receipt with an updated copy and record the edit for undo
+    const editReceipt = (before, changes) => {
+        const after = { ...before, ...changes };
+        setReceipts(prevReceipts => prevReceipts.map(receipt => (receipt.id === before.id ? after : receipt)));
+        setHistory(prevHistory => recordChange(prevHistory, { type: 'edit', before, after }));
     };
 
-    // Function to handle saving changes when input loses focus or Enter is pressed
-    const handleInputBlur = (rowIndex, fieldName) => {
-        setReceipts(prevReceipts => {
-            const newReceipts = [...prevReceipts];
-            if (fieldName === 'cost') {
-                newReceipts[rowIndex][fieldName] = parseFloat(editedValue) || 0;
-            } else {
-                newReceipts[rowIndex][fieldName] = editedValue;
+    const updateReceiptAt = (rowIndex, changes) => {
+        if (receipts[rowIndex]) editReceipt(receipts[rowIndex], changes);
+    };
+
+    // Function to save a validated value from a cell editor
+    const handleCellSave = (rowIndex, fieldName, value) => {
+        const receipt = receipts[rowIndex];
+        if (receipt && receipt[fieldName] !== value) {
+            // A value typed in by hand no longer has a low extraction confidence
+            const fieldConfidence = receipt.fieldConfidence && fieldName in receipt.fieldConfidence
+                ? { fieldConfidence: { ...receipt.fieldConfidence, [fieldName]: 1 } }
+                : {};
+            updateReceiptAt(rowIndex, { [fieldName]: value, ...fieldConfidence });
+            // Remember category corrections as a rule for the merchant
+            if (fieldName === 'category') {
+                setCategoryRules(prevRules => learnRule(prevRules, receipts[rowIndex], value));
             }
-            return newReceipts;
-        });
+        }
         setEditingCell(null);
-        setEditedValue('');
     };
 
-    // Handle Enter key press to save changes
-    const handleKeyDown = (e, rowIndex, fieldName) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            handleInputBlur(rowIndex, fieldName);
+    // Send the stored page images of a receipt to the extraction again and replace its extracted
+    // fields with the new result. Splits, justifications and the files are kept; the change can be undone.
+    const handleReextractReceipt = async (rowIndex) => {
+        const receipt = receipts[rowIndex];
+        const pages = getReceiptPages(receipt);
+        if (!receipt || pages.length === 0 || reextractingIds.includes(receipt.id)) return;
+        setReextractingIds(prevIds => [...prevIds, receipt.id]);
+        try {
+            const extracted = await extractPages(pages);
+            // The receipt may have been edited or moved while extracting
+            const current = receiptsRef.current.find(({ id }) => id === receipt.id);
+            if (current) {
+                editReceipt(current, { ...extracted, reviewed: false, ...(current.syncStatus ? { syncStatus: SYNC_STATUS.SYNCED, syncError: null } : {}) });
+            }
+        } catch (extractError) {
+            console.error(`Error re-extracting ${receipt.originalFileName}:`, extractError);
+            setError(`Failed to re-extract ${receipt.originalFileName}: ${extractError.message}`);
+        } finally {
+            setReextractingIds(prevIds => prevIds.filter(id => id !== receipt.id));
         }
     };
 
+    // Highlight of a table cell whose value was flagged for review, with the reasons as tooltip
+    const issueCellProps = (rowIndex, fieldName) => {
+        const fieldIssues = reviewIssues[rowIndex] && reviewIssues[rowIndex][fieldName];
+        return fieldIssues
+            ? { className: 'py-3 px-4 text-sm text-gray-800 bg-yellow-100', title: `${fieldIssues.join('\n')}\nDouble-click to correct it.` }
+            : { className: 'py-3 px-4 text-sm text-gray-800' };
+    };
+
+    // Function to save edits made in the line-item details of a receipt
+    const handleReceiptFieldsChange = (rowIndex, fields) => {
+        updateReceiptAt(rowIndex, fields);
+    };
+
     // Function to delete a receipt entry
     const handleDeleteReceipt = (indexToDelete) => {
+        const deletedReceipt = receipts[indexToDelete];
+        if (!deletedReceipt) return;
+        setExpandedRowIndex(null);
+        setEditingCell(null);
+        setHistory(prevHistory => recordChange(prevHistory, { type: 'delete', receipt: deletedReceipt, index: indexToDelete }));
         setReceipts(prevReceipts => {
             const filteredReceipts = prevReceipts.filter((_, index) => index !== indexToDelete);
             // Adjust currentPreviewIndex if the deleted item was before or is the current one
@@ -289,14 +776,128 @@ function App() {
         });
     };
 
-    // Function to reset all data
+    // Undo the last edit, delete or reset
+    const handleUndo = () => {
+        const entry = history.past[history.past.length - 1];
+        if (!entry) return;
+        setEditingCell(null);
+        setExpandedRowIndex(null);
+        setReceipts(prevReceipts => revertEntry(prevReceipts, entry));
+        setHistory(prevHistory => ({ past: prevHistory.past.slice(0, -1), future: [entry, ...prevHistory.future] }));
+    };
+
+    // Redo the last undone change
+    const handleRedo = () => {
+        const entry = history.future[0];
+        if (!entry) return;
+        setEditingCell(null);
+        setExpandedRowIndex(null);
+        setReceipts(prevReceipts => applyEntry(prevReceipts, entry));
+        setHistory(prevHistory => ({ past: [...prevHistory.past, entry], future: prevHistory.future.slice(1) }));
+    };
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) outside of text fields, which keep their own undo
+    useEffect(() => {
+        const handleHistoryKeys = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            const target = e.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                handleRedo();
+            } else {
+                handleUndo();
+            }
+        };
+        window.addEventListener('keydown', handleHistoryKeys);
+        return () => window.removeEventListener('keydown', handleHistoryKeys);
+    });
+
+    // Keep the preview pointing at an existing receipt after undo/redo
+    useEffect(() => {
+        if (currentPreviewIndex >= receipts.length) {
+            setCurrentPreviewIndex(receipts.length - 1);
+        } else if (currentPreviewIndex === -1 && receipts.length > 0) {
+            setCurrentPreviewIndex(0);
+        }
+    }, [receipts.length, currentPreviewIndex]);
+
+    // Session management: switch, create, rename and delete stored sessions.
+    // Uploads still in progress are cancelled first, so they don't land in the session loaded next.
+    const handleSwitchSession = async (e) => {
+        handleCancelAll();
+        try {
+            await loadSessionIntoState(e.target.value);
+            setError(null);
+        } catch (storageError) {
+            console.error("Error switching session:", storageError);
+            setError('Failed to load the selected session.');
+        }
+    };
+
+    const handleNewSession = async () => {
+        const name = window.prompt('Name for the new session:', `Session ${sessions.length + 1}`);
+        if (!name || !name.trim()) return;
+        handleCancelAll();
+        try {
+            const session = await createSession(name.trim());
+            setSessions(await listSessions());
+            await loadSessionIntoState(session.id);
+            setError(null);
+        } catch (storageError) {
+            console.error("Error creating session:", storageError);
+            setError('Failed to create a new session.');
+        }
+    };
+
+    const handleRenameSession = async () => {
+        const activeSession = sessions.find(session => session.id === activeSessionId);
+        if (!activeSession) return;
+        const name = window.prompt('Rename session:', activeSession.name);
+        if (!name || !name.trim()) return;
+        try {
+            await renameSession(activeSessionId, name.trim());
+            setSessions(await listSessions());
+        } catch (storageError) {
+            console.error("Error renaming session:", storageError);
+            setError('Failed to rename the session.');
+        }
+    };
+
+    const handleDeleteSession = async () => {
+        const activeSession = sessions.find(session => session.id === activeSessionId);
+        if (!activeSession) return;
+        if (!window.confirm(`Delete session "${activeSession.name}" and all of its receipts?`)) return;
+        handleCancelAll();
+        try {
+            await deleteSession(activeSessionId);
+            await createSessionIfNone(DEFAULT_SESSION_NAME);
+            const remainingSessions = await listSessions();
+            setSessions(remainingSessions);
+            await loadSessionIntoState(remainingSessions[remainingSessions.length - 1].id);
+            setError(null);
+        } catch (storageError) {
+            console.error("Error deleting session:", storageError);
+            setError('Failed to delete the session.');
+        }
+    };
+
+    // Function to reset the active session (other stored sessions are left untouched)
     const handleReset = () => {
+        if (receipts.length > 0) {
+            setHistory(prevHistory => recordChange(prevHistory, { type: 'reset', receipts }));
+        }
+        handleCancelAll();
+        setUploadQueue([]);
         setReceipts([]);
+        setPendingDuplicates([]);
+        setChartFilter(null);
         setError(null);
         setLoading(false);
         setCurrentPreviewIndex(-1); // Reset preview index
+        setExpandedRowIndex(null);
         setEditingCell(null);
-        setEditedValue('');
+        setReviewMode(false);
     };
 
     // Navigation functions for preview
@@ -312,42 +913,95 @@ function App() {
         );
     };
 
+    // Open review mode on a receipt
+    const handleOpenReview = (index) => {
+        setEditingCell(null);
+        setCurrentPreviewIndex(index);
+        setReviewMode(true);
+    };
+
+    // Move the review to the previous (-1) or next (+1) receipt in table order
+    const handleReviewStep = (offset) => {
+        if (visibleRows.length === 0) return;
+        const position = reviewPosition === -1 ? 0 : Math.min(Math.max(reviewPosition + offset, 0), visibleRows.length - 1);
+        setCurrentPreviewIndex(visibleRows[position].index);
+    };
+
+    // Toggle the reviewed mark; approving moves on to the next receipt not reviewed yet
+    const handleApproveReceipt = () => {
+        const receipt = receipts[currentPreviewIndex];
+        if (!receipt) return;
+        updateReceiptAt(currentPreviewIndex, { reviewed: !receipt.reviewed });
+        if (!receipt.reviewed) {
+            const next = visibleRows.slice(reviewPosition + 1).find(row => !row.receipt.reviewed);
+            if (next) setCurrentPreviewIndex(next.index);
+        }
+    };
+
+    // Review mode keys: arrows (or J/K) to move, A to approve, Esc to close
+    useEffect(() => {
+        if (!reviewMode) return undefined;
+        const handleReviewKeys = (e) => {
+            const target = e.target;
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'arrowright' || key === 'j') {
+                handleReviewStep(1);
+            } else if (key === 'arrowleft' || key === 'k') {
+                handleReviewStep(-1);
+            } else if (key === 'a') {
+                handleApproveReceipt();
+            } else if (key === 'escape') {
+                setReviewMode(false);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleReviewKeys);
+        return () => window.removeEventListener('keydown', handleReviewKeys);
+    });
+
     // Function to download all receipts as a single ZIP file
     const handleDownloadAll = async () => {
-        if (!window.JSZip || !window.saveAs) {
-            setError("Download libraries (JSZip, FileSaver) are not loaded. Please try again.");
+        if (receiptsToExport.length === 0) {
+            setError("No files to download.");
             return;
         }
 
-        if (receipts.length === 0) {
-            setError("No files to download.");
+        if (filenameTemplateErrors.length > 0) {
+            setError(`Fix the ZIP file name template first: ${filenameTemplateErrors.join(' ')}`);
             return;
         }
 
         setLoading(true);
         setError(null);
-        const zip = new window.JSZip();
-
-        receipts.forEach((receipt) => {
-            if (receipt.originalFileData && receipt.originalFileName) {
-                const originalExtension = receipt.originalFileName.split('.').pop();
-                const sanitizedDate = String(receipt.date).replace(/[^a-zA-Z0-9-]/g, '_'); // Allow hyphens for date
-                const sanitizedCompany = String(receipt.companyName).replace(/[^a-zA-Z0-9]/g, '_'); // Use companyName
-                const sanitizedCategory = String(receipt.category).replace(/[^a-zA-Z0-9]/g, '_');
-                const sanitizedMealType = String(receipt.mealType).replace(/[^a-zA-Z0-9]/g, '_');
-                const sanitizedCost = receipt.cost ? receipt.cost.toFixed(2).replace('.', '_') : '0_00';
-
-                // Updated filename format to include company
-                const newFilename = `${sanitizedDate}_${sanitizedCompany}_${sanitizedCategory}_${sanitizedMealType}_${sanitizedCost}.${originalExtension}`;
-                
-                // Add file to zip using the original file's base64 data and mime type
-                zip.file(newFilename, receipt.originalFileData.base64, { base64: true });
+        try {
+            const JSZip = await loadJsZip();
+            const zip = new JSZip();
+
+            receiptsToExport.forEach((receipt, index) => {
+                if (zipPaths[index]) {
+                    // Add file to zip using the original file's base64 data; "/" in the path creates folders
+                    zip.file(zipPaths[index], receipt.originalFileData.base64, { base64: true });
+                }
+            });
+
+            if (includeManifest) {
+                zip.file('receipts.csv', toCsv(buildSummaryRows(receiptsToExport, reportingCurrency, exchangeRates, categories, zipPaths, exportViolations)));
+            }
+
+            let skippedWarning = null;
+            if (zipAccountingFormat) {
+                const accountingExport = buildAccountingFile(zipAccountingFormat);
+                zip.file(accountingExport.filename, accountingExport.content);
+                skippedWarning = describeSkipped(ACCOUNTING_FORMATS.find(format => format.id === zipAccountingFormat).label, accountingExport.skipped);
             }
-        });
 
-        try {
             const content = await zip.generateAsync({ type: "blob" });
-            window.saveAs(content, "receipts.zip"); // Use window.saveAs
+            await saveFile(content, "receipts.zip");
+            if (skippedWarning) setError(skippedWarning);
         } catch (zipError) {
             console.error("Error zipping files:", zipError);
             setError("Failed to create zip file for download.");
@@ -356,69 +1010,206 @@ function App() {
         }
     };
 
-    if (!scriptsLoaded) {
-        return (
-            <div className="min-h-screen bg-gray-100 flex items-center justify-center font-sans">
-                <style>
-                    {`
-                    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
-                    body {
-                        font-family: 'Inter', sans-serif;
-                    }
-                    `}
-                </style>
-                <div className="text-center p-6 bg-white rounded-lg shadow-xl">
-                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
-                    <p className="text-lg text-gray-700">Loading necessary libraries...</p>
-                    {error && <p className="text-red-500 text-sm mt-4">{error}</p>}
-                </div>
-            </div>
-        );
-    }
+    // Function to export the summary table as CSV, XLSX or JSON
+    const handleExport = async (format) => {
+        if (receiptsToExport.length === 0) {
+            setError("No receipts to export.");
+            return;
+        }
+
+        setError(null);
+        const rows = buildSummaryRows(receiptsToExport, reportingCurrency, exchangeRates, categories, zipPaths, exportViolations);
+        try {
+            if (format === 'csv') {
+                await saveFile(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), 'receipts.csv');
+            } else if (format === 'json') {
+                await saveFile(new Blob([toJson(rows)], { type: 'application/json' }), 'receipts.json');
+            } else if (format === 'xlsx') {
+                await saveFile(await toXlsxBlob(rows, await loadJsZip()), 'receipts.xlsx');
+            }
+        } catch (exportError) {
+            console.error(`Error exporting ${format}:`, exportError);
+            setError(`Failed to export receipts as ${format.toUpperCase()}.`);
+        }
+    };
+
+    // Accounting export of the exported receipts, with transactions referencing their ZIP file names
+    const buildAccountingFile = (formatId) => buildAccountingExport(formatId, receiptsToExport, {
+        mappings: accountingMappings,
+        reportingCurrency,
+        rates: exchangeRates,
+        categories,
+        zipPaths
+    });
+
+    // Function to download a QuickBooks, Xero, OFX or QIF export on its own
+    const handleAccountingExport = async (formatId) => {
+        if (receiptsToExport.length === 0) {
+            setError("No receipts to export.");
+            return;
+        }
+
+        setError(null);
+        const { label } = ACCOUNTING_FORMATS.find(format => format.id === formatId);
+        try {
+            const accountingExport = buildAccountingFile(formatId);
+            await saveFile(new Blob([accountingExport.content], { type: accountingExport.mimeType }), accountingExport.filename);
+            const skippedWarning = describeSkipped(label, accountingExport.skipped);
+            if (skippedWarning) setError(skippedWarning);
+        } catch (exportError) {
+            console.error(`Error exporting ${label}:`, exportError);
+            setError(`Failed to export receipts as ${label}.`);
+        }
+    };
+
+    // Function to download the combined PDF expense report of the exported receipts
+    const handleDownloadReport = async () => {
+        if (receiptsToExport.length === 0) {
+            setError("No receipts to export.");
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+        try {
+            const report = await buildExpenseReport(receiptsToExport, {
+                claimant: claimantName.trim(),
+                period: reportPeriod,
+                reportingCurrency,
+                rates: exchangeRates,
+                categories,
+                violations: exportViolations
+            });
+            await saveFile(report, 'expense-report.pdf');
+        } catch (reportError) {
+            console.error("Error building PDF report:", reportError);
+            setError(`Failed to create the PDF report. ${reportError.message || ''}`.trim());
+        } finally {
+            setLoading(false);
+        }
+    };
 
     return (
         <div className="min-h-screen bg-gray-100 p-4 sm:p-8 font-sans">
-            <style>
-                {`
-                @import url('https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap');
-                body {
-                    font-family: 'Inter', sans-serif;
-                }
-                `}
-            </style>
             <div className="max-w-4xl mx-auto bg-white p-6 rounded-lg shadow-xl">
                 <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">Receipt Scanner Dashboard</h1>
                 <p className="text-gray-600 mb-8 text-center">
-                    Upload image or PDF files of your receipts to automatically extract date, company name, category, meal type, and cost. Double-click on a cell to edit its value.
+                    Upload image or PDF files of your receipts to automatically extract date, company name, category, meal type, cost and line items. Double-click on a cell to edit its value, or expand a row to edit its line items or split it between people.
                 </p>
 
-                <div className="mb-8 p-6 border-2 border-dashed border-gray-300 rounded-lg text-center bg-gray-50 hover:border-blue-500 transition-colors duration-200">
+                {activeSessionId && (
+                    <div className="mb-6 flex flex-wrap items-center justify-center gap-2">
+                        <label htmlFor="session-select" className="text-sm font-medium text-gray-700">Session:</label>
+                        <select
+                            id="session-select"
+                            value={activeSessionId}
+                            onChange={handleSwitchSession}
+                            disabled={loading || processing}
+                            className="p-2 border rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                        >
+                            {sessions.map(session => (
+                                <option key={session.id} value={session.id}>{session.name}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={handleNewSession}
+                            disabled={loading || processing}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-2 px-3 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50"
+                        >
+                            New
+                        </button>
+                        <button
+                            onClick={handleRenameSession}
+                            disabled={loading || processing}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-2 px-3 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50"
+                        >
+                            Rename
+                        </button>
+                        <button
+                            onClick={handleDeleteSession}
+                            disabled={loading || processing}
+                            className="bg-gray-200 hover:bg-red-100 text-red-600 text-sm py-2 px-3 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                )}
+
+                {(!online || pendingSyncCount > 0) && (
+                    <div className={`mb-4 p-3 rounded-lg text-sm text-center ${online ? 'bg-blue-50 text-blue-800' : 'bg-yellow-50 text-yellow-800'}`}>
+                        {online
+                            ? `Extracting ${pendingSyncCount} receipt${pendingSyncCount === 1 ? '' : 's'} captured offline...`
+                            : `You are offline. New receipts are saved and extracted automatically when the connection returns${pendingSyncCount > 0 ? ` (${pendingSyncCount} pending)` : ''}.`}
+                    </div>
+                )}
+
+                <div
+                    onDragOver={handleDragOver}
+                    onDragLeave={handleDragLeave}
+                    onDrop={handleDrop}
+                    className={`mb-8 p-6 border-2 border-dashed rounded-lg text-center transition-colors duration-200 ${dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50 hover:border-blue-500'}`}
+                >
                     <label htmlFor="receipt-upload" className="cursor-pointer block py-4">
                         <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"></path>
                         </svg>
                         <span className="mt-2 block text-sm font-medium text-gray-900">
-                            {loading ? 'Processing files...' : 'Click to upload multiple receipt images or PDFs'}
+                            {dragActive ? 'Drop to add' : processing ? 'Processing files... (click or drop to add more)' : 'Click, drop or paste receipt images, PDFs, folders or ZIP files'}
                         </span>
                         <input
                             id="receipt-upload"
                             type="file"
-                            accept="image/*,application/pdf"
+                            accept="image/*,.heic,.heif,application/pdf,.zip,application/zip"
                             onChange={handleImageUpload}
                             className="sr-only"
                             disabled={loading}
                             multiple
                         />
                     </label>
+                    <CameraCapture onSubmit={queueFiles} disabled={loading} />
+                    <div className="mt-2 flex flex-wrap items-center justify-center gap-3 text-sm text-gray-700">
+                        <label className="flex items-center">
+                            PDF pages:
+                            <input
+                                type="text"
+                                value={pdfPageRange}
+                                onChange={(e) => setPdfPageRange(e.target.value)}
+                                placeholder="all, 1-3, last"
+                                disabled={loading}
+                                className="ml-1 w-28 p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
+                            />
+                        </label>
+                        <label className="flex items-center">
+                            <input
+                                type="checkbox"
+                                checked={splitPdfPages}
+                                onChange={(e) => setSplitPdfPages(e.target.checked)}
+                                disabled={loading}
+                                className="mr-1"
+                            />
+                            One receipt per PDF page
+                        </label>
+                    </div>
                     {loading && (
                         <div className="flex justify-center items-center mt-4">
                             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
                         </div>
                     )}
+                    <UploadQueue
+                        items={uploadQueue}
+                        concurrency={uploadConcurrency}
+                        onConcurrencyChange={setUploadConcurrency}
+                        onRetry={handleRetryItem}
+                        onRetryAllFailed={handleRetryAllFailed}
+                        onCancel={handleCancelItem}
+                        onCancelAll={handleCancelAll}
+                        onRemove={handleRemoveQueueItem}
+                        onClearFinished={handleClearFinished}
+                    />
                     {error && (
                         <p className="text-red-500 text-sm mt-4">{error}</p>
                     )}
-                    {currentImagePreview && (
+                    {currentImagePreview && !reviewMode && (
                         <div className="mt-4">
                             <h3 className="text-lg font-semibold text-gray-700 mb-2">File Preview ({currentPreviewIndex + 1} of {receipts.length}):</h3>
                             <div className="flex items-center justify-center space-x-2">
@@ -431,7 +1222,12 @@ function App() {
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
                                     </svg>
                                 </button>
-                                <img src={currentImagePreview} alt="Receipt Preview" className="max-w-full h-auto rounded-md shadow-md mx-auto" style={{ maxHeight: '300px' }} />
+                                <img
+                                    src={showOriginalPreview && originalImagePreview ? originalImagePreview : currentImagePreview}
+                                    alt="Receipt Preview"
+                                    className="max-w-full h-auto rounded-md shadow-md mx-auto"
+                                    style={{ maxHeight: '300px' }}
+                                />
                                 <button
                                     onClick={handleNextPreview}
                                     disabled={receipts.length <= 1}
@@ -442,149 +1238,585 @@ function App() {
                                     </svg>
                                 </button>
                             </div>
+                            {receipts[currentPreviewIndex] && receipts[currentPreviewIndex].preprocessing && (
+                                <div className="flex flex-wrap items-center justify-center gap-2 mt-2 text-xs text-gray-600">
+                                    {originalImagePreview && (
+                                        <button
+                                            onClick={() => setShowOriginalPreview(showOriginal => !showOriginal)}
+                                            className="py-1 px-2 bg-gray-200 rounded hover:bg-gray-300 text-gray-800"
+                                        >
+                                            {showOriginalPreview ? 'Show processed' : 'Show original'}
+                                        </button>
+                                    )}
+                                    <span>
+                                        {formatBytes(receipts[currentPreviewIndex].preprocessing.originalBytes)} uploaded, {formatBytes(receipts[currentPreviewIndex].preprocessing.processedBytes)} sent for extraction
+                                        {receipts[currentPreviewIndex].preprocessing.steps.length > 0 && ` (${receipts[currentPreviewIndex].preprocessing.steps.join(', ')})`}
+                                    </span>
+                                </div>
+                            )}
+                            {currentPreviewPages.length > 1 && (
+                                <div className="flex items-center justify-center space-x-2 mt-2 text-sm text-gray-700">
+                                    <button
+                                        onClick={() => setCurrentPreviewPage(page => Math.max(page - 1, 0))}
+                                        disabled={currentPreviewPage === 0}
+                                        className="py-1 px-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        Prev page
+                                    </button>
+                                    <span>Page {currentPreviewPage + 1} of {currentPreviewPages.length}</span>
+                                    <button
+                                        onClick={() => setCurrentPreviewPage(page => Math.min(page + 1, currentPreviewPages.length - 1))}
+                                        disabled={currentPreviewPage >= currentPreviewPages.length - 1}
+                                        className="py-1 px-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        Next page
+                                    </button>
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
 
+                {pendingDuplicates.length > 0 && (
+                    <DuplicatePrompt
+                        duplicate={pendingDuplicates[0]}
+                        existing={receipts.find(receipt => receipt.id === pendingDuplicates[0].receiptId)}
+                        remainingCount={pendingDuplicates.length - 1}
+                        onMerge={() => handleResolveDuplicate('merge')}
+                        onKeep={() => handleResolveDuplicate('keep')}
+                        onDiscard={() => handleResolveDuplicate('discard')}
+                    />
+                )}
+
                 {(receipts.length > 0 || currentImagePreview || error) && (
                     <div className="flex justify-center space-x-4 mb-6">
                         <button
                             onClick={handleReset}
                             className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-md shadow-sm transition-colors duration-200"
                         >
-                            Reset All
+                            Reset Session
+                        </button>
+                        <button
+                            onClick={handleUndo}
+                            disabled={history.past.length === 0}
+                            title={history.past.length > 0 ? `Undo ${describeEntry(history.past[history.past.length - 1])} (Ctrl+Z)` : 'Nothing to undo'}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Undo
+                        </button>
+                        <button
+                            onClick={handleRedo}
+                            disabled={history.future.length === 0}
+                            title={history.future.length > 0 ? `Redo ${describeEntry(history.future[0])} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Redo
                         </button>
                         {receipts.length > 0 && (
                             <button
                                 onClick={handleDownloadAll}
                                 className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-2 px-4 rounded-md shadow-sm transition-colors duration-200"
                             >
-                                Download All
+                                {receiptsToExport === receipts ? 'Download All' : `Download Filtered (${receiptsToExport.length})`}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {receipts.length > 0 && (
+                    <FilenameTemplateEditor
+                        template={filenameTemplate}
+                        onChange={setFilenameTemplate}
+                        errors={filenameTemplateErrors}
+                        receipts={receiptsToExport}
+                        zipPaths={zipPaths}
+                    />
+                )}
+
+                <ExtractionSettings
+                    provider={extractionProvider}
+                    onProviderChange={setExtractionProvider}
+                    endpoint={extractionEndpoint}
+                    onEndpointChange={setExtractionEndpoint}
+                    disabled={processing}
+                />
+
+                <CategorySettings
+                    categories={categories}
+                    onCategoriesChange={setCategories}
+                    rules={categoryRules}
+                    onRulesChange={setCategoryRules}
+                    onError={setError}
+                />
+
+                <PolicySettings
+                    policy={expensePolicy}
+                    onChange={setExpensePolicy}
+                    onError={setError}
+                />
+
+                <AccountingSettings
+                    mappings={accountingMappings}
+                    onChange={setAccountingMappings}
+                    categories={categories}
+                />
+
+                <PreprocessingSettings
+                    settings={preprocessingSettings}
+                    onChange={setPreprocessingSettings}
+                    disabled={processing}
+                />
+
+                <CurrencySettings
+                    reportingCurrency={reportingCurrency}
+                    onReportingCurrencyChange={setReportingCurrency}
+                    rates={exchangeRates}
+                    onRatesChange={setExchangeRates}
+                    onError={setError}
+                />
+
+                {receipts.length > 0 && (
+                    <div className="flex flex-wrap justify-center items-center gap-2 mb-6">
+                        <span className="text-sm font-medium text-gray-700">Export summary:</span>
+                        {['csv', 'xlsx', 'json'].map(format => (
+                            <button
+                                key={format}
+                                onClick={() => handleExport(format)}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                            >
+                                {format.toUpperCase()}
                             </button>
+                        ))}
+                        <label className="flex items-center text-sm text-gray-700 ml-2">
+                            <input
+                                type="checkbox"
+                                checked={includeManifest}
+                                onChange={(e) => setIncludeManifest(e.target.checked)}
+                                className="mr-1"
+                            />
+                            Include CSV manifest in ZIP
+                        </label>
+                        {isFiltered && (
+                            <label className="flex items-center text-sm text-gray-700 ml-2">
+                                <input
+                                    type="checkbox"
+                                    checked={exportFilteredOnly}
+                                    onChange={(e) => setExportFilteredOnly(e.target.checked)}
+                                    className="mr-1"
+                                />
+                                Only filtered rows ({visibleRows.length})
+                            </label>
                         )}
                     </div>
                 )}
 
+                {receipts.length > 0 && (
+                    <div className="flex flex-wrap justify-center items-center gap-2 mb-6">
+                        <span className="text-sm font-medium text-gray-700">Accounting export:</span>
+                        {ACCOUNTING_FORMATS.map(format => (
+                            <button
+                                key={format.id}
+                                onClick={() => handleAccountingExport(format.id)}
+                                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                            >
+                                {format.label}
+                            </button>
+                        ))}
+                        <label className="flex items-center text-sm text-gray-700 ml-2">
+                            Include in ZIP:
+                            <select
+                                value={zipAccountingFormat}
+                                onChange={(e) => setZipAccountingFormat(e.target.value)}
+                                className="ml-1 p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                            >
+                                <option value="">None</option>
+                                {ACCOUNTING_FORMATS.map(format => <option key={format.id} value={format.id}>{format.label}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                )}
+
+                {receipts.length > 0 && (
+                    <div className="flex flex-wrap justify-center items-center gap-2 mb-6 text-sm text-gray-700">
+                        <span className="font-medium">Expense report:</span>
+                        <input
+                            type="text"
+                            value={claimantName}
+                            onChange={(e) => setClaimantName(e.target.value)}
+                            placeholder="Claimant name"
+                            className="p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                        />
+                        <label
+                            className="flex items-center gap-1"
+                            title={`Leave empty to use the receipt dates (${receiptPeriod(receiptsToExport).from || '?'} to ${receiptPeriod(receiptsToExport).to || '?'})`}
+                        >
+                            Period
+                            <input
+                                type="date"
+                                value={reportPeriod.from}
+                                onChange={(e) => setReportPeriod(period => ({ ...period, from: e.target.value }))}
+                                className="p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                            />
+                            –
+                            <input
+                                type="date"
+                                value={reportPeriod.to}
+                                onChange={(e) => setReportPeriod(period => ({ ...period, to: e.target.value }))}
+                                className="p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                            />
+                        </label>
+                        <button
+                            onClick={handleDownloadReport}
+                            disabled={loading}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            title={`Cover page and one page per receipt${receiptsToExport === receipts ? '' : ' (filtered rows only)'}`}
+                        >
+                            Download PDF
+                        </button>
+                    </div>
+                )}
+
+                {receipts.length > 0 && (
+                    <AnalyticsPanel
+                        analytics={analytics}
+                        currency={reportingCurrency}
+                        activeFilter={chartFilter}
+                        onFilterChange={setChartFilter}
+                    />
+                )}
+
+                {anySplit && (
+                    <AllocationTotals totals={allocationSummary} currency={reportingCurrency} />
+                )}
+
+                {receipts.length > 0 && (
+                    <ReconciliationPanel
+                        receipts={receipts}
+                        reportingCurrency={reportingCurrency}
+                        rates={exchangeRates}
+                        onShowReceipt={setCurrentPreviewIndex}
+                        onError={setError}
+                    />
+                )}
+
                 {receipts.length > 0 && (
                     <div className="mt-8">
                         <h2 className="text-2xl font-bold text-gray-800 mb-4 text-center">Extracted Receipts Summary</h2>
+                        <TableFilters
+                            filters={tableFilters}
+                            onChange={setTableFilters}
+                            categoryOptions={categoryOptions}
+                            mealTypeOptions={mealTypeOptions}
+                        />
+                        {chartFilter && (
+                            <div className="flex items-center justify-center gap-2 mb-3 text-sm text-gray-700">
+                                <span>
+                                    Showing {chartFilter.field === 'companyName' ? 'merchant' : chartFilter.field === 'mealType' ? 'meal type' : chartFilter.field}: <strong>{chartFilter.value}</strong>
+                                </span>
+                                <button
+                                    onClick={() => setChartFilter(null)}
+                                    className="text-xs py-1 px-2 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-800"
+                                >
+                                    Clear filter
+                                </button>
+                            </div>
+                        )}
+                        <div className="flex items-center justify-center gap-2 mb-3 text-sm text-gray-700">
+                            <span>{reviewedCount} of {receipts.length} reviewed</span>
+                            {flaggedCount > 0 && (
+                                <span className="text-red-700" title="Expand a flagged row to see its violations and add a justification">
+                                    · {flaggedCount} policy violation{flaggedCount === 1 ? '' : 's'} ({justifiedCount} justified)
+                                </span>
+                            )}
+                            {(needsReviewCount > 0 || needsReviewOnly) && (
+                                <button
+                                    onClick={() => setNeedsReviewOnly(!needsReviewOnly)}
+                                    className={`text-xs py-1 px-2 rounded-md ${needsReviewOnly ? 'bg-yellow-500 hover:bg-yellow-600 text-white' : 'bg-yellow-100 hover:bg-yellow-200 text-yellow-800'}`}
+                                    title="Receipts with low-confidence or suspicious values that haven't been approved yet"
+                                >
+                                    {needsReviewOnly ? 'Show all receipts' : `${needsReviewCount} need${needsReviewCount === 1 ? 's' : ''} review`}
+                                </button>
+                            )}
+                            <button
+                                onClick={() => (reviewMode ? setReviewMode(false) : handleOpenReview(reviewPosition === -1 && visibleRows.length > 0 ? visibleRows[0].index : currentPreviewIndex))}
+                                disabled={!reviewMode && visibleRows.length === 0}
+                                className="text-xs py-1 px-2 rounded-md bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {reviewMode ? 'Close review mode' : 'Review mode'}
+                            </button>
+                        </div>
+                        {reviewMode && receipts[currentPreviewIndex] && (
+                            <ReviewPanel
+                                key={receipts[currentPreviewIndex].id}
+                                receipt={receipts[currentPreviewIndex]}
+                                position={reviewPosition}
+                                count={visibleRows.length}
+                                pageImages={currentPreviewPages}
+                                page={currentPreviewPage}
+                                onPageChange={setCurrentPreviewPage}
+                                onPrev={() => handleReviewStep(-1)}
+                                onNext={() => handleReviewStep(1)}
+                                onApprove={handleApproveReceipt}
+                                onClose={() => setReviewMode(false)}
+                                onFieldSave={(field, value) => handleCellSave(currentPreviewIndex, field, value)}
+                                issues={reviewIssues[currentPreviewIndex]}
+                                onReextract={() => handleReextractReceipt(currentPreviewIndex)}
+                                reextracting={reextractingIds.includes(receipts[currentPreviewIndex].id)}
+                                categoryOptions={configuredCategoryNames}
+                                reportingCurrency={reportingCurrency}
+                            />
+                        )}
                         <div className="overflow-x-auto rounded-lg shadow-md">
                             <table className="min-w-full bg-white border border-gray-200">
                                 <thead>
                                     <tr className="bg-blue-50 text-left text-xs font-semibold text-blue-700 uppercase tracking-wider">
-                                        <th className="py-3 px-4 border-b">Date</th>
-                                        <th className="py-3 px-4 border-b">Company</th> {/* New column header */}
-                                        <th className="py-3 px-4 border-b">Category</th>
-                                        <th className="py-3 px-4 border-b">Meal Type</th>
-                                        <th className="py-3 px-4 border-b">Cost</th>
+                                        <th className="py-3 px-2 border-b"></th>
+                                        {SORTABLE_COLUMNS.map(([field, label]) => (
+                                            <th key={field} className="py-3 px-4 border-b">
+                                                <button
+                                                    onClick={() => setTableSort(nextSort(tableSort, field))}
+                                                    className="uppercase font-semibold hover:text-blue-900"
+                                                    title="Sort by this column"
+                                                >
+                                                    {label}
+                                                    {tableSort?.field === field && (tableSort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                                </button>
+                                            </th>
+                                        ))}
                                         <th className="py-3 px-4 border-b">Actions</th>
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    {receipts.map((receipt, index) => (
-                                        <tr key={index} className="border-b border-gray-200 hover:bg-gray-50">
-                                            <td
-                                                onDoubleClick={() => handleDoubleClick(index, 'date', receipt.date)}
-                                                className="py-3 px-4 text-sm text-gray-800"
-                                            >
-                                                {editingCell?.rowIndex === index && editingCell?.fieldName === 'date' ? (
-                                                    <input
-                                                        type="text"
-                                                        value={editedValue}
-                                                        onChange={handleInputChange}
-                                                        onBlur={() => handleInputBlur(index, 'date')}
-                                                        onKeyDown={(e) => handleKeyDown(e, index, 'date')}
-                                                        className="w-full p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
-                                                        autoFocus
-                                                    />
-                                                ) : (
-                                                    receipt.date
-                                                )}
-                                            </td>
-                                            <td
-                                                onDoubleClick={() => handleDoubleClick(index, 'companyName', receipt.companyName)}
-                                                className="py-3 px-4 text-sm text-gray-800"
-                                            >
-                                                {editingCell?.rowIndex === index && editingCell?.fieldName === 'companyName' ? (
-                                                    <input
-                                                        type="text"
-                                                        value={editedValue}
-                                                        onChange={handleInputChange}
-                                                        onBlur={() => handleInputBlur(index, 'companyName')}
-                                                        onKeyDown={(e) => handleKeyDown(e, index, 'companyName')}
-                                                        className="w-full p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
-                                                        autoFocus
-                                                    />
-                                                ) : (
-                                                    receipt.companyName
-                                                )}
-                                            </td>
-                                            <td
-                                                onDoubleClick={() => handleDoubleClick(index, 'category', receipt.category)}
-                                                className="py-3 px-4 text-sm text-gray-800"
+                                    {visibleRows.map(({ receipt, index }) => (
+                                        <React.Fragment key={index}>
+                                            <tr
+                                                onClick={() => setCurrentPreviewIndex(index)}
+                                                className={`border-b border-gray-200 ${index === currentPreviewIndex ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
                                             >
-                                                {editingCell?.rowIndex === index && editingCell?.fieldName === 'category' ? (
-                                                    <input
-                                                        type="text"
-                                                        value={editedValue}
-                                                        onChange={handleInputChange}
-                                                        onBlur={() => handleInputBlur(index, 'category')}
-                                                        onKeyDown={(e) => handleKeyDown(e, index, 'category')}
-                                                        className="w-full p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
-                                                        autoFocus
-                                                    />
-                                                ) : (
-                                                    receipt.category
-                                                )}
-                                            </td>
-                                            <td
-                                                onDoubleClick={() => handleDoubleClick(index, 'mealType', receipt.mealType)}
-                                                className="py-3 px-4 text-sm text-gray-800"
-                                            >
-                                                {editingCell?.rowIndex === index && editingCell?.fieldName === 'mealType' ? (
-                                                    <input
-                                                        type="text"
-                                                        value={editedValue}
-                                                        onChange={handleInputChange}
-                                                        onBlur={() => handleInputBlur(index, 'mealType')}
-                                                        onKeyDown={(e) => handleKeyDown(e, index, 'mealType')}
-                                                        className="w-full p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
-                                                        autoFocus
-                                                    />
-                                                ) : (
-                                                    receipt.mealType
-                                                )}
-                                            </td>
-                                            <td
-                                                onDoubleClick={() => handleDoubleClick(index, 'cost', receipt.cost.toFixed(2))}
-                                                className="py-3 px-4 text-sm text-gray-800"
-                                            >
-                                                {editingCell?.rowIndex === index && editingCell?.fieldName === 'cost' ? (
-                                                    <input
-                                                        type="number"
-                                                        step="0.01"
-                                                        value={editedValue}
-                                                        onChange={handleInputChange}
-                                                        onBlur={() => handleInputBlur(index, 'cost')}
-                                                        onKeyDown={(e) => handleKeyDown(e, index, 'cost')}
-                                                        className="w-full p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
-                                                        autoFocus
-                                                    />
-                                                ) : (
-                                                    `$${receipt.cost ? receipt.cost.toFixed(2) : '0.00'}`
-                                                )}
-                                            </td>
-                                            <td className="py-3 px-4 text-sm text-gray-800">
-                                                <button
-                                                    onClick={() => handleDeleteReceipt(index)}
-                                                    className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                                                <td className="py-3 px-2 text-sm text-gray-600">
+                                                    <button
+                                                        onClick={() => setExpandedRowIndex(expandedRowIndex === index ? null : index)}
+                                                        className="w-6 h-6 rounded hover:bg-gray-200"
+                                                        title="Show line items"
+                                                    >
+                                                        {expandedRowIndex === index ? '▾' : '▸'}
+                                                    </button>
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'date')}
+                                                    {...issueCellProps(index, 'date')}
                                                 >
-                                                    Delete
-                                                </button>
-                                            </td>
-                                        </tr>
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'date' ? (
+                                                        <CellEditor
+                                                            fieldName="date"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.date}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'date', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        receipt.date
+                                                    )}
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'companyName')}
+                                                    {...issueCellProps(index, 'companyName')}
+                                                >
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'companyName' ? (
+                                                        <CellEditor
+                                                            fieldName="companyName"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.companyName}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'companyName', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        receipt.companyName
+                                                    )}
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'category')}
+                                                    {...issueCellProps(index, 'category')}
+                                                >
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'category' ? (
+                                                        <CellEditor
+                                                            fieldName="category"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.category}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'category', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        receipt.category
+                                                    )}
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'mealType')}
+                                                    {...issueCellProps(index, 'mealType')}
+                                                >
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'mealType' ? (
+                                                        <CellEditor
+                                                            fieldName="mealType"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.mealType}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'mealType', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        receipt.mealType
+                                                    )}
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'currency')}
+                                                    {...issueCellProps(index, 'currency')}
+                                                >
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'currency' ? (
+                                                        <CellEditor
+                                                            fieldName="currency"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.currency || reportingCurrency}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'currency', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        receipt.currency || reportingCurrency
+                                                    )}
+                                                </td>
+                                                <td
+                                                    onDoubleClick={() => handleDoubleClick(index, 'cost')}
+                                                    {...issueCellProps(index, 'cost')}
+                                                >
+                                                    {editingCell?.rowIndex === index && editingCell?.fieldName === 'cost' ? (
+                                                        <CellEditor
+                                                            fieldName="cost"
+                                                            receipt={receipt}
+                                                            initialValue={receipt.cost}
+                                                            categoryOptions={configuredCategoryNames}
+                                                            onSave={(value) => handleCellSave(index, 'cost', value)}
+                                                            onCancel={() => setEditingCell(null)}
+                                                        />
+                                                    ) : (
+                                                        <>
+                                                            {formatMoney(receipt.cost, receipt.currency || reportingCurrency)}
+                                                            {lineItemChecks[index] && !lineItemChecks[index].matches && (
+                                                                <span className="ml-1 text-yellow-600 cursor-help" title={lineItemChecks[index].message}>⚠</span>
+                                                            )}
+                                                            {hasAllocations(receipt) && (
+                                                                <span
+                                                                    className={`block text-xs ${checkAllocations(receipt, reportingCurrency).matches ? 'text-gray-500' : 'text-yellow-700'}`}
+                                                                    title={checkAllocations(receipt, reportingCurrency).message || 'Expand the row to edit the split'}
+                                                                >
+                                                                    Split {receipt.allocations.splits.length} ways
+                                                                </span>
+                                                            )}
+                                                            {normalizeCurrencyCode(receipt.currency, reportingCurrency) !== reportingCurrency && (
+                                                                <span className="block text-xs text-gray-500">
+                                                                    {convertedCostLabel(receipt)}
+                                                                </span>
+                                                            )}
+                                                        </>
+                                                    )}
+                                                </td>
+                                                <td className="py-3 px-4 text-sm text-gray-800 whitespace-nowrap">
+                                                    {receipt.reviewed && (
+                                                        <span className="mr-2 text-green-700 font-bold" title="Reviewed">✓</span>
+                                                    )}
+                                                    {receipt.syncStatus && (
+                                                        receipt.syncStatus === SYNC_STATUS.FAILED ? (
+                                                            <button
+                                                                onClick={() => handleRetrySync(receipt.id)}
+                                                                className={`mr-2 text-xs font-semibold py-0.5 px-2 rounded-full ${SYNC_BADGES[receipt.syncStatus][1]}`}
+                                                                title={`${receipt.syncError || 'Extraction failed.'} Click to retry.`}
+                                                            >
+                                                                {SYNC_BADGES[receipt.syncStatus][0]}
+                                                            </button>
+                                                        ) : (
+                                                            <span className={`mr-2 text-xs font-semibold py-0.5 px-2 rounded-full ${SYNC_BADGES[receipt.syncStatus][1]}`}>
+                                                                {SYNC_BADGES[receipt.syncStatus][0]}
+                                                            </span>
+                                                        )
+                                                    )}
+                                                    {policyViolations[index].length > 0 && (
+                                                        <button
+                                                            onClick={() => setExpandedRowIndex(index)}
+                                                            className={`mr-2 text-xs font-semibold py-0.5 px-2 rounded-full ${receipt.policyJustification ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-700'}`}
+                                                            title={`${policyViolations[index].map(violation => violation.message).join('\n')}${receipt.policyJustification ? `\nJustification: ${receipt.policyJustification}` : ''}`}
+                                                        >
+                                                            ⚑ {policyViolations[index].length}
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => handleOpenReview(index)}
+                                                        className="bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 mr-2 rounded-md shadow-sm transition-colors duration-200"
+                                                    >
+                                                        Review
+                                                    </button>
+                                                    <button
+                                                        onClick={(e) => { e.stopPropagation(); handleReextractReceipt(index); }}
+                                                        disabled={reextractingIds.includes(receipt.id) || receipt.syncStatus === SYNC_STATUS.PENDING || receipt.syncStatus === SYNC_STATUS.SYNCING}
+                                                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-2 mr-2 rounded-md shadow-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                        title="Re-extract this receipt from its stored image"
+                                                    >
+                                                        {reextractingIds.includes(receipt.id) ? '…' : '↻'}
+                                                    </button>
+                                                    <button
+                                                        onClick={(e) => { e.stopPropagation(); handleDeleteReceipt(index); }}
+                                                        className="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                </td>
+                                            </tr>
+                                            {expandedRowIndex === index && (
+                                                <tr className="border-b border-gray-200">
+                                                    <td colSpan={8}>
+                                                        {policyViolations[index].length > 0 && (
+                                                            <PolicyViolations
+                                                                violations={policyViolations[index]}
+                                                                justification={receipt.policyJustification || ''}
+                                                                onChange={(note) => updateReceiptAt(index, { policyJustification: note })}
+                                                            />
+                                                        )}
+                                                        <LineItemsEditor
+                                                            receipt={receipt}
+                                                            onChange={(fields) => handleReceiptFieldsChange(index, fields)}
+                                                        />
+                                                        <AllocationEditor
+                                                            receipt={receipt}
+                                                            reportingCurrency={reportingCurrency}
+                                                            onChange={(allocations) => handleReceiptFieldsChange(index, { allocations })}
+                                                        />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
                                     ))}
                                 </tbody>
+                                <tfoot>
+                                    <tr className="bg-gray-50 text-sm font-semibold text-gray-800">
+                                        <td colSpan={6} className="py-3 px-4 text-right">
+                                            {isFiltered ? 'Filtered total' : 'Total'} ({visibleRows.length}{isFiltered && ` of ${receipts.length}`} receipt{receipts.length === 1 ? '' : 's'})
+                                            {Object.keys(amountSummary.byCurrency).length > 1 && (
+                                                <span className="block text-xs font-normal text-gray-500">
+                                                    {Object.entries(amountSummary.byCurrency).map(([currency, total]) => formatMoney(total, currency)).join(' + ')}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td colSpan={2} className="py-3 px-4">
+                                            {formatMoney(amountSummary.convertedTotal, reportingCurrency)}
+                                            {amountSummary.missingRates.length > 0 && (
+                                                <span className="block text-xs font-normal text-yellow-700">
+                                                    Excludes {amountSummary.missingRates.join(', ')} (no exchange rate)
+                                                </span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                </tfoot>
                             </table>
                         </div>
                     </div>
@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Camera mode for phones: take several photos in a row, check the thumbnails, then queue them all.
+// Uses the capture attribute, so desktop browsers fall back to a file picker.
+function CameraCapture({ onSubmit, disabled }) {
+    const [photos, setPhotos] = useState([]); // [{ file, url }]
+    const inputRef = useRef(null);
+    const photosRef = useRef(photos);
+    photosRef.current = photos;
+
+    // Release the thumbnail object URLs when the component goes away
+    useEffect(() => () => photosRef.current.forEach(photo => URL.revokeObjectURL(photo.url)), []);
+
+    const handleCapture = (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = null;
+        if (files.length === 0) return;
+        setPhotos(prevPhotos => [
+            ...prevPhotos,
+            ...files.map((file, index) => ({
+                // Camera photos are often all called "image.jpg"
+                file: new File([file], `camera-${prevPhotos.length + index + 1}-${Date.now()}.${(/\.([a-z0-9]+)$/i.exec(file.name) || [null, 'jpg'])[1]}`, { type: file.type }),
+                url: URL.createObjectURL(file)
+            }))
+        ]);
+    };
+
+    const handleRemove = (indexToRemove) => {
+        URL.revokeObjectURL(photos[indexToRemove].url);
+        setPhotos(prevPhotos => prevPhotos.filter((photo, index) => index !== indexToRemove));
+    };
+
+    const handleSubmit = () => {
+        onSubmit(photos.map(photo => photo.file));
+        photos.forEach(photo => URL.revokeObjectURL(photo.url));
+        setPhotos([]);
+    };
+
+    return (
+        <div className="mt-3">
+            <input ref={inputRef} type="file" accept="image/*" capture="environment" onChange={handleCapture} className="sr-only" />
+            <button
+                onClick={() => inputRef.current.click()}
+                disabled={disabled}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                📷 {photos.length > 0 ? 'Take another photo' : 'Take photos'}
+            </button>
+            {photos.length > 0 && (
+                <div className="mt-3">
+                    <div className="flex flex-wrap justify-center gap-2">
+                        {photos.map((photo, index) => (
+                            <div key={photo.url} className="relative">
+                                <img src={photo.url} alt={`Captured receipt ${index + 1}`} className="h-20 w-16 object-cover rounded border border-gray-300" />
+                                <button
+                                    onClick={() => handleRemove(index)}
+                                    className="absolute -top-2 -right-2 w-5 h-5 rounded-full bg-red-500 text-white text-xs leading-5"
+                                    title="Remove photo"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="mt-2 flex justify-center gap-2">
+                        <button
+                            onClick={handleSubmit}
+                            disabled={disabled}
+                            className="bg-blue-500 hover:bg-blue-600 text-white text-sm font-bold py-1 px-3 rounded-md shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Process {photos.length} photo{photos.length === 1 ? '' : 's'}
+                        </button>
+                        <button
+                            onClick={() => { photos.forEach(photo => URL.revokeObjectURL(photo.url)); setPhotos([]); }}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm"
+                        >
+                            Discard
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default CameraCapture;
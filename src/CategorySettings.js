@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { saveFile } from './libraries';
+import { createRule, isValidRulePattern, parseRulesJson, rulesToJson } from './categories';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Editable category list with GL account codes, and the merchant rules that categorise receipts
+// (importable and exportable as JSON)
+function CategorySettings({ categories, onCategoriesChange, rules, onRulesChange, onError }) {
+    const [newName, setNewName] = useState('');
+    const [newGlCode, setNewGlCode] = useState('');
+    const [newPattern, setNewPattern] = useState('');
+    const [newRuleCategory, setNewRuleCategory] = useState('');
+
+    const names = categories.map(category => category.name);
+    const ruleCategory = names.includes(newRuleCategory) ? newRuleCategory : names[0];
+
+    const handleGlCodeBlur = (name, glCode) => {
+        onCategoriesChange(categories.map(category => (category.name === name ? { ...category, glCode: glCode.trim() } : category)));
+    };
+
+    const handleRemoveCategory = (name) => {
+        if (categories.length <= 1) {
+            onError('Keep at least one category.');
+            return;
+        }
+        onCategoriesChange(categories.filter(category => category.name !== name));
+    };
+
+    const handleAddCategory = () => {
+        const name = newName.trim();
+        if (!name) {
+            onError('Enter a category name.');
+            return;
+        }
+        if (names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+            onError(`Category "${name}" already exists.`);
+            return;
+        }
+        onCategoriesChange([...categories, { name, glCode: newGlCode.trim() }]);
+        setNewName('');
+        setNewGlCode('');
+    };
+
+    const handleRuleChange = (id, changes) => {
+        onRulesChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes, learned: false } : rule)));
+    };
+
+    const handlePatternBlur = (rule, pattern) => {
+        if (!isValidRulePattern(pattern, rule.flags)) {
+            onError(`Invalid pattern: /${pattern}/`);
+            return;
+        }
+        if (pattern !== rule.pattern) handleRuleChange(rule.id, { pattern });
+    };
+
+    const handleAddRule = () => {
+        if (!isValidRulePattern(newPattern)) {
+            onError('Enter a valid regular expression for the company name, e.g. grab|uber');
+            return;
+        }
+        onRulesChange([...rules, createRule(newPattern, ruleCategory)]);
+        setNewPattern('');
+    };
+
+    const handleExportRules = () => {
+        saveFile(new Blob([rulesToJson(rules)], { type: 'application/json' }), 'category-rules.json').catch(saveError => onError(saveError.message));
+    };
+
+    const handleImportRules = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = parseRulesJson(reader.result);
+                // Categories used by imported rules are added to the list so they can be picked and exported
+                const missing = [...new Set(imported.map(rule => rule.category))].filter(name => !names.includes(name));
+                if (missing.length > 0) {
+                    onCategoriesChange([...categories, ...missing.map(name => ({ name, glCode: '' }))]);
+                }
+                onRulesChange([...rules, ...imported]);
+            } catch (importError) {
+                onError(importError.message);
+            }
+        };
+        reader.onerror = () => onError(`Failed to read file: ${file.name}.`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                Categories and rules ({categories.length} categories, {rules.length} rules)
+            </summary>
+            <div className="mt-4 space-y-4 text-sm text-gray-700">
+                <div>
+                    <p className="text-xs text-gray-500 mb-2">Receipts are classified into these categories. GL account codes are included in the exports.</p>
+                    <table className="bg-white border border-gray-200">
+                        <thead>
+                            <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                                <th className="py-1 px-2 border-b">Category</th>
+                                <th className="py-1 px-2 border-b">GL account</th>
+                                <th className="py-1 px-2 border-b"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {categories.map(category => (
+                                <tr key={category.name} className="border-b border-gray-200">
+                                    <td className="py-1 px-2">{category.name}</td>
+                                    <td className="py-1 px-2">
+                                        <input
+                                            key={`${category.name}-${category.glCode}`}
+                                            type="text"
+                                            defaultValue={category.glCode}
+                                            onBlur={(e) => handleGlCodeBlur(category.name, e.target.value)}
+                                            placeholder="e.g. 6100"
+                                            className={`${inputClassName} w-28 font-mono`}
+                                        />
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        <button onClick={() => handleRemoveCategory(category.name)} className="text-red-500 hover:text-red-700 font-bold" title="Remove category">✕</button>
+                                    </td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td className="py-1 px-2">
+                                    <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Travel - Meals" className={`${inputClassName} w-40`} />
+                                </td>
+                                <td className="py-1 px-2">
+                                    <input type="text" value={newGlCode} onChange={(e) => setNewGlCode(e.target.value)} placeholder="6100" className={`${inputClassName} w-28 font-mono`} />
+                                </td>
+                                <td className="py-1 px-2">
+                                    <button onClick={handleAddCategory} className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-md">Add</button>
+                                </td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <div>
+                    <p className="text-xs text-gray-500 mb-2">
+                        After extraction, the first rule whose pattern matches the company name sets the category. Correcting a category in the table adds a learned rule for that merchant.
+                    </p>
+                    <table className="bg-white border border-gray-200">
+                        <thead>
+                            <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                                <th className="py-1 px-2 border-b">Company name matches</th>
+                                <th className="py-1 px-2 border-b">Category</th>
+                                <th className="py-1 px-2 border-b"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.map(rule => (
+                                <tr key={rule.id} className="border-b border-gray-200">
+                                    <td className="py-1 px-2">
+                                        <span className="font-mono text-gray-400">/</span>
+                                        <input
+                                            key={rule.pattern}
+                                            type="text"
+                                            defaultValue={rule.pattern}
+                                            onBlur={(e) => handlePatternBlur(rule, e.target.value)}
+                                            className={`${inputClassName} w-48 font-mono`}
+                                        />
+                                        <span className="font-mono text-gray-400">/{rule.flags}</span>
+                                        {rule.learned && <span className="ml-1 text-xs text-blue-600" title="Learned from a correction in the table">learned</span>}
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        <select value={rule.category} onChange={(e) => handleRuleChange(rule.id, { category: e.target.value })} className={inputClassName}>
+                                            {(names.includes(rule.category) ? names : [rule.category, ...names]).map(name => (
+                                                <option key={name} value={name}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                    <td className="py-1 px-2">
+                                        <button onClick={() => onRulesChange(rules.filter(candidate => candidate.id !== rule.id))} className="text-red-500 hover:text-red-700 font-bold" title="Remove rule">✕</button>
+                                    </td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td className="py-1 px-2">
+                                    <input type="text" value={newPattern} onChange={(e) => setNewPattern(e.target.value)} placeholder="grab|uber" className={`${inputClassName} w-48 font-mono`} />
+                                </td>
+                                <td className="py-1 px-2">
+                                    <select value={ruleCategory} onChange={(e) => setNewRuleCategory(e.target.value)} className={inputClassName}>
+                                        {names.map(name => <option key={name} value={name}>{name}</option>)}
+                                    </select>
+                                </td>
+                                <td className="py-1 px-2">
+                                    <button onClick={handleAddRule} className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-md">Add</button>
+                                </td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                    <label className="inline-block cursor-pointer bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md shadow-sm">
+                        Import rules (JSON)
+                        <input type="file" accept=".json,application/json" onChange={handleImportRules} className="sr-only" />
+                    </label>
+                    <button
+                        onClick={handleExportRules}
+                        disabled={rules.length === 0}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Export rules (JSON)
+                    </button>
+                </div>
+            </div>
+        </details>
+    );
+}
+
+export default CategorySettings;
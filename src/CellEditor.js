@@ -0,0 +1,98 @@
+import React, { useState, useRef } from 'react';
+import { validateField, currencyDecimals, isValidIsoDate, MEAL_TYPE_OPTIONS } from './fieldValidation';
+
+const inputClassName = "w-full p-1 border rounded focus:outline-none focus:ring-1";
+
+// Typed, validated editor for one cell of the summary table.
+// Enter or leaving the field saves a valid value, Escape cancels; invalid values stay in the editor with an error.
+// Enter or leaving the field without a change cancels too, so it records no edit and never fails validation.
+function CellEditor({ fieldName, receipt, initialValue, categoryOptions, onSave, onCancel }) {
+    const initialText = initialValue === undefined || initialValue === null ? '' : String(initialValue);
+    // A date input can't show a value such as 'N/A', so it starts empty and the value is shown beside it
+    const unshownDate = fieldName === 'date' && initialText !== '' && !isValidIsoDate(initialText) ? initialText : null;
+    const startText = unshownDate === null ? initialText : '';
+    const [value, setValue] = useState(startText);
+    const [error, setError] = useState(null);
+    // Selects save on change and again on blur; only the first save counts
+    const savedRef = useRef(false);
+
+    const save = (rawValue) => {
+        if (savedRef.current) return;
+        if (rawValue === startText) {
+            savedRef.current = true;
+            onCancel();
+            return;
+        }
+        const result = validateField(fieldName, rawValue, receipt);
+        if (result.error) {
+            setError(result.error);
+            return;
+        }
+        savedRef.current = true;
+        onSave(result.value);
+    };
+
+    const handleChange = (e) => {
+        setValue(e.target.value);
+        setError(null);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save(value);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            savedRef.current = true;
+            onCancel();
+        }
+    };
+
+    const commonProps = {
+        value,
+        onChange: handleChange,
+        onBlur: () => save(value),
+        onKeyDown: handleKeyDown,
+        className: `${inputClassName} ${error ? 'border-red-500 focus:ring-red-400' : 'focus:ring-blue-400'}`,
+        autoFocus: true,
+        'aria-invalid': error ? true : undefined
+    };
+
+    // Keep the current value selectable even if it isn't one of the standard options (e.g. 'N/A')
+    const withCurrent = (options) => (value && !options.includes(value) ? [value, ...options] : options);
+
+    let input;
+    if (fieldName === 'date') {
+        input = <input type="date" {...commonProps} />;
+    } else if (fieldName === 'category') {
+        // Selecting an option saves straight away
+        input = (
+            <select {...commonProps} onChange={(e) => { handleChange(e); save(e.target.value); }}>
+                {withCurrent(categoryOptions).map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+        );
+    } else if (fieldName === 'mealType') {
+        input = (
+            <select {...commonProps} onChange={(e) => { handleChange(e); save(e.target.value); }}>
+                {withCurrent(MEAL_TYPE_OPTIONS).map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+        );
+    } else if (fieldName === 'cost') {
+        const decimals = currencyDecimals(receipt.currency);
+        input = <input type="number" min="0" step={decimals === 0 ? '1' : (1 / 10 ** decimals).toFixed(decimals)} {...commonProps} />;
+    } else if (fieldName === 'currency') {
+        input = <input type="text" maxLength={3} {...commonProps} className={`${commonProps.className} uppercase`} />;
+    } else {
+        input = <input type="text" {...commonProps} />;
+    }
+
+    return (
+        <div>
+            {input}
+            {unshownDate !== null && <p className="text-xs text-gray-500 mt-1">Currently "{unshownDate}"</p>}
+            {error && <p className="text-xs text-red-600 mt-1" role="alert">{error}</p>}
+        </div>
+    );
+}
+
+export default CellEditor;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { normalizeCurrencyCode, parseRatesCsv, rebaseRates } from './currency';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Reporting currency picker and editable exchange-rate table (importable from CSV)
+function CurrencySettings({ reportingCurrency, onReportingCurrencyChange, rates, onRatesChange, onError }) {
+    const [newCode, setNewCode] = useState('');
+    const [newRate, setNewRate] = useState('');
+
+    // Rates are relative to the reporting currency, so they are rebased (or cleared) along with it
+    const handleReportingBlur = (e) => {
+        const newCurrency = normalizeCurrencyCode(e.target.value, reportingCurrency);
+        if (newCurrency === reportingCurrency) return;
+        const rebased = rebaseRates(rates, reportingCurrency, newCurrency);
+        onReportingCurrencyChange(newCurrency);
+        if (rebased) {
+            onRatesChange(rebased);
+        } else {
+            onRatesChange({});
+            if (Object.keys(rates).length > 0) {
+                onError(`Exchange rates were cleared: there was no rate for ${newCurrency} to rebase them on. Enter or import rates in ${newCurrency}.`);
+            }
+        }
+    };
+
+    const handleRateBlur = (code, value) => {
+        const rate = parseFloat(value);
+        if (!Number.isFinite(rate) || rate <= 0) {
+            onError(`Exchange rate for ${code} must be a positive number.`);
+            return;
+        }
+        onRatesChange({ ...rates, [code]: rate });
+    };
+
+    const handleRemoveRate = (code) => {
+        const { [code]: removed, ...remaining } = rates;
+        onRatesChange(remaining);
+    };
+
+    const handleAddRate = () => {
+        const code = normalizeCurrencyCode(newCode, null);
+        const rate = parseFloat(newRate);
+        if (!code || !Number.isFinite(rate) || rate <= 0) {
+            onError('Enter a 3-letter currency code and a positive exchange rate.');
+            return;
+        }
+        onRatesChange({ ...rates, [code]: rate });
+        setNewCode('');
+        setNewRate('');
+    };
+
+    const handleImportCsv = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                onRatesChange({ ...rates, ...parseRatesCsv(reader.result) });
+            } catch (importError) {
+                onError(importError.message);
+            }
+        };
+        reader.onerror = () => onError(`Failed to read file: ${file.name}.`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">Currency settings (reporting in {reportingCurrency})</summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                    Reporting currency:
+                    <input
+                        key={reportingCurrency}
+                        type="text"
+                        defaultValue={reportingCurrency}
+                        onBlur={handleReportingBlur}
+                        maxLength={3}
+                        className={`${inputClassName} w-20 uppercase`}
+                    />
+                </label>
+                <p className="text-xs text-gray-500">Each rate is the value of 1 unit of the currency in {reportingCurrency}.</p>
+                <table className="bg-white border border-gray-200">
+                    <thead>
+                        <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                            <th className="py-1 px-2 border-b">Currency</th>
+                            <th className="py-1 px-2 border-b">Rate</th>
+                            <th className="py-1 px-2 border-b"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.keys(rates).sort().map(code => (
+                            <tr key={code} className="border-b border-gray-200">
+                                <td className="py-1 px-2 font-mono">{code}</td>
+                                <td className="py-1 px-2">
+                                    <input
+                                        key={`${code}-${rates[code]}`}
+                                        type="number"
+                                        step="any"
+                                        defaultValue={rates[code]}
+                                        onBlur={(e) => handleRateBlur(code, e.target.value)}
+                                        className={`${inputClassName} w-28`}
+                                    />
+                                </td>
+                                <td className="py-1 px-2">
+                                    <button onClick={() => handleRemoveRate(code)} className="text-red-500 hover:text-red-700 font-bold" title="Remove rate">✕</button>
+                                </td>
+                            </tr>
+                        ))}
+                        <tr>
+                            <td className="py-1 px-2">
+                                <input type="text" value={newCode} onChange={(e) => setNewCode(e.target.value)} placeholder="SGD" maxLength={3} className={`${inputClassName} w-16 uppercase`} />
+                            </td>
+                            <td className="py-1 px-2">
+                                <input type="number" step="any" value={newRate} onChange={(e) => setNewRate(e.target.value)} placeholder="0.74" className={`${inputClassName} w-28`} />
+                            </td>
+                            <td className="py-1 px-2">
+                                <button onClick={handleAddRate} className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-md">Add</button>
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+                <label className="inline-block cursor-pointer bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md shadow-sm">
+                    Import rates from CSV
+                    <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} className="sr-only" />
+                </label>
+            </div>
+        </details>
+    );
+}
+
+export default CurrencySettings;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { formatMoney } from './currency';
+
+const buttonClassName = "font-bold py-2 px-4 rounded-md shadow-sm transition-colors duration-200";
+
+const ReceiptSummary = ({ title, receipt }) => (
+    <div className="flex-1 min-w-0 p-3 border border-gray-200 rounded-md bg-white">
+        <h4 className="font-semibold text-gray-700 mb-2">{title}</h4>
+        {receipt.geminiImageData && (
+            <img
+                src={`data:image/jpeg;base64,${receipt.geminiImageData}`}
+                alt={title}
+                className="max-w-full h-auto rounded shadow mx-auto mb-2"
+                style={{ maxHeight: '160px' }}
+            />
+        )}
+        <dl className="text-sm text-gray-700 grid grid-cols-2 gap-x-2">
+            <dt className="text-gray-500">File</dt><dd className="truncate" title={receipt.originalFileName}>{receipt.originalFileName}</dd>
+            <dt className="text-gray-500">Date</dt><dd>{receipt.date}</dd>
+            <dt className="text-gray-500">Company</dt><dd className="truncate">{receipt.companyName}</dd>
+            <dt className="text-gray-500">Cost</dt><dd>{formatMoney(receipt.cost, receipt.currency)}</dd>
+        </dl>
+    </div>
+);
+
+// Asks what to do with a receipt that looks like one already in the table
+function DuplicatePrompt({ duplicate, existing, remainingCount, onMerge, onKeep, onDiscard }) {
+    return (
+        <div className="mb-6 p-4 border-2 border-yellow-300 bg-yellow-50 rounded-lg">
+            <h3 className="text-lg font-semibold text-yellow-800 mb-1">Possible duplicate receipt</h3>
+            <p className="text-sm text-yellow-800 mb-3">
+                {duplicate.reasons.join(', ')}.
+                {remainingCount > 0 && ` ${remainingCount} more possible duplicate${remainingCount === 1 ? '' : 's'} waiting.`}
+            </p>
+            <div className="flex flex-col sm:flex-row gap-3 mb-3">
+                <ReceiptSummary title="New upload" receipt={duplicate.receipt} />
+                {existing && <ReceiptSummary title="Already in the table" receipt={existing} />}
+            </div>
+            <div className="flex flex-wrap justify-center gap-2">
+                {existing && (
+                    <button onClick={onMerge} className={`${buttonClassName} bg-blue-500 hover:bg-blue-600 text-white`} title="Fill in missing fields and add the new pages to the existing receipt">
+                        Merge
+                    </button>
+                )}
+                <button onClick={onKeep} className={`${buttonClassName} bg-gray-200 hover:bg-gray-300 text-gray-800`}>
+                    Keep both
+                </button>
+                <button onClick={onDiscard} className={`${buttonClassName} bg-red-500 hover:bg-red-600 text-white`}>
+                    Discard new
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default DuplicatePrompt;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { EXTRACTION_PROVIDERS, DEFAULT_ENDPOINT } from './extraction';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Choice of extraction provider and, for the cloud provider, its endpoint
+function ExtractionSettings({ provider, onProviderChange, endpoint, onEndpointChange, disabled }) {
+    const activeProvider = EXTRACTION_PROVIDERS.find(candidate => candidate.id === provider);
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                Extraction settings ({activeProvider ? activeProvider.label : provider})
+            </summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                    Provider:
+                    <select
+                        value={provider}
+                        onChange={(e) => onProviderChange(e.target.value)}
+                        disabled={disabled}
+                        className={inputClassName}
+                    >
+                        {EXTRACTION_PROVIDERS.map(candidate => (
+                            <option key={candidate.id} value={candidate.id}>{candidate.label}</option>
+                        ))}
+                    </select>
+                </label>
+                {provider === 'cloud' && (
+                    <label className="flex items-center gap-2">
+                        Endpoint:
+                        <input
+                            key={endpoint}
+                            type="url"
+                            defaultValue={endpoint}
+                            placeholder={DEFAULT_ENDPOINT}
+                            onBlur={(e) => onEndpointChange(e.target.value.trim() || DEFAULT_ENDPOINT)}
+                            disabled={disabled}
+                            className={`${inputClassName} flex-1`}
+                        />
+                    </label>
+                )}
+                {provider === 'ocr' && (
+                    <p className="text-xs text-gray-500">Receipts are read in your browser and never sent to a cloud API. Results are less accurate than the cloud provider.</p>
+                )}
+                {provider === 'mock' && (
+                    <p className="text-xs text-gray-500">Returns made-up, repeatable data for each image. For development and testing only.</p>
+                )}
+            </div>
+        </details>
+    );
+}
+
+export default ExtractionSettings;
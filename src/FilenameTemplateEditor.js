@@ -0,0 +1,69 @@
+import React from 'react';
+import { DEFAULT_FILENAME_TEMPLATE, TEMPLATE_TOKENS } from './filenameTemplate';
+
+const PREVIEW_LIMIT = 10;
+
+// Template for the names of the files in receipts.zip, with a token reference and a live preview
+function FilenameTemplateEditor({ template, onChange, errors, receipts, zipPaths }) {
+    const previews = receipts
+        .map((receipt, index) => ({ original: receipt.originalFileName, path: zipPaths[index] }))
+        .filter(preview => preview.path);
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                ZIP file names (<span className="font-mono text-sm">{template}</span>)
+            </summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-700">
+                <div className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        value={template}
+                        onChange={(e) => onChange(e.target.value)}
+                        className={`flex-1 p-1 border rounded font-mono text-sm focus:outline-none focus:ring-1 ${errors.length > 0 ? 'border-red-500 focus:ring-red-400' : 'focus:ring-blue-400'}`}
+                        spellCheck={false}
+                    />
+                    <button
+                        onClick={() => onChange(DEFAULT_FILENAME_TEMPLATE)}
+                        disabled={template === DEFAULT_FILENAME_TEMPLATE}
+                        className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-2 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Default
+                    </button>
+                </div>
+                {errors.map(message => <p key={message} className="text-xs text-red-600">{message}</p>)}
+                <p className="text-xs text-gray-500">
+                    Use / for folders, e.g. <span className="font-mono">{'{yyyy}/{MM}/{seq:03}_{companyName}_{cost}'}</span>. The file extension is added automatically and duplicate names get _2, _3, ...
+                </p>
+                <details>
+                    <summary className="cursor-pointer text-xs text-blue-600">Available tokens</summary>
+                    <ul className="mt-2 grid grid-cols-1 md:grid-cols-2 gap-x-4 text-xs">
+                        {Object.entries(TEMPLATE_TOKENS).map(([name, token]) => (
+                            <li key={name}>
+                                <button onClick={() => onChange(`${template}{${name}}`)} className="font-mono text-blue-700 hover:underline" title="Append to the template">
+                                    {`{${name}}`}
+                                </button>
+                                {' '}{token.description}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+                {errors.length === 0 && previews.length > 0 && (
+                    <div>
+                        <p className="text-xs font-semibold text-gray-600 mb-1">Preview</p>
+                        <ul className="text-xs font-mono bg-gray-50 border border-gray-200 rounded p-2 space-y-0.5">
+                            {previews.slice(0, PREVIEW_LIMIT).map(preview => (
+                                <li key={preview.path} className="truncate" title={`${preview.original} → ${preview.path}`}>{preview.path}</li>
+                            ))}
+                            {previews.length > PREVIEW_LIMIT && (
+                                <li className="text-gray-500">… and {previews.length - PREVIEW_LIMIT} more</li>
+                            )}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+}
+
+export default FilenameTemplateEditor;
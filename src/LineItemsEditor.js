@@ -0,0 +1,120 @@
+import React from 'react';
+import { normalizeLineItems, createEmptyLineItem, updateLineItem, checkLineItems } from './lineItems';
+
+const inputClassName = "w-full p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Editable line-item breakdown shown in the expanded row of a receipt.
+// Edits are committed on blur through onChange(updatedFields).
+function LineItemsEditor({ receipt, onChange }) {
+    const lineItems = normalizeLineItems(receipt.lineItems);
+    const check = checkLineItems(receipt);
+
+    const handleItemBlur = (itemIndex, fieldName, value) => {
+        const current = lineItems[itemIndex];
+        if (String(current[fieldName]) === String(value)) return;
+        const newLineItems = lineItems.map((item, index) => (index === itemIndex ? updateLineItem(item, fieldName, value) : item));
+        onChange({ lineItems: newLineItems });
+    };
+
+    const handleAddItem = () => {
+        onChange({ lineItems: [...lineItems, createEmptyLineItem()] });
+    };
+
+    const handleDeleteItem = (itemIndex) => {
+        onChange({ lineItems: lineItems.filter((_, index) => index !== itemIndex) });
+    };
+
+    const handleTotalsBlur = (fieldName, value) => {
+        const isText = fieldName === 'paymentMethod';
+        const newValue = isText ? value : parseFloat(value) || 0;
+        // Compare with what the input showed, so focusing out without a change adds no undo step
+        const storedValue = isText ? receipt[fieldName] || '' : Number(receipt[fieldName]) || 0;
+        if (newValue !== storedValue) onChange({ [fieldName]: newValue });
+    };
+
+    // Inputs are uncontrolled; the key forces a fresh defaultValue when the stored value changes
+    const numberInput = (key, value, onBlur) => (
+        <input
+            key={`${key}-${value}`}
+            type="number"
+            step="0.01"
+            defaultValue={value}
+            onBlur={(e) => onBlur(e.target.value)}
+            className={inputClassName}
+        />
+    );
+
+    return (
+        <div className="p-3 bg-gray-50">
+            {check && !check.matches && (
+                <p className="text-yellow-700 bg-yellow-50 border border-yellow-200 rounded p-2 text-sm mb-2">⚠ {check.message}</p>
+            )}
+            <table className="min-w-full bg-white border border-gray-200 text-sm">
+                <thead>
+                    <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                        <th className="py-2 px-2 border-b">Description</th>
+                        <th className="py-2 px-2 border-b w-20">Qty</th>
+                        <th className="py-2 px-2 border-b w-28">Unit Price</th>
+                        <th className="py-2 px-2 border-b w-28">Amount</th>
+                        <th className="py-2 px-2 border-b w-16"></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {lineItems.map((item, itemIndex) => (
+                        <tr key={itemIndex} className="border-b border-gray-200">
+                            <td className="py-1 px-2">
+                                <input
+                                    key={`description-${item.description}`}
+                                    type="text"
+                                    defaultValue={item.description}
+                                    onBlur={(e) => handleItemBlur(itemIndex, 'description', e.target.value)}
+                                    className={inputClassName}
+                                />
+                            </td>
+                            <td className="py-1 px-2">{numberInput('quantity', item.quantity, value => handleItemBlur(itemIndex, 'quantity', value))}</td>
+                            <td className="py-1 px-2">{numberInput('unitPrice', item.unitPrice, value => handleItemBlur(itemIndex, 'unitPrice', value))}</td>
+                            <td className="py-1 px-2">{numberInput('amount', item.amount, value => handleItemBlur(itemIndex, 'amount', value))}</td>
+                            <td className="py-1 px-2 text-center">
+                                <button
+                                    onClick={() => handleDeleteItem(itemIndex)}
+                                    className="text-red-500 hover:text-red-700 font-bold"
+                                    title="Remove line item"
+                                >
+                                    ✕
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                    {lineItems.length === 0 && (
+                        <tr>
+                            <td colSpan={5} className="py-2 px-2 text-gray-500 text-center">No line items were extracted.</td>
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+            <div className="flex flex-wrap items-end gap-3 mt-2">
+                <button
+                    onClick={handleAddItem}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm py-1 px-3 rounded-md shadow-sm transition-colors duration-200"
+                >
+                    Add line item
+                </button>
+                <label className="text-xs text-gray-600 w-24">Subtotal{numberInput('subtotal', receipt.subtotal || 0, value => handleTotalsBlur('subtotal', value))}</label>
+                <label className="text-xs text-gray-600 w-24">Tax{numberInput('tax', receipt.tax || 0, value => handleTotalsBlur('tax', value))}</label>
+                <label className="text-xs text-gray-600 w-24">Tip / Service{numberInput('tip', receipt.tip || 0, value => handleTotalsBlur('tip', value))}</label>
+                <label className="text-xs text-gray-600 w-36">
+                    Payment Method
+                    <input
+                        key={`paymentMethod-${receipt.paymentMethod}`}
+                        type="text"
+                        defaultValue={receipt.paymentMethod || ''}
+                        onBlur={(e) => handleTotalsBlur('paymentMethod', e.target.value)}
+                        className={inputClassName}
+                    />
+                </label>
+            </div>
+        </div>
+    );
+}
+
+export default LineItemsEditor;
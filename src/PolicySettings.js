@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { saveFile } from './libraries';
+import { DEFAULT_POLICY, parsePolicyJson, policyToJson } from './policy';
+
+// JSON editor for the expense policy, with import/export of the definition as a file
+function PolicySettings({ policy, onChange, onError }) {
+    const [draft, setDraft] = useState(() => policyToJson(policy));
+    const [draftError, setDraftError] = useState(null);
+
+    const applyText = (text) => {
+        try {
+            const parsed = parsePolicyJson(text);
+            onChange(parsed);
+            setDraft(policyToJson(parsed));
+            setDraftError(null);
+        } catch (parseError) {
+            setDraftError(parseError.message);
+        }
+    };
+
+    const handleReset = () => {
+        onChange(DEFAULT_POLICY);
+        setDraft(policyToJson(DEFAULT_POLICY));
+        setDraftError(null);
+    };
+
+    const handleExport = () => {
+        saveFile(new Blob([policyToJson(policy)], { type: 'application/json' }), 'expense-policy.json').catch(saveError => onError(saveError.message));
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setDraft(reader.result);
+            applyText(reader.result);
+        };
+        reader.onerror = () => onError(`Failed to read file: ${file.name}.`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    const changed = draft !== policyToJson(policy);
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                Expense policy ({policy.rules.length} rule{policy.rules.length === 1 ? '' : 's'})
+            </summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-700">
+                <p className="text-xs text-gray-500">
+                    Rule types: <code>maxAmount</code> (<code>max</code>, optional <code>mealType</code> and <code>category</code>; compared in the reporting currency),{' '}
+                    <code>blockedCategory</code> (<code>categories</code>), <code>noWeekends</code> and <code>maxAgeDays</code> (<code>days</code>).
+                    An optional <code>label</code> replaces the message shown for a violation.
+                </p>
+                <textarea
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    rows={12}
+                    spellCheck={false}
+                    className="w-full p-2 border rounded font-mono text-xs focus:outline-none focus:ring-1 focus:ring-blue-400"
+                />
+                {draftError && <p className="text-xs text-red-600">{draftError}</p>}
+                <div className="flex flex-wrap items-center gap-2">
+                    <button
+                        onClick={() => applyText(draft)}
+                        disabled={!changed}
+                        className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Apply
+                    </button>
+                    <button onClick={handleReset} className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md">Reset to default</button>
+                    <button onClick={handleExport} className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md">Export JSON</button>
+                    <label className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md cursor-pointer">
+                        Import JSON
+                        <input type="file" accept=".json,application/json" onChange={handleImport} className="sr-only" />
+                    </label>
+                </div>
+            </div>
+        </details>
+    );
+}
+
+export default PolicySettings;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Policy violations of a receipt with the justification note the claimant gives for them,
+// shown in the expanded row. The note is committed on blur through onChange(note).
+function PolicyViolations({ violations, justification, onChange }) {
+    return (
+        <div className="p-4 bg-red-50 border-b border-red-100 text-sm">
+            <p className="font-semibold text-red-700 mb-1">Policy violations</p>
+            <ul className="list-disc ml-5 mb-2 text-red-700">
+                {violations.map(violation => <li key={violation.rule}>{violation.message}</li>)}
+            </ul>
+            <label className="block text-gray-700">
+                Justification:
+                <textarea
+                    key={justification}
+                    defaultValue={justification}
+                    onBlur={(e) => { if (e.target.value.trim() !== justification) onChange(e.target.value.trim()); }}
+                    rows={2}
+                    placeholder="Why this expense should be reimbursed anyway"
+                    className="mt-1 w-full p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400"
+                />
+            </label>
+        </div>
+    );
+}
+
+export default PolicyViolations;
@@ -0,0 +1,77 @@
+import React from 'react';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Options of the image clean-up done in the browser before extraction
+function PreprocessingSettings({ settings, onChange, disabled }) {
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    const checkbox = (key, label) => (
+        <label className="flex items-center">
+            <input
+                type="checkbox"
+                checked={settings[key]}
+                onChange={(e) => update({ [key]: e.target.checked })}
+                disabled={disabled || !settings.enabled}
+                className="mr-2"
+            />
+            {label}
+        </label>
+    );
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                Image preprocessing ({settings.enabled ? `on, max ${settings.maxDimension}px` : 'off'})
+            </summary>
+            <div className="mt-4 space-y-3 text-sm text-gray-700">
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => update({ enabled: e.target.checked })}
+                        disabled={disabled}
+                        className="mr-2"
+                    />
+                    Clean up photos before extraction (upright, cropped, straightened and resized)
+                </label>
+                <div className="pl-6 space-y-2">
+                    {checkbox('autoCrop', 'Crop to the receipt edges')}
+                    {checkbox('deskew', 'Straighten tilted receipts')}
+                    {checkbox('contrast', 'Boost contrast')}
+                    <label className="flex items-center gap-2">
+                        Maximum size:
+                        <input
+                            key={settings.maxDimension}
+                            type="number"
+                            min="400"
+                            max="6000"
+                            step="100"
+                            defaultValue={settings.maxDimension}
+                            onBlur={(e) => update({ maxDimension: Math.min(6000, Math.max(400, parseInt(e.target.value, 10) || settings.maxDimension)) })}
+                            disabled={disabled || !settings.enabled}
+                            className={`${inputClassName} w-24`}
+                        />
+                        px (longest side, also used for PDF pages)
+                    </label>
+                    <label className="flex items-center gap-2">
+                        JPEG quality:
+                        <input
+                            type="range"
+                            min="0.5"
+                            max="0.95"
+                            step="0.05"
+                            value={settings.quality}
+                            onChange={(e) => update({ quality: parseFloat(e.target.value) })}
+                            disabled={disabled || !settings.enabled}
+                        />
+                        {Math.round(settings.quality * 100)}%
+                    </label>
+                </div>
+                <p className="text-xs text-gray-500">HEIC photos are always converted to JPEG. Use "Show original" in the preview to compare with the uploaded photo.</p>
+            </div>
+        </details>
+    );
+}
+
+export default PreprocessingSettings;
@@ -0,0 +1,94 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { boxStyle } from './fieldBoxes';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 6;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+const toolButtonClassName = "py-1 px-2 bg-gray-200 rounded hover:bg-gray-300 text-sm text-gray-800";
+
+// Receipt image that can be zoomed (buttons or mouse wheel), panned (drag) and rotated, with the
+// bounding boxes of extracted fields drawn on top. Remount it (key) to reset the view for a new image.
+function ReceiptImageViewer({ src, boxes, highlightedField, onSelectField }) {
+    const [zoom, setZoom] = useState(1);
+    const [rotation, setRotation] = useState(0);
+    const [pan, setPan] = useState({ x: 0, y: 0 });
+    const dragRef = useRef(null);
+    const containerRef = useRef(null);
+
+    // React's wheel listener is passive, so preventing the page from scrolling needs a native one
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            setZoom(prevZoom => clampZoom(prevZoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+        };
+        container.addEventListener('wheel', handleWheel, { passive: false });
+        return () => container.removeEventListener('wheel', handleWheel);
+    }, []);
+
+    const handlePointerDown = (e) => {
+        if (e.button !== 0) return;
+        dragRef.current = { startX: e.clientX, startY: e.clientY, pan };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        setPan({ x: drag.pan.x + e.clientX - drag.startX, y: drag.pan.y + e.clientY - drag.startY });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleResetView = () => {
+        setZoom(1);
+        setRotation(0);
+        setPan({ x: 0, y: 0 });
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-2">
+                <button onClick={() => setZoom(prevZoom => clampZoom(prevZoom * 1.25))} className={toolButtonClassName} title="Zoom in">＋</button>
+                <button onClick={() => setZoom(prevZoom => clampZoom(prevZoom / 1.25))} className={toolButtonClassName} title="Zoom out">－</button>
+                <span className="text-xs text-gray-600 w-12 text-center">{Math.round(zoom * 100)}%</span>
+                <button onClick={() => setRotation(prevRotation => (prevRotation + 270) % 360)} className={toolButtonClassName} title="Rotate left">⟲</button>
+                <button onClick={() => setRotation(prevRotation => (prevRotation + 90) % 360)} className={toolButtonClassName} title="Rotate right">⟳</button>
+                <button onClick={handleResetView} className={toolButtonClassName}>Reset view</button>
+            </div>
+            <div
+                ref={containerRef}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                className="relative overflow-hidden bg-gray-800 rounded-md flex items-center justify-center select-none cursor-grab active:cursor-grabbing"
+                style={{ height: '70vh', touchAction: 'none' }}
+            >
+                <div
+                    className="relative"
+                    style={{ transform: `translate(${pan.x}px, ${pan.y}px) rotate(${rotation}deg) scale(${zoom})` }}
+                >
+                    <img src={src} alt="Receipt" draggable={false} className="block max-w-full" style={{ maxHeight: '68vh' }} />
+                    {boxes.map(({ field, label, fieldBox }) => (
+                        <button
+                            key={field}
+                            onPointerDown={(e) => e.stopPropagation()}
+                            onClick={() => onSelectField(field)}
+                            title={label}
+                            className={`absolute border-2 rounded-sm ${highlightedField === field ? 'border-red-500 bg-red-400 bg-opacity-20' : 'border-blue-400 bg-blue-300 bg-opacity-10 hover:bg-opacity-30'}`}
+                            style={boxStyle(fieldBox)}
+                        />
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReceiptImageViewer;
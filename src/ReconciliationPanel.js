@@ -0,0 +1,216 @@
+import React, { useMemo, useState } from 'react';
+import { saveFile } from './libraries';
+import { formatMoney, normalizeCurrencyCode } from './currency';
+import { DEFAULT_DATE_TOLERANCE, DATE_ORDERS, parseStatement, reconcile, reconciliationReportCsv } from './reconciliation';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+const smallButtonClassName = "text-xs py-1 px-2 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-800";
+
+// Reconciliation of the receipts against an imported bank or card statement: matched pairs,
+// charges without a receipt and receipts without a charge, with manual pairing and a CSV report.
+function ReconciliationPanel({ receipts, reportingCurrency, rates, onShowReceipt, onError }) {
+    const [statementFile, setStatementFile] = useState(null); // { name, text }
+    const [dateOrder, setDateOrder] = useState('auto');
+    const [dateTolerance, setDateTolerance] = useState(DEFAULT_DATE_TOLERANCE);
+    const [manualPairs, setManualPairs] = useState([]);
+    const [rejectedPairs, setRejectedPairs] = useState([]);
+
+    // The statement is parsed again when the date order changes
+    const statement = useMemo(() => {
+        if (!statementFile) return null;
+        try {
+            return parseStatement(statementFile.text, statementFile.name, { dateOrder, defaultCurrency: reportingCurrency });
+        } catch (parseError) {
+            return { error: parseError.message };
+        }
+    }, [statementFile, dateOrder, reportingCurrency]);
+
+    const result = useMemo(
+        () => (statement && !statement.error
+            ? reconcile(statement.transactions, receipts, { manualPairs, rejectedPairs, dateTolerance, reportingCurrency, rates })
+            : null),
+        [statement, receipts, manualPairs, rejectedPairs, dateTolerance, reportingCurrency, rates]
+    );
+
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setStatementFile({ name: file.name, text: reader.result });
+            setManualPairs([]);
+            setRejectedPairs([]);
+        };
+        reader.onerror = () => onError(`Failed to read file: ${file.name}.`);
+        reader.readAsText(file);
+        e.target.value = null;
+    };
+
+    const handlePair = (transactionId, receiptId) => {
+        if (!receiptId) return;
+        setManualPairs(prevPairs => [...prevPairs, { transactionId, receiptId }]);
+    };
+
+    // Manual pairs are removed; automatic ones are remembered so they aren't proposed again
+    const handleUnpair = ({ transaction, receipt, manual }) => {
+        if (manual) {
+            setManualPairs(prevPairs => prevPairs.filter(pair => pair.transactionId !== transaction.id || pair.receiptId !== receipt.id));
+        } else {
+            setRejectedPairs(prevPairs => [...prevPairs, { transactionId: transaction.id, receiptId: receipt.id }]);
+        }
+    };
+
+    const handleExportReport = () => {
+        saveFile(new Blob([reconciliationReportCsv(result, reportingCurrency)], { type: 'text/csv;charset=utf-8' }), 'reconciliation.csv')
+            .catch(saveError => onError(saveError.message));
+    };
+
+    const receiptLabel = (receipt) => `${receipt.date} · ${receipt.companyName} · ${formatMoney(Number(receipt.cost) || 0, normalizeCurrencyCode(receipt.currency, reportingCurrency))}`;
+
+    // Unmatched receipts to offer for a charge, closest amount first
+    const pairingOptions = (transaction) => [...result.unmatchedReceipts]
+        .sort((a, b) => Math.abs((Number(a.receipt.cost) || 0) - transaction.amount) - Math.abs((Number(b.receipt.cost) || 0) - transaction.amount));
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg p-4">
+            <summary className="cursor-pointer font-semibold text-gray-700">
+                Statement reconciliation
+                {result && ` (${result.matches.length} matched, ${result.unmatchedTransactions.length} missing receipts)`}
+            </summary>
+            <div className="mt-4 space-y-4 text-sm text-gray-700">
+                <p className="text-xs text-gray-500">
+                    Import a bank or credit card statement (CSV with a header row, or OFX/QFX). Its charges are matched to the receipts by amount,
+                    date and company name; payments and refunds are left out. Amounts in other currencies are compared after conversion to {reportingCurrency}.
+                </p>
+                <div className="flex flex-wrap items-center gap-4">
+                    <label className="inline-block cursor-pointer bg-gray-200 hover:bg-gray-300 text-gray-800 py-1 px-3 rounded-md shadow-sm">
+                        {statementFile ? 'Import another statement' : 'Import statement'}
+                        <input type="file" accept=".csv,.ofx,.qfx,text/csv" onChange={handleImport} className="sr-only" />
+                    </label>
+                    {statementFile && <span className="text-gray-500">{statementFile.name}</span>}
+                    <label className="flex items-center gap-2">
+                        Dates
+                        <select value={dateOrder} onChange={(e) => setDateOrder(e.target.value)} className={inputClassName}>
+                            {DATE_ORDERS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Date tolerance
+                        <input
+                            type="number"
+                            min="0"
+                            max="30"
+                            value={dateTolerance}
+                            onChange={(e) => setDateTolerance(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                            className={`${inputClassName} w-16`}
+                        />
+                        days
+                    </label>
+                    {result && (
+                        <button onClick={handleExportReport} className="bg-blue-500 hover:bg-blue-600 text-white py-1 px-3 rounded-md shadow-sm">
+                            Export report (CSV)
+                        </button>
+                    )}
+                </div>
+
+                {statement && statement.error && <p className="text-red-600">{statement.error}</p>}
+
+                {result && (
+                    <>
+                        <p>
+                            <strong>{result.matches.length}</strong> matched · <strong className={result.unmatchedTransactions.length > 0 ? 'text-red-700' : ''}>{result.unmatchedTransactions.length}</strong> charges without a receipt
+                            · <strong>{result.unmatchedReceipts.length}</strong> receipts without a charge
+                            {statement.creditCount > 0 && <span className="text-gray-500"> ({statement.creditCount} payments and refunds left out)</span>}
+                        </p>
+
+                        {result.unmatchedTransactions.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-red-700 mb-1">Charges without a receipt</h4>
+                                <table className="min-w-full bg-white border border-gray-200">
+                                    <thead>
+                                        <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                                            <th className="py-1 px-2 border-b">Date</th>
+                                            <th className="py-1 px-2 border-b">Description</th>
+                                            <th className="py-1 px-2 border-b">Amount</th>
+                                            <th className="py-1 px-2 border-b">Pair with receipt</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.unmatchedTransactions.map(transaction => (
+                                            <tr key={transaction.id} className="border-b border-gray-200">
+                                                <td className="py-1 px-2 whitespace-nowrap">{transaction.date || '?'}</td>
+                                                <td className="py-1 px-2">{transaction.description}</td>
+                                                <td className="py-1 px-2 whitespace-nowrap">{formatMoney(transaction.amount, transaction.currency)}</td>
+                                                <td className="py-1 px-2">
+                                                    <select value="" onChange={(e) => handlePair(transaction.id, e.target.value)} disabled={result.unmatchedReceipts.length === 0} className={inputClassName}>
+                                                        <option value="">Choose a receipt…</option>
+                                                        {pairingOptions(transaction).map(({ receipt }) => (
+                                                            <option key={receipt.id} value={receipt.id}>{receiptLabel(receipt)}</option>
+                                                        ))}
+                                                    </select>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {result.matches.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-green-700 mb-1">Matched</h4>
+                                <table className="min-w-full bg-white border border-gray-200">
+                                    <thead>
+                                        <tr className="bg-gray-100 text-left text-xs font-semibold text-gray-600 uppercase">
+                                            <th className="py-1 px-2 border-b">Charge</th>
+                                            <th className="py-1 px-2 border-b">Receipt</th>
+                                            <th className="py-1 px-2 border-b">Match</th>
+                                            <th className="py-1 px-2 border-b"></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.matches.map(match => (
+                                            <tr key={match.transaction.id} className="border-b border-gray-200">
+                                                <td className="py-1 px-2">
+                                                    {match.transaction.date || '?'} · {match.transaction.description} · {formatMoney(match.transaction.amount, match.transaction.currency)}
+                                                </td>
+                                                <td className="py-1 px-2">
+                                                    <button onClick={() => onShowReceipt(match.index)} className="text-left text-blue-700 hover:underline" title="Show this receipt">
+                                                        {receiptLabel(match.receipt)}
+                                                    </button>
+                                                </td>
+                                                <td className="py-1 px-2 whitespace-nowrap">
+                                                    {match.manual ? 'Manual' : `Automatic (${Math.round(match.score * 100)}%)`}
+                                                </td>
+                                                <td className="py-1 px-2">
+                                                    <button onClick={() => handleUnpair(match)} className={smallButtonClassName} title="Undo this match">Unpair</button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {result.unmatchedReceipts.length > 0 && (
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-1">Receipts without a charge</h4>
+                                <ul className="list-disc list-inside">
+                                    {result.unmatchedReceipts.map(({ receipt, index }) => (
+                                        <li key={receipt.id}>
+                                            <button onClick={() => onShowReceipt(index)} className="text-blue-700 hover:underline" title="Show this receipt">
+                                                {receiptLabel(receipt)}
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </details>
+    );
+}
+
+export default ReconciliationPanel;
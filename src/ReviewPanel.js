@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import CellEditor from './CellEditor';
+import ReceiptImageViewer from './ReceiptImageViewer';
+import { BOX_FIELDS } from './fieldBoxes';
+import { formatMoney } from './currency';
+
+// Fields shown next to the image: [field, label, editable here]
+const REVIEW_FIELDS = [
+    ['date', 'Date', true],
+    ['companyName', 'Company', true],
+    ['category', 'Category', true],
+    ['mealType', 'Meal type', true],
+    ['receiptTime', 'Time', false],
+    ['currency', 'Currency', true],
+    ['cost', 'Total', true],
+    ['subtotal', 'Subtotal', false],
+    ['tax', 'Tax', false],
+    ['tip', 'Tip', false],
+    ['paymentMethod', 'Payment method', false]
+];
+
+const MONEY_FIELDS = ['cost', 'subtotal', 'tax', 'tip'];
+
+const navButtonClassName = "py-1 px-3 bg-gray-200 rounded-md hover:bg-gray-300 text-gray-800 disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Review of one receipt: the zoomable image with field boxes on one side and its fields on the other.
+// Clicking a field shows where it was read from; double-clicking edits it. Fields flagged for
+// review are highlighted with the reasons.
+function ReviewPanel({
+    receipt, position, count, pageImages, page, onPageChange,
+    onPrev, onNext, onApprove, onClose, onFieldSave, categoryOptions, reportingCurrency,
+    issues = {}, onReextract, reextracting
+}) {
+    const [highlightedField, setHighlightedField] = useState(null);
+    const [editingField, setEditingField] = useState(null);
+
+    const fieldBoxes = receipt.fieldBoxes || {};
+    const currency = receipt.currency || reportingCurrency;
+    const pageBoxes = BOX_FIELDS
+        .filter(([field]) => fieldBoxes[field] && fieldBoxes[field].page === page)
+        .map(([field, label]) => ({ field, label, fieldBox: fieldBoxes[field] }));
+
+    const handleSelectField = (field) => {
+        setHighlightedField(field);
+        // Boxes can be on another page of a multi-page receipt
+        if (fieldBoxes[field] && fieldBoxes[field].page !== page) {
+            onPageChange(fieldBoxes[field].page);
+        }
+    };
+
+    const formatValue = (field) => {
+        const value = receipt[field];
+        return MONEY_FIELDS.includes(field) ? formatMoney(Number(value) || 0, currency) : String(value === undefined ? 'N/A' : value);
+    };
+
+    return (
+        <div className="mb-6 border border-blue-200 rounded-lg p-4 bg-blue-50">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h3 className="text-lg font-semibold text-gray-800">
+                    Review receipt {position + 1} of {count}
+                    {receipt.reviewed && <span className="ml-2 text-sm text-green-700">✓ Reviewed</span>}
+                </h3>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <button onClick={onPrev} disabled={position <= 0} className={navButtonClassName} title="Previous receipt (←)">← Prev</button>
+                    <button onClick={onNext} disabled={position >= count - 1} className={navButtonClassName} title="Next receipt (→)">Next →</button>
+                    <button
+                        onClick={onApprove}
+                        className={`py-1 px-3 rounded-md text-white font-semibold ${receipt.reviewed ? 'bg-gray-500 hover:bg-gray-600' : 'bg-green-600 hover:bg-green-700'}`}
+                        title={receipt.reviewed ? 'Mark as not reviewed (A)' : 'Approve and go to the next receipt (A)'}
+                    >
+                        {receipt.reviewed ? 'Unapprove' : 'Approve'}
+                    </button>
+                    <button
+                        onClick={onReextract}
+                        disabled={reextracting || pageImages.length === 0}
+                        className={navButtonClassName}
+                        title="Send the stored image to the extraction again and replace the extracted fields"
+                    >
+                        {reextracting ? 'Re-extracting…' : 'Re-extract'}
+                    </button>
+                    <button onClick={onClose} className={navButtonClassName} title="Close review mode (Esc)">Close</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div>
+                    {pageImages.length > 0 ? (
+                        <ReceiptImageViewer
+                            key={`${receipt.id}-${page}`}
+                            src={`data:image/jpeg;base64,${pageImages[Math.min(page, pageImages.length - 1)]}`}
+                            boxes={pageBoxes}
+                            highlightedField={highlightedField}
+                            onSelectField={setHighlightedField}
+                        />
+                    ) : (
+                        <p className="text-sm text-gray-500">No image stored for this receipt.</p>
+                    )}
+                    {pageImages.length > 1 && (
+                        <div className="flex items-center justify-center space-x-2 mt-2 text-sm text-gray-700">
+                            <button onClick={() => onPageChange(Math.max(page - 1, 0))} disabled={page === 0} className={navButtonClassName}>Prev page</button>
+                            <span>Page {page + 1} of {pageImages.length}</span>
+                            <button onClick={() => onPageChange(Math.min(page + 1, pageImages.length - 1))} disabled={page >= pageImages.length - 1} className={navButtonClassName}>Next page</button>
+                        </div>
+                    )}
+                </div>
+                <div>
+                    <p className="text-xs text-gray-500 mb-2">{receipt.originalFileName}</p>
+                    <table className="w-full bg-white border border-gray-200 text-sm">
+                        <tbody>
+                            {REVIEW_FIELDS.map(([field, label, editable]) => (
+                                <tr
+                                    key={field}
+                                    onClick={() => handleSelectField(field)}
+                                    onDoubleClick={() => editable && setEditingField(field)}
+                                    className={`border-b border-gray-200 cursor-pointer ${highlightedField === field ? 'bg-red-50' : issues[field] ? 'bg-yellow-100' : 'hover:bg-gray-50'}`}
+                                >
+                                    <th className="py-2 px-3 text-left font-semibold text-gray-600 w-40">
+                                        {label}
+                                        {fieldBoxes[field] && <span className="ml-1 text-blue-500" title="Located on the image">◎</span>}
+                                    </th>
+                                    <td className="py-2 px-3 text-gray-800">
+                                        {editingField === field ? (
+                                            <CellEditor
+                                                fieldName={field}
+                                                receipt={receipt}
+                                                initialValue={field === 'currency' ? currency : receipt[field]}
+                                                categoryOptions={categoryOptions}
+                                                onSave={(value) => { onFieldSave(field, value); setEditingField(null); }}
+                                                onCancel={() => setEditingField(null)}
+                                            />
+                                        ) : formatValue(field)}
+                                        {issues[field] && editingField !== field && (
+                                            <span className="block text-xs text-yellow-800">{issues[field].join(' · ')}</span>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Click a field to show where it was read from, double-click to edit it. Keys: ← / → to move between receipts, A to approve, Esc to close.
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ReviewPanel;
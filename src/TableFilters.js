@@ -0,0 +1,70 @@
+import React from 'react';
+import { EMPTY_FILTERS, hasActiveFilters } from './receiptFilters';
+
+const inputClassName = "p-1 border rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-400";
+
+// Checkbox list in a dropdown for picking several values of one field
+const MultiSelect = ({ label, options, selected, onChange }) => (
+    <details className="relative">
+        <summary className={`${inputClassName} cursor-pointer bg-white list-none`}>
+            {label}{selected.length > 0 ? ` (${selected.length})` : ': all'}
+        </summary>
+        <div className="absolute z-10 mt-1 p-2 bg-white border border-gray-200 rounded shadow-lg max-h-48 overflow-y-auto min-w-[10rem]">
+            {options.length === 0 && <p className="text-xs text-gray-500">No values</p>}
+            {options.map(option => (
+                <label key={option} className="flex items-center text-sm text-gray-700 whitespace-nowrap">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(option)}
+                        onChange={(e) => onChange(e.target.checked ? [...selected, option] : selected.filter(value => value !== option))}
+                        className="mr-1"
+                    />
+                    {option}
+                </label>
+            ))}
+        </div>
+    </details>
+);
+
+// Search, date range, category / meal type and cost range filters for the summary table
+function TableFilters({ filters, onChange, categoryOptions, mealTypeOptions }) {
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-700">
+            <input
+                type="search"
+                value={filters.search}
+                onChange={(e) => update({ search: e.target.value })}
+                placeholder="Search company or filename"
+                className={`${inputClassName} flex-1 min-w-[12rem]`}
+            />
+            <label className="flex items-center gap-1">
+                From
+                <input type="date" value={filters.dateFrom} onChange={(e) => update({ dateFrom: e.target.value })} className={inputClassName} />
+            </label>
+            <label className="flex items-center gap-1">
+                To
+                <input type="date" value={filters.dateTo} onChange={(e) => update({ dateTo: e.target.value })} className={inputClassName} />
+            </label>
+            <MultiSelect label="Category" options={categoryOptions} selected={filters.categories} onChange={(categories) => update({ categories })} />
+            <MultiSelect label="Meal type" options={mealTypeOptions} selected={filters.mealTypes} onChange={(mealTypes) => update({ mealTypes })} />
+            <label className="flex items-center gap-1">
+                Cost
+                <input type="number" step="0.01" value={filters.costMin} onChange={(e) => update({ costMin: e.target.value })} placeholder="min" className={`${inputClassName} w-20`} />
+                –
+                <input type="number" step="0.01" value={filters.costMax} onChange={(e) => update({ costMax: e.target.value })} placeholder="max" className={`${inputClassName} w-20`} />
+            </label>
+            {hasActiveFilters(filters) && (
+                <button
+                    onClick={() => onChange(EMPTY_FILTERS)}
+                    className="text-xs py-1 px-2 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-800"
+                >
+                    Clear filters
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default TableFilters;
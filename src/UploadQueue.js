@@ -0,0 +1,93 @@
+import React from 'react';
+import { QUEUE_STATUS, ACTIVE_STATUSES, FINISHED_STATUSES } from './processingQueue';
+
+const STATUS_LABELS = {
+    [QUEUE_STATUS.QUEUED]: 'Queued',
+    [QUEUE_STATUS.READING]: 'Reading',
+    [QUEUE_STATUS.PREPROCESSING]: 'Preprocessing',
+    [QUEUE_STATUS.RENDERING]: 'Rendering',
+    [QUEUE_STATUS.EXTRACTING]: 'Extracting',
+    [QUEUE_STATUS.DONE]: 'Done',
+    [QUEUE_STATUS.DEFERRED]: 'Pending extraction',
+    [QUEUE_STATUS.FAILED]: 'Failed',
+    [QUEUE_STATUS.CANCELLED]: 'Cancelled'
+};
+
+const STATUS_CLASSES = {
+    [QUEUE_STATUS.QUEUED]: 'bg-gray-100 text-gray-700',
+    [QUEUE_STATUS.READING]: 'bg-blue-100 text-blue-700',
+    [QUEUE_STATUS.PREPROCESSING]: 'bg-blue-100 text-blue-700',
+    [QUEUE_STATUS.RENDERING]: 'bg-blue-100 text-blue-700',
+    [QUEUE_STATUS.EXTRACTING]: 'bg-blue-100 text-blue-700',
+    [QUEUE_STATUS.DONE]: 'bg-green-100 text-green-700',
+    [QUEUE_STATUS.DEFERRED]: 'bg-gray-100 text-gray-700',
+    [QUEUE_STATUS.FAILED]: 'bg-red-100 text-red-700',
+    [QUEUE_STATUS.CANCELLED]: 'bg-yellow-100 text-yellow-700'
+};
+
+const smallButtonClassName = "text-xs py-1 px-2 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-800 transition-colors duration-200";
+
+// Per-file processing status with an overall progress bar, retry and cancel controls
+function UploadQueue({ items, concurrency, onConcurrencyChange, onRetry, onRetryAllFailed, onCancel, onCancelAll, onRemove, onClearFinished }) {
+    if (items.length === 0) return null;
+
+    const finishedCount = items.filter(item => FINISHED_STATUSES.includes(item.status)).length;
+    const failedCount = items.filter(item => item.status === QUEUE_STATUS.FAILED || item.status === QUEUE_STATUS.CANCELLED).length;
+    const pendingCount = items.length - finishedCount;
+    const progress = Math.round((finishedCount / items.length) * 100);
+
+    return (
+        <div className="mt-4 text-left">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-sm text-gray-700">
+                <span>
+                    Processed {finishedCount} of {items.length} file{items.length === 1 ? '' : 's'}
+                    {failedCount > 0 && <span className="text-red-600"> ({failedCount} failed or cancelled)</span>}
+                </span>
+                <div className="flex flex-wrap items-center gap-2">
+                    <label className="flex items-center text-xs">
+                        Parallel:
+                        <input
+                            type="number"
+                            min={1}
+                            max={10}
+                            value={concurrency}
+                            onChange={(e) => onConcurrencyChange(Math.min(10, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                            className="ml-1 w-14 p-1 border rounded focus:outline-none focus:ring-1 focus:ring-blue-400"
+                        />
+                    </label>
+                    {failedCount > 0 && <button onClick={onRetryAllFailed} className={smallButtonClassName}>Retry failed</button>}
+                    {pendingCount > 0 && <button onClick={onCancelAll} className={smallButtonClassName}>Cancel all</button>}
+                    {finishedCount > failedCount && <button onClick={onClearFinished} className={smallButtonClassName}>Clear done</button>}
+                </div>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden mb-3">
+                <div className="h-2 bg-blue-500 transition-all duration-300" style={{ width: `${progress}%` }}></div>
+            </div>
+            <ul className="max-h-48 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-md bg-white">
+                {items.map(item => (
+                    <li key={item.id} className="flex items-center gap-2 py-1 px-2 text-sm">
+                        <span className={`text-xs font-semibold py-0.5 px-2 rounded-full ${STATUS_CLASSES[item.status]}`}>
+                            {STATUS_LABELS[item.status]}
+                            {item.attempt > 0 && ACTIVE_STATUSES.includes(item.status) && ` (retry ${item.attempt})`}
+                        </span>
+                        <span className="flex-1 truncate text-gray-800" title={item.name}>
+                            {item.name}
+                            {item.error && <span className="block text-xs text-red-600 truncate" title={item.error}>{item.error}</span>}
+                        </span>
+                        {(item.status === QUEUE_STATUS.QUEUED || ACTIVE_STATUSES.includes(item.status)) && (
+                            <button onClick={() => onCancel(item.id)} className={smallButtonClassName}>Cancel</button>
+                        )}
+                        {(item.status === QUEUE_STATUS.FAILED || item.status === QUEUE_STATUS.CANCELLED) && (
+                            <button onClick={() => onRetry(item.id)} className={smallButtonClassName}>Retry</button>
+                        )}
+                        {FINISHED_STATUSES.includes(item.status) && (
+                            <button onClick={() => onRemove(item.id)} className="text-gray-400 hover:text-gray-600 font-bold px-1" title="Remove from list">✕</button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default UploadQueue;
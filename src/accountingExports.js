@@ -0,0 +1,241 @@
+// Exports for accounting tools: QuickBooks IIF, a Xero bills CSV and OFX/QIF transactions.
+// Every receipt becomes one transaction paid from the profile's payment account, with one line
+// per allocation share (or a single line) booked to the account mapped from its category. Each
+// transaction references the receipt's file name in receipts.zip so the attachment can be found.
+//
+// Mappings are stored per profile:
+//   { quickbooks: { paymentAccount, defaultTaxCode, categories: { [category]: { account, taxCode } } }, xero: ..., ofx: ... }
+// A category without a mapped account falls back to its GL account code, then to its name.
+
+import { normalizeCurrencyCode, convertAmount } from './currency';
+import { glCodeFor } from './categories';
+import { isValidIsoDate } from './fieldValidation';
+import { exportedAllocations } from './allocations';
+import { escapeCsvValue } from './exporters';
+
+// Profiles with their own mapping: [id, label, hint]
+export const ACCOUNTING_PROFILES = [
+    ['quickbooks', 'QuickBooks', 'IIF import into QuickBooks Desktop, as credit card charges'],
+    ['xero', 'Xero', 'Bills import (Business › Bills to pay › Import)'],
+    ['ofx', 'OFX / QIF', 'Bank or card transactions for tools that import OFX or QIF files']
+];
+
+export const DEFAULT_ACCOUNTING_MAPPINGS = {
+    quickbooks: { paymentAccount: 'Company Credit Card', defaultTaxCode: '', categories: {} },
+    xero: { paymentAccount: '', defaultTaxCode: 'Tax Exempt', categories: {} },
+    ofx: { paymentAccount: 'Company Credit Card', defaultTaxCode: '', categories: {} }
+};
+
+// The mapping of one profile, with defaults for anything missing
+export const profileMapping = (mappings, profile) => ({
+    ...DEFAULT_ACCOUNTING_MAPPINGS[profile],
+    ...(mappings && mappings[profile]),
+    categories: { ...(mappings && mappings[profile] && mappings[profile].categories) }
+});
+
+// Account and tax code a category is booked to in a profile
+export const mapCategory = (mapping, category, categories) => {
+    const mapped = mapping.categories[category] || {};
+    return {
+        account: (mapped.account || '').trim() || glCodeFor(category, categories) || category || 'Uncategorized',
+        taxCode: (mapped.taxCode || '').trim() || mapping.defaultTaxCode || ''
+    };
+};
+
+// Whether amounts are exported in the reporting currency (converted) or in each receipt's own currency
+const CONVERTS_AMOUNTS = { iif: true, xero: false, ofx: true, qif: true };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Accounting transactions of the exported receipts: { transactions, skipped } where skipped lists
+// [{ receipt, reason }] for receipts that can't be booked (no valid date, or no exchange rate
+// when the format needs amounts in the reporting currency).
+// zipPaths are the names of the files in receipts.zip, in receipt order (see buildZipPaths).
+export const buildTransactions = (receipts, { format, mapping, reportingCurrency, rates = {}, categories = [], zipPaths = [] }) => {
+    const transactions = [];
+    const skipped = [];
+    receipts.forEach((receipt, index) => {
+        if (!isValidIsoDate(String(receipt.date))) {
+            skipped.push({ receipt, reason: 'no valid date' });
+            return;
+        }
+        const receiptCurrency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+        const convert = CONVERTS_AMOUNTS[format];
+        const currency = convert ? reportingCurrency : receiptCurrency;
+        const shares = exportedAllocations(receipt, reportingCurrency);
+        const parts = shares.length > 0
+            ? shares.map(({ split, label, amount }) => ({ amount, description: split.attendees ? `${label} (${split.attendees})` : label }))
+            : [{ amount: Number(receipt.cost) || 0, description: receipt.mealType && receipt.mealType !== 'Unknown' ? `${receipt.category} - ${receipt.mealType}` : receipt.category }];
+
+        const amounts = parts.map(part => (convert ? convertAmount(part.amount, receiptCurrency, reportingCurrency, rates) : part.amount));
+        if (amounts.some(amount => amount === null)) {
+            skipped.push({ receipt, reason: `no exchange rate from ${receiptCurrency} to ${reportingCurrency}` });
+            return;
+        }
+
+        const { account, taxCode } = mapCategory(mapping, receipt.category, categories);
+        const payee = receipt.companyName && receipt.companyName !== 'N/A' ? receipt.companyName : 'Unknown merchant';
+        transactions.push({
+            id: receipt.id || String(index + 1),
+            date: receipt.date,
+            payee,
+            attachment: zipPaths[index] || receipt.originalFileName || '',
+            category: receipt.category,
+            account,
+            taxCode,
+            currency,
+            total: roundMoney(amounts.reduce((sum, amount) => sum + amount, 0)),
+            lines: parts.map((part, partIndex) => ({ description: part.description, amount: amounts[partIndex] }))
+        });
+    });
+    return { transactions, skipped };
+};
+
+// MM/DD/YYYY and DD/MM/YYYY from YYYY-MM-DD
+const usDate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-');
+    return `${month}/${day}/${year}`;
+};
+const dayFirstDate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+};
+
+const formatAmount = (value) => value.toFixed(2);
+
+// Memo of a transaction, pointing at its attachment
+const memoOf = (transaction) => [
+    transaction.category,
+    transaction.taxCode && `Tax: ${transaction.taxCode}`,
+    transaction.attachment && `Receipt: ${transaction.attachment}`
+].filter(Boolean).join(' | ');
+
+// IIF is tab-separated without quoting, so tabs and line breaks are replaced
+const iifValue = (value) => String(value === null || value === undefined ? '' : value).replace(/[\t\r\n]+/g, ' ');
+
+// QuickBooks IIF: a credit card charge per receipt (TRNS) with a split line per share (SPL)
+export const toIif = ({ transactions }, mapping) => {
+    const lines = [
+        ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+        ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'TAXCODE'],
+        ['!ENDTRNS']
+    ];
+    transactions.forEach(transaction => {
+        const date = usDate(transaction.date);
+        lines.push(['TRNS', '', 'CREDIT CARD', date, mapping.paymentAccount, transaction.payee, formatAmount(-transaction.total), transaction.attachment, memoOf(transaction)]);
+        transaction.lines.forEach(line => {
+            lines.push(['SPL', '', 'CREDIT CARD', date, transaction.account, transaction.payee, formatAmount(line.amount), transaction.attachment, line.description, transaction.taxCode]);
+        });
+        lines.push(['ENDTRNS']);
+    });
+    return `${lines.map(line => line.map(iifValue).join('\t')).join('\r\n')}\r\n`;
+};
+
+// Xero bills import: one bill per receipt, one row per line. Rows of the same bill share the
+// InvoiceNumber, which is the attachment's file name. Dates are day first, as in most Xero regions.
+export const toXeroCsv = ({ transactions }) => {
+    const header = ['*ContactName', '*InvoiceNumber', 'Reference', '*InvoiceDate', '*DueDate', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'];
+    const rows = transactions.flatMap(transaction => transaction.lines.map(line => [
+        transaction.payee,
+        transaction.attachment || transaction.id,
+        memoOf(transaction),
+        dayFirstDate(transaction.date),
+        dayFirstDate(transaction.date),
+        line.description,
+        1,
+        formatAmount(line.amount),
+        transaction.account,
+        transaction.taxCode,
+        transaction.currency
+    ]));
+    return `${[header, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n')}\r\n`;
+};
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const ofxDate = (isoDate) => isoDate.replace(/-/g, '');
+
+// OFX 2 credit card statement with a debit per receipt. OFX has no account or tax fields, so the
+// mapped account and tax code go into the memo along with the attachment.
+export const toOfx = ({ transactions }, mapping, { reportingCurrency, now = new Date() } = {}) => {
+    const dates = transactions.map(transaction => ofxDate(transaction.date)).sort();
+    const today = now.toISOString().slice(0, 10).replace(/-/g, '');
+    const entries = transactions.map(transaction => [
+        '<STMTTRN>',
+        '<TRNTYPE>DEBIT</TRNTYPE>',
+        `<DTPOSTED>${ofxDate(transaction.date)}</DTPOSTED>`,
+        `<TRNAMT>${formatAmount(-transaction.total)}</TRNAMT>`,
+        `<FITID>${escapeXml(transaction.id)}</FITID>`,
+        `<NAME>${escapeXml(transaction.payee.slice(0, 32))}</NAME>`,
+        `<MEMO>${escapeXml(`Account: ${transaction.account} | ${memoOf(transaction)}`.slice(0, 255))}</MEMO>`,
+        '</STMTTRN>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${today}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+        '<CREDITCARDMSGSRSV1><CCSTMTTRNRS><TRNUID>1</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<CCSTMTRS><CURDEF>${escapeXml(reportingCurrency)}</CURDEF>`,
+        `<CCACCTFROM><ACCTID>${escapeXml(mapping.paymentAccount || 'RECEIPTS')}</ACCTID></CCACCTFROM>`,
+        `<BANKTRANLIST><DTSTART>${dates[0] || today}</DTSTART><DTEND>${dates[dates.length - 1] || today}</DTEND>`,
+        ...entries,
+        '</BANKTRANLIST>',
+        `<LEDGERBAL><BALAMT>${formatAmount(-transactions.reduce((sum, transaction) => sum + transaction.total, 0))}</BALAMT><DTASOF>${today}</DTASOF></LEDGERBAL>`,
+        '</CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>',
+        '</OFX>',
+        ''
+    ].join('\n');
+};
+
+const qifValue = (value) => String(value === null || value === undefined ? '' : value).replace(/[\r\n]+/g, ' ');
+
+// QIF credit card transactions with the mapped account as category (L) and a split (S/$/E)
+// per share of split receipts
+export const toQif = ({ transactions }) => {
+    const lines = ['!Type:CCard'];
+    transactions.forEach(transaction => {
+        lines.push(`D${usDate(transaction.date)}`, `T${formatAmount(-transaction.total)}`, `P${qifValue(transaction.payee)}`, `M${qifValue(memoOf(transaction))}`, `L${qifValue(transaction.account)}`);
+        if (transaction.lines.length > 1) {
+            transaction.lines.forEach(line => {
+                lines.push(`S${qifValue(transaction.account)}`, `E${qifValue(line.description)}`, `$${formatAmount(-line.amount)}`);
+            });
+        }
+        lines.push('^');
+    });
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+// Downloadable formats: { id, label, profile, filename, mimeType, build(result, mapping, options) }
+export const ACCOUNTING_FORMATS = [
+    { id: 'iif', label: 'QuickBooks IIF', profile: 'quickbooks', filename: 'receipts-quickbooks.iif', mimeType: 'text/plain;charset=utf-8', build: toIif },
+    { id: 'xero', label: 'Xero CSV', profile: 'xero', filename: 'receipts-xero.csv', mimeType: 'text/csv;charset=utf-8', build: toXeroCsv },
+    { id: 'ofx', label: 'OFX', profile: 'ofx', filename: 'receipts.ofx', mimeType: 'application/x-ofx', build: toOfx },
+    { id: 'qif', label: 'QIF', profile: 'ofx', filename: 'receipts.qif', mimeType: 'application/qif', build: toQif }
+];
+
+// Build one accounting export: { filename, mimeType, content, exportedCount, skipped }
+export const buildAccountingExport = (formatId, receipts, { mappings, reportingCurrency, rates, categories, zipPaths }) => {
+    const format = ACCOUNTING_FORMATS.find(candidate => candidate.id === formatId);
+    if (!format) throw new Error(`Unknown accounting format: ${formatId}`);
+    const mapping = profileMapping(mappings, format.profile);
+    const result = buildTransactions(receipts, { format: format.id, mapping, reportingCurrency, rates, categories, zipPaths });
+    return {
+        filename: format.filename,
+        mimeType: format.mimeType,
+        content: format.build(result, mapping, { reportingCurrency }),
+        exportedCount: result.transactions.length,
+        skipped: result.skipped
+    };
+};
+
+// Warning for receipts left out of an export, or null when none were
+export const describeSkipped = (label, skipped) => {
+    if (skipped.length === 0) return null;
+    const names = skipped.slice(0, 5).map(({ receipt, reason }) => `${receipt.originalFileName || receipt.companyName} (${reason})`);
+    return `Left out ${skipped.length} receipt${skipped.length === 1 ? '' : 's'} from the ${label} export: ${names.join(', ')}${skipped.length > 5 ? ', ...' : ''}`;
+};
@@ -0,0 +1,134 @@
+import { buildTransactions, buildAccountingExport, describeSkipped, profileMapping, toIif, toOfx, toQif, toXeroCsv } from './accountingExports';
+
+const categories = [{ name: 'Meals', glCode: '6400' }, { name: 'Travel', glCode: '' }];
+
+const receipts = [
+    {
+        id: 'r1',
+        date: '2024-03-05',
+        companyName: 'Cafe <Bleu> & Co',
+        category: 'Meals',
+        mealType: 'Lunch',
+        cost: 40,
+        currency: 'EUR',
+        originalFileName: 'cafe.jpg',
+        allocations: {
+            mode: 'equal',
+            splits: [
+                { id: 's1', name: 'Alice', attendees: 'Client X', client: true, share: 0 },
+                { id: 's2', name: 'Bob', attendees: '', client: false, share: 0 }
+            ]
+        }
+    },
+    { id: 'r2', date: '2024-03-07', companyName: 'N/A', category: 'Travel', mealType: 'Unknown', cost: 12.5, currency: 'USD', originalFileName: 'taxi.pdf' },
+    { id: 'r3', date: 'N/A', companyName: 'Shop', category: 'Travel', cost: 3, currency: 'USD', originalFileName: 'shop.jpg' }
+];
+
+const options = (format, profile) => ({
+    format,
+    mapping: profileMapping({ [profile]: { categories: { Travel: { account: 'Travel Expense', taxCode: 'NON' } } } }, profile),
+    reportingCurrency: 'USD',
+    rates: { EUR: 1.1 },
+    categories,
+    zipPaths: ['2024-03-05_cafe.jpg', '2024-03-07_taxi.pdf', 'shop.jpg']
+});
+
+describe('buildTransactions', () => {
+    it('converts amounts, maps accounts and gives split receipts a line per share', () => {
+        const { transactions, skipped } = buildTransactions(receipts, options('iif', 'quickbooks'));
+        expect(transactions).toHaveLength(2);
+        expect(transactions[0]).toMatchObject({
+            id: 'r1',
+            payee: 'Cafe <Bleu> & Co',
+            account: '6400',
+            taxCode: '',
+            currency: 'USD',
+            total: 44,
+            attachment: '2024-03-05_cafe.jpg',
+            lines: [{ description: 'Alice (Client X)', amount: 22 }, { description: 'Bob', amount: 22 }]
+        });
+        expect(transactions[1]).toMatchObject({ payee: 'Unknown merchant', account: 'Travel Expense', taxCode: 'NON', total: 12.5, lines: [{ description: 'Travel', amount: 12.5 }] });
+        expect(skipped).toEqual([{ receipt: receipts[2], reason: 'no valid date' }]);
+    });
+
+    it('keeps the receipt currency for Xero', () => {
+        const { transactions } = buildTransactions(receipts, options('xero', 'xero'));
+        expect(transactions[0]).toMatchObject({ currency: 'EUR', total: 40, taxCode: 'Tax Exempt' });
+    });
+
+    it('skips receipts without an exchange rate when amounts are converted', () => {
+        const { transactions, skipped } = buildTransactions([receipts[0]], { ...options('ofx', 'ofx'), rates: {} });
+        expect(transactions).toEqual([]);
+        expect(skipped[0].reason).toBe('no exchange rate from EUR to USD');
+    });
+
+    it('books a receipt whose split does not cover the cost as one line', () => {
+        const receipt = { ...receipts[1], allocations: { mode: 'amount', splits: [{ id: 's1', name: 'Alice', share: 5 }] } };
+        const { transactions } = buildTransactions([receipt], options('iif', 'quickbooks'));
+        expect(transactions[0].lines).toEqual([{ description: 'Travel', amount: 12.5 }]);
+    });
+});
+
+describe('toIif', () => {
+    it('writes a charge from the payment account with a split line per share', () => {
+        const result = buildTransactions(receipts.slice(0, 1), options('iif', 'quickbooks'));
+        const lines = toIif(result, profileMapping({}, 'quickbooks')).split('\r\n');
+        expect(lines[0].split('\t')[0]).toBe('!TRNS');
+        expect(lines[3]).toBe('TRNS\t\tCREDIT CARD\t03/05/2024\tCompany Credit Card\tCafe <Bleu> & Co\t-44.00\t2024-03-05_cafe.jpg\tMeals | Receipt: 2024-03-05_cafe.jpg');
+        expect(lines[4]).toBe('SPL\t\tCREDIT CARD\t03/05/2024\t6400\tCafe <Bleu> & Co\t22.00\t2024-03-05_cafe.jpg\tAlice (Client X)\t');
+        expect(lines[5]).toBe('SPL\t\tCREDIT CARD\t03/05/2024\t6400\tCafe <Bleu> & Co\t22.00\t2024-03-05_cafe.jpg\tBob\t');
+        expect(lines[6]).toBe('ENDTRNS');
+    });
+
+    it('replaces tabs and line breaks, which IIF cannot quote', () => {
+        const result = { transactions: [{ id: '1', date: '2024-01-02', payee: 'A\tB\nC', account: 'X', taxCode: '', category: 'Meals', attachment: '', total: 1, lines: [{ description: 'd', amount: 1 }] }] };
+        expect(toIif(result, { paymentAccount: 'Card' })).toContain('\tA B C\t');
+    });
+});
+
+describe('toXeroCsv', () => {
+    it('writes a row per line with day-first dates, sharing the invoice number', () => {
+        const result = buildTransactions(receipts.slice(0, 1), options('xero', 'xero'));
+        const rows = toXeroCsv(result).trim().split('\r\n');
+        expect(rows).toHaveLength(3);
+        expect(rows[1]).toBe('Cafe <Bleu> & Co,2024-03-05_cafe.jpg,Meals | Tax: Tax Exempt | Receipt: 2024-03-05_cafe.jpg,05/03/2024,05/03/2024,Alice (Client X),1,20.00,6400,Tax Exempt,EUR');
+    });
+});
+
+describe('toOfx', () => {
+    it('writes an escaped debit per receipt and the balance', () => {
+        const result = buildTransactions(receipts, options('ofx', 'ofx'));
+        const ofx = toOfx(result, profileMapping({}, 'ofx'), { reportingCurrency: 'USD', now: new Date('2024-04-01T00:00:00Z') });
+        expect(ofx).toContain('<CURDEF>USD</CURDEF>');
+        expect(ofx).toContain('<DTSTART>20240305</DTSTART><DTEND>20240307</DTEND>');
+        expect(ofx).toContain('<TRNAMT>-44.00</TRNAMT>');
+        expect(ofx).toContain('<NAME>Cafe &lt;Bleu&gt; &amp; Co</NAME>');
+        expect(ofx).toContain('<MEMO>Account: Travel Expense | Travel | Tax: NON | Receipt: 2024-03-07_taxi.pdf</MEMO>');
+        expect(ofx).toContain('<BALAMT>-56.50</BALAMT><DTASOF>20240401</DTASOF>');
+    });
+});
+
+describe('toQif', () => {
+    it('writes a transaction per receipt with splits only for split receipts', () => {
+        const result = buildTransactions(receipts, options('qif', 'ofx'));
+        expect(toQif(result).split('\r\n')).toEqual([
+            '!Type:CCard',
+            'D03/05/2024', 'T-44.00', 'PCafe <Bleu> & Co', 'MMeals | Receipt: 2024-03-05_cafe.jpg', 'L6400',
+            'S6400', 'EAlice (Client X)', '$-22.00',
+            'S6400', 'EBob', '$-22.00',
+            '^',
+            'D03/07/2024', 'T-12.50', 'PUnknown merchant', 'MTravel | Tax: NON | Receipt: 2024-03-07_taxi.pdf', 'LTravel Expense',
+            '^',
+            ''
+        ]);
+    });
+});
+
+describe('buildAccountingExport', () => {
+    it('uses the mapping of the format\'s profile and reports skipped receipts', () => {
+        const exported = buildAccountingExport('qif', receipts, { mappings: {}, reportingCurrency: 'USD', rates: { EUR: 1.1 }, categories, zipPaths: [] });
+        expect(exported).toMatchObject({ filename: 'receipts.qif', exportedCount: 2 });
+        expect(describeSkipped('QIF', exported.skipped)).toBe('Left out 1 receipt from the QIF export: shop.jpg (no valid date)');
+        expect(() => buildAccountingExport('pdf', receipts, { mappings: {} })).toThrow('Unknown accounting format');
+    });
+});
@@ -0,0 +1,138 @@
+// Splitting a receipt across people or cost centers, e.g. a team dinner split 4 ways of which
+// 2 shares are clients. Stored on the receipt as
+//   allocations: { mode, splits: [{ id, name, attendees, client, share }] }
+// where share is ignored for equal splits, a percentage for 'percent' and an amount in the
+// receipt's currency for 'amount'.
+
+import { generateId } from './ids';
+import { currencyDecimals } from './fieldValidation';
+import { convertAmount, normalizeCurrencyCode } from './currency';
+
+export const SPLIT_MODES = [
+    ['equal', 'Equal shares'],
+    ['percent', 'Percentages'],
+    ['amount', 'Exact amounts']
+];
+
+// Name used for receipts that aren't split, in the totals view
+export const UNALLOCATED = 'Unallocated';
+
+export const createSplit = (name = '') => ({ id: generateId(), name, attendees: '', client: false, share: 0 });
+
+// Split a receipt into `count` equal shares, keeping the names of existing splits
+export const splitEqually = (allocations, count) => {
+    const splits = allocations ? allocations.splits : [];
+    return {
+        mode: allocations ? allocations.mode : 'equal',
+        splits: Array.from({ length: count }, (_, index) => splits[index] || createSplit(`Person ${index + 1}`))
+    };
+};
+
+export const hasAllocations = (receipt) => Boolean(receipt.allocations && receipt.allocations.splits && receipt.allocations.splits.length > 0);
+
+// Label of a split: its name, or its position when unnamed
+export const splitLabel = (split, index) => (split.name && split.name.trim()) || `Split ${index + 1}`;
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+// Amount of every split of a receipt, in the receipt's currency: [{ split, label, amount }].
+// Amounts are computed in minor units so they add up to the cost exactly; rounding differences
+// of equal and percentage splits go to the first splits.
+export const computeAllocations = (receipt, fallbackCurrency) => {
+    if (!hasAllocations(receipt)) return [];
+    const { mode, splits } = receipt.allocations;
+    const factor = 10 ** currencyDecimals(normalizeCurrencyCode(receipt.currency, fallbackCurrency));
+    const total = Math.round(toNumber(receipt.cost) * factor);
+
+    let units;
+    if (mode === 'amount') {
+        units = splits.map(split => Math.round(toNumber(split.share) * factor));
+    } else {
+        const weights = mode === 'percent' ? splits.map(split => toNumber(split.share) / 100) : splits.map(() => 1 / splits.length);
+        units = weights.map(weight => Math.floor(total * weight + 1e-9)); // Guard against 0.29 * 100 = 28.999...
+        // Hand out the remainder only when the percentages add up to 100
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        if (Math.abs(weightSum - 1) < 1e-9) {
+            let remainder = total - units.reduce((sum, unit) => sum + unit, 0);
+            for (let index = 0; remainder > 0; index = (index + 1) % units.length, remainder--) {
+                units[index] += 1;
+            }
+        }
+    }
+    return splits.map((split, index) => ({ split, label: splitLabel(split, index), amount: units[index] / factor }));
+};
+
+// Whether the splits of a receipt cover its cost. Returns null for receipts that aren't split,
+// otherwise { matches, message }.
+export const checkAllocations = (receipt, fallbackCurrency) => {
+    if (!hasAllocations(receipt)) return null;
+    const { mode, splits } = receipt.allocations;
+    if (splits.some(split => toNumber(split.share) < 0)) {
+        return { matches: false, message: 'Shares can\'t be negative.' };
+    }
+    if (mode === 'percent') {
+        const percentTotal = splits.reduce((sum, split) => sum + toNumber(split.share), 0);
+        if (Math.abs(percentTotal - 100) > 0.001) {
+            return { matches: false, message: `Percentages add up to ${Math.round(percentTotal * 1000) / 1000}% instead of 100%.` };
+        }
+    }
+    if (mode === 'amount') {
+        const allocated = computeAllocations(receipt, fallbackCurrency).reduce((sum, allocation) => sum + allocation.amount, 0);
+        const cost = toNumber(receipt.cost);
+        if (Math.abs(allocated - cost) > 0.005) {
+            return { matches: false, message: `Split amounts add up to ${allocated.toFixed(2)} but the total is ${cost.toFixed(2)}.` };
+        }
+    }
+    return { matches: true, message: '' };
+};
+
+// Split amounts to export: none when the splits don't cover the cost, so such a receipt is
+// exported as one unsplit line instead of lines that don't add up to its total
+export const exportedAllocations = (receipt, fallbackCurrency) => {
+    const check = checkAllocations(receipt, fallbackCurrency);
+    return check && check.matches ? computeAllocations(receipt, fallbackCurrency) : [];
+};
+
+// Totals per person or cost center in the reporting currency: { groups, unconvertedCount } where
+// groups are [{ name, receiptCount, total, clientTotal, internalTotal }], highest total first.
+// Receipts that aren't split, or whose split doesn't cover the cost, count in full towards
+// UNALLOCATED, as in the exports; amounts without an exchange rate are left out and counted in
+// unconvertedCount.
+export const allocationTotals = (receipts, reportingCurrency, rates) => {
+    const groups = {};
+    let unconvertedCount = 0;
+    const add = (name, amount, currency, client) => {
+        const converted = convertAmount(amount, currency, reportingCurrency, rates);
+        if (converted === null) {
+            unconvertedCount += 1;
+            return;
+        }
+        const group = groups[name] || (groups[name] = { name, receiptCount: 0, total: 0, clientTotal: 0, internalTotal: 0 });
+        group.receiptCount += 1;
+        group.total += converted;
+        if (client) {
+            group.clientTotal += converted;
+        } else {
+            group.internalTotal += converted;
+        }
+    };
+    receipts.forEach(receipt => {
+        const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+        const allocations = exportedAllocations(receipt, reportingCurrency);
+        if (allocations.length > 0) {
+            allocations.forEach(({ split, label, amount }) => add(label, amount, currency, split.client));
+        } else {
+            add(UNALLOCATED, toNumber(receipt.cost), currency, false);
+        }
+    });
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        groups: Object.values(groups)
+            .map(group => ({ ...group, total: round(group.total), clientTotal: round(group.clientTotal), internalTotal: round(group.internalTotal) }))
+            .sort((a, b) => b.total - a.total),
+        unconvertedCount
+    };
+};
@@ -0,0 +1,71 @@
+import { computeAllocations, checkAllocations, exportedAllocations, allocationTotals, UNALLOCATED } from './allocations';
+
+const split = (name, share = 0, client = false) => ({ id: name, name, attendees: '', client, share });
+
+const receiptWith = (cost, currency, mode, splits) => ({ cost, currency, allocations: { mode, splits } });
+
+const amountsOf = (receipt) => computeAllocations(receipt, 'USD').map(allocation => allocation.amount);
+
+describe('computeAllocations', () => {
+    it('gives the remainder of equal shares to the first splits', () => {
+        expect(amountsOf(receiptWith(100, 'USD', 'equal', [split('A'), split('B'), split('C')]))).toEqual([33.34, 33.33, 33.33]);
+        expect(amountsOf(receiptWith(0.05, 'USD', 'equal', [split('A'), split('B'), split('C')]))).toEqual([0.02, 0.02, 0.01]);
+    });
+
+    it('splits in the minor units of the currency', () => {
+        expect(amountsOf(receiptWith(1000, 'JPY', 'equal', [split('A'), split('B'), split('C')]))).toEqual([334, 333, 333]);
+    });
+
+    it('hands out the remainder of percentages only when they add up to 100', () => {
+        expect(amountsOf(receiptWith(10, 'USD', 'percent', [split('A', 33.33), split('B', 33.33), split('C', 33.34)]))).toEqual([3.34, 3.33, 3.33]);
+        expect(amountsOf(receiptWith(100, 'USD', 'percent', [split('A', 29), split('B', 71)]))).toEqual([29, 71]);
+        expect(amountsOf(receiptWith(10, 'USD', 'percent', [split('A', 50), split('B', 25)]))).toEqual([5, 2.5]);
+    });
+
+    it('takes exact amounts as they are', () => {
+        expect(amountsOf(receiptWith(10, 'USD', 'amount', [split('A', '6.25'), split('B', 3.75)]))).toEqual([6.25, 3.75]);
+    });
+
+    it('labels unnamed splits by position and ignores receipts without splits', () => {
+        const [first, second] = computeAllocations(receiptWith(2, 'USD', 'equal', [split(''), split('Bob')]), 'USD');
+        expect([first.label, second.label]).toEqual(['Split 1', 'Bob']);
+        expect(computeAllocations({ cost: 5 }, 'USD')).toEqual([]);
+    });
+});
+
+describe('checkAllocations', () => {
+    it('reports splits that do not cover the cost', () => {
+        expect(checkAllocations({ cost: 5 }, 'USD')).toBeNull();
+        expect(checkAllocations(receiptWith(10, 'USD', 'percent', [split('A', 50), split('B', 25)]), 'USD'))
+            .toEqual({ matches: false, message: 'Percentages add up to 75% instead of 100%.' });
+        expect(checkAllocations(receiptWith(10, 'USD', 'amount', [split('A', 4)]), 'USD').matches).toBe(false);
+        expect(checkAllocations(receiptWith(10, 'USD', 'amount', [split('A', 12), split('B', -2)]), 'USD').message).toBe('Shares can\'t be negative.');
+        expect(checkAllocations(receiptWith(10, 'USD', 'percent', [split('A', 33.33), split('B', 33.33), split('C', 33.34)]), 'USD').matches).toBe(true);
+    });
+});
+
+describe('exportedAllocations', () => {
+    it('leaves out splits that do not cover the cost', () => {
+        expect(exportedAllocations(receiptWith(10, 'USD', 'amount', [split('A', 4)]), 'USD')).toEqual([]);
+        expect(exportedAllocations(receiptWith(10, 'USD', 'amount', [split('A', 4), split('B', 6)]), 'USD')).toHaveLength(2);
+    });
+});
+
+describe('allocationTotals', () => {
+    it('adds up converted shares per person and counts unsplit or uncovered receipts as unallocated', () => {
+        const receipts = [
+            receiptWith(30, 'USD', 'equal', [split('Alice', 0, true), split('Bob')]),
+            receiptWith(10, 'EUR', 'amount', [split('Alice', 10)]),
+            { cost: 7, currency: 'USD' },
+            { cost: 5, currency: 'GBP' },
+            receiptWith(10, 'USD', 'percent', [split('Alice', 50), split('Bob', 25)])
+        ];
+        const { groups, unconvertedCount } = allocationTotals(receipts, 'USD', { EUR: 1.1 });
+        expect(groups).toEqual([
+            { name: 'Alice', receiptCount: 2, total: 26, clientTotal: 15, internalTotal: 11 },
+            { name: UNALLOCATED, receiptCount: 2, total: 17, clientTotal: 0, internalTotal: 17 },
+            { name: 'Bob', receiptCount: 1, total: 15, clientTotal: 0, internalTotal: 15 }
+        ]);
+        expect(unconvertedCount).toBe(1);
+    });
+});
@@ -0,0 +1,55 @@
+// Spending analytics over the receipts array. All amounts are in the reporting
+// currency; receipts without an exchange rate are counted but not summed.
+
+import { convertAmount } from './currency';
+
+const UNKNOWN_MONTH = 'Unknown';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// "2024-03-15" -> "2024-03"; anything that isn't a YYYY-MM-DD date -> "Unknown"
+export const monthOf = (date) => (/^\d{4}-\d{2}-\d{2}$/.test(String(date)) ? String(date).slice(0, 7) : UNKNOWN_MONTH);
+
+// Group converted amounts by a key, largest total first
+const groupTotals = (entries, keyOf) => {
+    const groups = {};
+    entries.forEach(entry => {
+        const key = keyOf(entry.receipt) || 'N/A';
+        if (!groups[key]) groups[key] = { key, total: 0, count: 0 };
+        groups[key].total += entry.amount;
+        groups[key].count += 1;
+    });
+    return Object.values(groups)
+        .map(group => ({ ...group, total: round2(group.total) }))
+        .sort((a, b) => b.total - a.total);
+};
+
+export const computeAnalytics = (receipts, reportingCurrency, rates) => {
+    const entries = receipts.map(receipt => ({
+        receipt,
+        amount: convertAmount(receipt.cost, receipt.currency, reportingCurrency, rates)
+    }));
+    const converted = entries.filter(entry => entry.amount !== null);
+    const grandTotal = round2(converted.reduce((sum, entry) => sum + entry.amount, 0));
+
+    const byMonth = groupTotals(converted, receipt => monthOf(receipt.date))
+        .sort((a, b) => (a.key === UNKNOWN_MONTH ? 1 : b.key === UNKNOWN_MONTH ? -1 : a.key.localeCompare(b.key)));
+
+    return {
+        count: receipts.length,
+        unconvertedCount: entries.length - converted.length,
+        grandTotal,
+        average: converted.length > 0 ? round2(grandTotal / converted.length) : 0,
+        byCategory: groupTotals(converted, receipt => receipt.category),
+        byMealType: groupTotals(converted, receipt => receipt.mealType),
+        byMonth,
+        topMerchants: groupTotals(converted, receipt => receipt.companyName).slice(0, 5)
+    };
+};
+
+// Whether a receipt belongs to a chart segment: { field: 'category' | 'mealType' | 'companyName' | 'month', value }
+export const matchesChartFilter = (receipt, filter) => {
+    if (!filter) return true;
+    if (filter.field === 'month') return monthOf(receipt.date) === filter.value;
+    return (receipt[filter.field] || 'N/A') === filter.value;
+};
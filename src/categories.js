@@ -0,0 +1,111 @@
+// User-managed expense categories with their general ledger (GL) account codes,
+// and merchant rules that pick a category after extraction.
+
+import { generateId } from './ids';
+
+export const DEFAULT_CATEGORIES = ['Restaurant', 'Transport', 'Groceries', 'Utilities', 'Shopping', 'Other']
+    .map(name => ({ name, glCode: '' }));
+
+// Category used when the extracted category isn't one of the configured ones
+export const FALLBACK_CATEGORY = 'Other';
+
+export const categoryNames = (categories) => categories.map(category => category.name);
+
+// GL account code of a category, '' when it has none
+export const glCodeFor = (categoryName, categories) => {
+    const category = categories.find(candidate => candidate.name === categoryName);
+    return category ? category.glCode : '';
+};
+
+// Map an extracted category onto a configured one (case-insensitively); unknown categories become
+// the fallback when it is configured, and are kept as they are otherwise
+export const matchCategory = (value, categories) => {
+    const text = String(value || '').trim().toLowerCase();
+    const match = categories.find(category => category.name.toLowerCase() === text);
+    if (match) return match.name;
+    const fallback = categories.find(category => category.name === FALLBACK_CATEGORY);
+    return fallback ? fallback.name : value;
+};
+
+// Rules: { id, pattern, flags, category, learned } where pattern is a regular expression
+// tested against the company name. The first matching rule wins.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Global and sticky flags are dropped, they would make test() stateful
+const compileRule = (rule) => {
+    try {
+        return new RegExp(rule.pattern, String(rule.flags || '').replace(/[gy]/g, ''));
+    } catch (e) {
+        return null;
+    }
+};
+
+// Whether a pattern/flags pair is a valid regular expression
+export const isValidRulePattern = (pattern, flags = 'i') => Boolean(pattern) && compileRule({ pattern, flags }) !== null;
+
+export const createRule = (pattern, category, { flags = 'i', learned = false } = {}) => ({
+    id: generateId(),
+    pattern,
+    flags,
+    category,
+    learned
+});
+
+// The first rule matching a receipt's company name, or null
+export const findMatchingRule = (receipt, rules) => rules.find(rule => {
+    const regex = compileRule(rule);
+    return regex !== null && regex.test(String(receipt.companyName || ''));
+}) || null;
+
+// Set the category of an extracted receipt from the first matching rule
+export const applyCategoryRules = (receipt, rules) => {
+    const rule = findMatchingRule(receipt, rules);
+    return rule ? { ...receipt, category: rule.category } : receipt;
+};
+
+// Learn from a manual category correction: add (or update) a rule for exactly this merchant.
+// Hand-written rules that already give the corrected category are left alone.
+export const learnRule = (rules, receipt, category) => {
+    const companyName = String(receipt.companyName || '').trim();
+    if (!companyName || companyName === 'N/A') return rules;
+
+    const existing = findMatchingRule({ companyName }, rules);
+    if (existing && existing.category === category) return rules;
+
+    const pattern = `^${escapeRegExp(companyName)}$`;
+    const learnedIndex = rules.findIndex(rule => rule.learned && rule.pattern === pattern);
+    if (learnedIndex >= 0) {
+        return rules.map((rule, index) => (index === learnedIndex ? { ...rule, category } : rule));
+    }
+    // Learned rules go first so they win over broader hand-written ones
+    return [createRule(pattern, category, { learned: true }), ...rules];
+};
+
+export const rulesToJson = (rules) => JSON.stringify({
+    rules: rules.map(({ pattern, flags, category, learned }) => ({ pattern, flags, category, learned }))
+}, null, 2);
+
+// Parse exported rules: { rules: [...] } or a bare array. Throws on invalid input.
+export const parseRulesJson = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The rules file is not valid JSON.');
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+    if (!Array.isArray(list)) {
+        throw new Error('The rules file must contain a "rules" array.');
+    }
+    return list.map((rule, index) => {
+        if (!rule || typeof rule.pattern !== 'string' || typeof rule.category !== 'string' || !rule.category.trim()) {
+            throw new Error(`Rule ${index + 1} needs a "pattern" and a "category".`);
+        }
+        const flags = typeof rule.flags === 'string' ? rule.flags : 'i';
+        if (!isValidRulePattern(rule.pattern, flags)) {
+            throw new Error(`Rule ${index + 1} has an invalid pattern: /${rule.pattern}/${flags}`);
+        }
+        return createRule(rule.pattern, rule.category.trim(), { flags, learned: Boolean(rule.learned) });
+    });
+};
@@ -0,0 +1,88 @@
+// Currency helpers: ISO code normalisation, locale formatting, conversion to the
+// reporting currency and parsing of exchange-rate CSV files.
+//
+// Exchange rates are stored as { [currencyCode]: rate } where rate is the number of
+// reporting-currency units one unit of that currency is worth.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+const isIsoCode = (code) => /^[A-Z]{3}$/.test(code);
+
+// Uppercase and validate a currency code, falling back when it isn't a 3-letter ISO code
+export const normalizeCurrencyCode = (code, fallback = DEFAULT_CURRENCY) => {
+    const normalized = String(code || '').trim().toUpperCase();
+    return isIsoCode(normalized) ? normalized : fallback;
+};
+
+// Format an amount in its currency using the browser's locale, e.g. "S$12.50", "¥1,200", "€8,00"
+export const formatMoney = (amount, currency) => {
+    const value = Number(amount) || 0;
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: normalizeCurrencyCode(currency) }).format(value);
+    } catch (e) {
+        return `${value.toFixed(2)} ${currency}`;
+    }
+};
+
+// Convert an amount into the reporting currency. Returns null when no rate is known.
+export const convertAmount = (amount, fromCurrency, reportingCurrency, rates) => {
+    const value = Number(amount) || 0;
+    const from = normalizeCurrencyCode(fromCurrency, reportingCurrency);
+    if (from === reportingCurrency) return value;
+    const rate = Number(rates[from]);
+    if (!rate || rate <= 0) return null;
+    return Math.round(value * rate * 100) / 100;
+};
+
+// Rates relative to a new reporting currency, from rates relative to the old one: every rate is
+// divided by the old rate of the new currency, and the old currency gets the inverse rate.
+// Returns null when the new currency has no rate to rebase with.
+export const rebaseRates = (rates, fromCurrency, toCurrency) => {
+    if (fromCurrency === toCurrency) return rates;
+    const base = Number(rates[toCurrency]);
+    if (!base || base <= 0) return null;
+    const round = (value) => Math.round(value * 1e6) / 1e6;
+    const rebased = { [fromCurrency]: round(1 / base) };
+    Object.entries(rates).forEach(([code, rate]) => {
+        if (code !== toCurrency && code !== fromCurrency) rebased[code] = round(Number(rate) / base);
+    });
+    return rebased;
+};
+
+// Parse an exchange-rate CSV with lines of "currency,rate" (a header row is optional).
+// Throws if no valid rate is found.
+export const parseRatesCsv = (text) => {
+    const rates = {};
+    String(text).split(/\r?\n/).forEach(line => {
+        const [codeCell, rateCell] = line.split(/[,;\t]/).map(cell => (cell || '').trim().replace(/^"|"$/g, ''));
+        const code = String(codeCell || '').toUpperCase();
+        const rate = parseFloat(rateCell);
+        if (isIsoCode(code) && Number.isFinite(rate) && rate > 0) {
+            rates[code] = rate;
+        }
+    });
+    if (Object.keys(rates).length === 0) {
+        throw new Error('No exchange rates found. Expected lines of "currency,rate", e.g. "SGD,0.74".');
+    }
+    return rates;
+};
+
+// Sum amounts per original currency and the converted grand total.
+// Returns { byCurrency: { [code]: total }, convertedTotal, missingRates: [codes] }.
+export const summarizeAmounts = (receipts, reportingCurrency, rates) => {
+    const byCurrency = {};
+    const missingRates = new Set();
+    let convertedTotal = 0;
+    receipts.forEach(receipt => {
+        const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+        const cost = Number(receipt.cost) || 0;
+        byCurrency[currency] = (byCurrency[currency] || 0) + cost;
+        const converted = convertAmount(cost, currency, reportingCurrency, rates);
+        if (converted === null) {
+            missingRates.add(currency);
+        } else {
+            convertedTotal += converted;
+        }
+    });
+    return { byCurrency, convertedTotal: Math.round(convertedTotal * 100) / 100, missingRates: Array.from(missingRates) };
+};
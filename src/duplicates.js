@@ -0,0 +1,152 @@
+// Duplicate receipt detection: identical files (content hash), re-shot photos
+// (perceptual image hash) and the same purchase uploaded twice (date + company + cost).
+
+// Largest Hamming distance between two 64-bit image hashes still treated as the same picture
+const IMAGE_HASH_THRESHOLD = 10;
+// Minimum company name similarity (0..1) for a fuzzy match
+const COMPANY_SIMILARITY_THRESHOLD = 0.8;
+
+// SHA-256 of base64 file data, as hex
+export const hashFileContent = async (base64) => {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image for hashing.'));
+    image.src = src;
+});
+
+// 64-bit difference hash (dHash) of a base64 JPEG, as 16 hex characters.
+// The image is shrunk to 9x8 greyscale and each bit says whether a pixel is brighter
+// than its right-hand neighbour, which survives re-compression, scaling and lighting changes.
+export const computeImageHash = async (jpegBase64) => {
+    const image = await loadImage(`data:image/jpeg;base64,${jpegBase64}`);
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, 9, 8);
+    const { data } = context.getImageData(0, 0, 9, 8);
+
+    const grey = (x, y) => {
+        const offset = (y * 9 + x) * 4;
+        return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+    };
+
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+        let byte = 0;
+        for (let x = 0; x < 8; x++) {
+            byte = (byte << 1) | (grey(x, y) > grey(x + 1, y) ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+};
+
+export const hammingDistance = (hexA, hexB) => {
+    let distance = 0;
+    for (let i = 0; i < hexA.length; i += 2) {
+        let diff = parseInt(hexA.slice(i, i + 2), 16) ^ parseInt(hexB.slice(i, i + 2), 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+
+const normalizeCompany = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/\b(pte|ltd|llc|inc|co|corp|gmbh|sdn|bhd|the)\b/g, '')
+    .replace(/[^a-z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Similarity of two company names from 0 (different) to 1 (same)
+export const companySimilarity = (nameA, nameB) => {
+    const a = normalizeCompany(nameA);
+    const b = normalizeCompany(nameB);
+    if (!a || !b) return 0;
+    if (a === b || a.includes(b) || b.includes(a)) return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const isKnown = (value) => value && value !== 'N/A';
+
+// Add contentHash and imageHash to a new receipt (best effort: hashing failures leave them unset)
+export const addDuplicateHashes = async (receipt) => {
+    const hashes = {};
+    try {
+        if (receipt.originalFileData && receipt.originalFileData.base64) {
+            hashes.contentHash = await hashFileContent(receipt.originalFileData.base64);
+        }
+        if (receipt.geminiImageData) {
+            hashes.imageHash = await computeImageHash(receipt.geminiImageData);
+        }
+    } catch (hashError) {
+        console.error("Error hashing receipt for duplicate detection:", hashError);
+    }
+    return { ...receipt, ...hashes };
+};
+
+// Find the existing receipt that most likely duplicates the candidate.
+// Returns { receiptId, reasons: [string] } or null.
+export const findDuplicate = (candidate, receipts) => {
+    let best = null;
+    receipts.forEach(existing => {
+        const reasons = [];
+        // Receipts split from the same PDF share a file hash, so the page has to match too
+        if (candidate.contentHash && candidate.contentHash === existing.contentHash
+            && (candidate.sourcePage || null) === (existing.sourcePage || null)) {
+            reasons.push('Identical file');
+        }
+        if (candidate.imageHash && existing.imageHash && hammingDistance(candidate.imageHash, existing.imageHash) <= IMAGE_HASH_THRESHOLD) {
+            reasons.push('Very similar image');
+        }
+        if (isKnown(candidate.date) && candidate.date === existing.date
+            && Math.abs((Number(candidate.cost) || 0) - (Number(existing.cost) || 0)) < 0.01
+            && (candidate.currency || '') === (existing.currency || '')
+            && companySimilarity(candidate.companyName, existing.companyName) >= COMPANY_SIMILARITY_THRESHOLD) {
+            reasons.push('Same date, company and amount');
+        }
+        if (reasons.length > 0 && (!best || reasons.length > best.reasons.length)) {
+            best = { receiptId: existing.id, reasons };
+        }
+    });
+    return best;
+};
+
+// Merge a duplicate into the receipt it duplicates: missing fields are filled in from the
+// duplicate and its pages are added to the preview; the original file is kept.
+export const mergeDuplicate = (existing, duplicate) => {
+    const merged = { ...existing };
+    ['date', 'companyName', 'category', 'mealType', 'currency', 'paymentMethod'].forEach(field => {
+        if (!isKnown(merged[field]) || merged[field] === 'Unknown') merged[field] = duplicate[field];
+    });
+    ['cost', 'subtotal', 'tax', 'tip'].forEach(field => {
+        if (!Number(merged[field])) merged[field] = duplicate[field];
+    });
+    if (!merged.lineItems || merged.lineItems.length === 0) merged.lineItems = duplicate.lineItems;
+
+    const existingPages = existing.pageImages || (existing.geminiImageData ? [existing.geminiImageData] : []);
+    merged.pageImages = [...existingPages, ...(duplicate.pageImages || [duplicate.geminiImageData])];
+    merged.mergedFileNames = [...(existing.mergedFileNames || []), duplicate.originalFileName];
+    return merged;
+};
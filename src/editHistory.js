@@ -0,0 +1,69 @@
+// Undo/redo history for changes to the receipts array.
+// Entries describe a change by receipt id rather than storing whole snapshots, so undoing
+// an edit doesn't throw away receipts that were uploaded in the meantime.
+//
+// Entry types:
+//   { type: 'edit', before, after }        one receipt replaced (matched by id)
+//   { type: 'delete', receipt, index }     one receipt removed from position index
+//   { type: 'reset', receipts }            all receipts cleared
+
+const MAX_HISTORY = 100;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// Record a new change; anything that was undone can no longer be redone
+export const recordChange = (history, entry) => ({
+    past: [...history.past, entry].slice(-MAX_HISTORY),
+    future: []
+});
+
+const replaceById = (receipts, replacement) => receipts.map(receipt => (receipt.id === replacement.id ? replacement : receipt));
+
+const insertAt = (receipts, receipt, index) => {
+    const updated = [...receipts];
+    updated.splice(Math.min(index, updated.length), 0, receipt);
+    return updated;
+};
+
+export const revertEntry = (receipts, entry) => {
+    switch (entry.type) {
+        case 'edit':
+            return replaceById(receipts, entry.before);
+        case 'delete':
+            return insertAt(receipts, entry.receipt, entry.index);
+        case 'reset':
+            return [...entry.receipts, ...receipts];
+        default:
+            return receipts;
+    }
+};
+
+export const applyEntry = (receipts, entry) => {
+    switch (entry.type) {
+        case 'edit':
+            return replaceById(receipts, entry.after);
+        case 'delete':
+            return receipts.filter(receipt => receipt.id !== entry.receipt.id);
+        case 'reset': {
+            const resetIds = new Set(entry.receipts.map(receipt => receipt.id));
+            return receipts.filter(receipt => !resetIds.has(receipt.id));
+        }
+        default:
+            return receipts;
+    }
+};
+
+// Short description of an entry for the undo/redo button tooltips
+export const describeEntry = (entry) => {
+    if (!entry) return '';
+    switch (entry.type) {
+        case 'edit':
+            return `edit of ${entry.after.companyName || 'receipt'}`;
+        case 'delete':
+            return `delete of ${entry.receipt.companyName || 'receipt'}`;
+        case 'reset':
+            return `reset of ${entry.receipts.length} receipt${entry.receipts.length === 1 ? '' : 's'}`;
+        default:
+            return entry.type;
+    }
+};
@@ -0,0 +1,205 @@
+// Exports of the "Extracted Receipts Summary" table as CSV, XLSX and JSON.
+// All exports share the same rows so the spreadsheet always matches the ZIP contents.
+// A receipt split across people or cost centers becomes one row per share, all pointing at the same file.
+
+import { DEFAULT_CURRENCY, normalizeCurrencyCode, convertAmount } from './currency';
+import { glCodeFor } from './categories';
+import { buildZipPaths } from './filenameTemplate';
+import { exportedAllocations } from './allocations';
+
+// Columns of the summary export, in order: [row key, header label]
+const SUMMARY_COLUMNS = [
+    ['date', 'Date'],
+    ['companyName', 'Company'],
+    ['category', 'Category'],
+    ['glCode', 'GL Account'],
+    ['mealType', 'Meal Type'],
+    ['currency', 'Currency'],
+    ['cost', 'Cost'],
+    ['receiptTotal', 'Receipt Total'],
+    ['allocatedTo', 'Allocated To'],
+    ['attendees', 'Attendees'],
+    ['attendeeType', 'Client/Internal'],
+    ['reportingCurrency', 'Reporting Currency'],
+    ['convertedCost', 'Converted Cost'],
+    ['originalFileName', 'Original Filename'],
+    ['renamedFileName', 'ZIP Filename'],
+    ['policyViolations', 'Policy Violations'],
+    ['policyJustification', 'Justification']
+];
+
+// Flatten receipts into plain export rows, with costs converted to the reporting currency
+// (convertedCost is null when there is no exchange rate for the receipt's currency)
+// and the GL account code of each receipt's category. zipPaths are the names of the files in
+// receipts.zip, in receipt order (see buildZipPaths); the default naming is used without them.
+// violations are the expense policy violations of each receipt, in receipt order (see evaluatePolicy).
+// Split receipts give one row per share, with cost being the share and receiptTotal the whole receipt;
+// a split that doesn't cover the cost is left out and the receipt gets one row.
+export const buildSummaryRows = (receipts, reportingCurrency = DEFAULT_CURRENCY, rates = {}, categories = [], zipPaths = buildZipPaths(receipts), violations = []) => receipts.flatMap((receipt, index) => {
+    const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+    const cost = Number(receipt.cost) || 0;
+    const row = {
+        date: receipt.date,
+        companyName: receipt.companyName,
+        category: receipt.category,
+        glCode: glCodeFor(receipt.category, categories),
+        mealType: receipt.mealType,
+        currency,
+        cost,
+        receiptTotal: cost,
+        allocatedTo: '',
+        attendees: '',
+        attendeeType: '',
+        reportingCurrency,
+        convertedCost: convertAmount(cost, currency, reportingCurrency, rates),
+        originalFileName: receipt.originalFileName || '',
+        renamedFileName: zipPaths[index] || '',
+        policyViolations: (violations[index] || []).map(violation => violation.message).join('; '),
+        policyJustification: receipt.policyJustification || ''
+    };
+    const allocations = exportedAllocations(receipt, reportingCurrency);
+    if (allocations.length === 0) return [row];
+    return allocations.map(({ split, label, amount }) => ({
+        ...row,
+        cost: amount,
+        convertedCost: convertAmount(amount, currency, reportingCurrency, rates),
+        allocatedTo: label,
+        attendees: split.attendees || '',
+        attendeeType: split.client ? 'Client' : 'Internal'
+    }));
+});
+
+const MONEY_KEYS = ['cost', 'receiptTotal', 'convertedCost'];
+
+// Export value of a cell: amounts with 2 decimals, missing conversions left empty
+const formatCsvCell = (row, key) => {
+    if (MONEY_KEYS.includes(key)) {
+        return row[key] === null ? '' : row[key].toFixed(2);
+    }
+    return row[key];
+};
+
+export const escapeCsvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => {
+    const lines = [SUMMARY_COLUMNS.map(([, label]) => escapeCsvValue(label)).join(',')];
+    rows.forEach(row => {
+        lines.push(SUMMARY_COLUMNS.map(([key]) => escapeCsvValue(formatCsvCell(row, key))).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+};
+
+export const toJson = (rows) => JSON.stringify(rows, null, 2);
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Spreadsheet column letter for a zero-based index (0 -> A, 26 -> AA)
+const columnLetter = (index) => {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+};
+
+// Style indexes into cellXfs in XLSX_STYLES
+const STYLE_DEFAULT = 0;
+const STYLE_BOLD = 1;
+const STYLE_MONEY = 2;
+const STYLE_BOLD_MONEY = 3;
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+const stringCell = (ref, value, style = STYLE_DEFAULT) =>
+    `<c r="${ref}" t="inlineStr" s="${style}"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+const numberCell = (ref, value, style = STYLE_MONEY) => `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+
+// Totals row cell summing a money column (with the computed value cached for viewers that don't recalculate)
+const totalCell = (key, rows, totalRowNumber) => {
+    const column = columnLetter(SUMMARY_COLUMNS.findIndex(([columnKey]) => columnKey === key));
+    const total = rows.reduce((sum, row) => sum + (row[key] || 0), 0);
+    const formula = rows.length > 0 ? `SUM(${column}2:${column}${rows.length + 1})` : '0';
+    return `<c r="${column}${totalRowNumber}" s="${STYLE_BOLD_MONEY}"><f>${formula}</f><v>${total.toFixed(2)}</v></c>`;
+};
+
+// Build a real .xlsx workbook (a zip of SpreadsheetML parts) with a header and a totals row.
+// Original costs are only totalled when every receipt is in the same currency.
+export const toXlsxBlob = async (rows, JSZip) => {
+    const sheetRows = [];
+
+    sheetRows.push(`<row r="1">${SUMMARY_COLUMNS.map(([, label], col) => stringCell(`${columnLetter(col)}1`, label, STYLE_BOLD)).join('')}</row>`);
+    rows.forEach((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = SUMMARY_COLUMNS.map(([key], col) => {
+            const ref = `${columnLetter(col)}${rowNumber}`;
+            if (MONEY_KEYS.includes(key)) {
+                return row[key] === null ? '' : numberCell(ref, row[key]);
+            }
+            return stringCell(ref, row[key]);
+        });
+        sheetRows.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+    });
+
+    const totalRowNumber = rows.length + 2;
+    const singleCurrency = new Set(rows.map(row => row.currency)).size <= 1;
+    sheetRows.push(`<row r="${totalRowNumber}">` +
+        stringCell(`A${totalRowNumber}`, 'Total', STYLE_BOLD) +
+        (singleCurrency ? totalCell('cost', rows, totalRowNumber) : '') +
+        totalCell('convertedCost', rows, totalRowNumber) +
+        `</row>`);
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>${sheetRows.join('')}</sheetData>
+</worksheet>`;
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+    zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="Receipts" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`);
+    zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+    zip.file('xl/styles.xml', XLSX_STYLES);
+    zip.file('xl/worksheets/sheet1.xml', sheet);
+
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+};
@@ -0,0 +1,57 @@
+// Extraction through the Cloud Function proxy in front of Gemini.
+// The endpoint defaults to REACT_APP_EXTRACTION_ENDPOINT and can be overridden in the settings.
+
+import { tagNetworkError } from '../processingQueue';
+
+export const DEFAULT_ENDPOINT = process.env.REACT_APP_EXTRACTION_ENDPOINT
+    || 'https://us-central1-turing-booster-461522-a5.cloudfunctions.net/gemini-api-proxy';
+
+// Request adapter: the proxy takes a simplified payload instead of the full Gemini request.
+// The proxy passes responseSchema on to Gemini as generationConfig.responseSchema.
+const toProxyRequest = (prompt, imageBase64, responseSchema) => ({
+    prompt: prompt,
+    imageData: imageBase64,
+    mimeType: 'image/jpeg', // The mimeType that the Cloud Function will use for Gemini
+    responseSchema
+});
+
+// Response adapter: the proxy normally returns the already parsed JSON object from Gemini,
+// but a raw Gemini response or a JSON string are accepted too
+const fromProxyResponse = (result) => {
+    if (result && Array.isArray(result.candidates)) {
+        const text = result.candidates[0]?.content?.parts?.[0]?.text;
+        if (!text) throw new Error('The extraction response contained no content.');
+        return JSON.parse(text);
+    }
+    if (typeof result === 'string') return JSON.parse(result);
+    return result;
+};
+
+const cloudProvider = {
+    id: 'cloud',
+    label: 'Cloud (Gemini)',
+    extract: async (imageBase64, { endpoint, prompt, responseSchema, signal }) => {
+        const response = await fetch(endpoint || DEFAULT_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(toProxyRequest(prompt, imageBase64, responseSchema)),
+            signal
+        }).catch(fetchError => {
+            throw tagNetworkError(fetchError);
+        });
+
+        if (!response.ok) {
+            const httpError = new Error(`Extraction service responded with ${response.status} ${response.statusText}`.trim());
+            httpError.status = response.status;
+            throw httpError;
+        }
+
+        const result = await response.json();
+        if (result && result.error) {
+            throw new Error(`Extraction service error: ${result.error.message || result.error}`);
+        }
+        return fromProxyResponse(result);
+    }
+};
+
+export default cloudProvider;
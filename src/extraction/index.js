@@ -0,0 +1,44 @@
+// Pluggable receipt extraction.
+// A provider is { id, label, extract(imageBase64, options), worksOffline } and resolves with a
+// receipt object; every result is validated against the response schema before it is used.
+// Providers without worksOffline need a connection, so receipts are queued for them while offline.
+
+import { buildReceiptPrompt, getResponseSchema, withFieldDefaults } from './payload';
+import { validateAgainstSchema } from './validate';
+import cloudProvider, { DEFAULT_ENDPOINT } from './cloudProvider';
+import mockProvider from './mockProvider';
+import ocrProvider from './ocrProvider';
+
+export { DEFAULT_ENDPOINT };
+
+export const EXTRACTION_PROVIDERS = [cloudProvider, mockProvider, ocrProvider];
+
+// Provider used when none is configured; REACT_APP_EXTRACTION_PROVIDER=mock is handy for development
+export const DEFAULT_PROVIDER = process.env.REACT_APP_EXTRACTION_PROVIDER || cloudProvider.id;
+
+export const getProvider = (providerId) => {
+    const provider = EXTRACTION_PROVIDERS.find(candidate => candidate.id === providerId);
+    if (!provider) {
+        throw new Error(`Unknown extraction provider: ${providerId}`);
+    }
+    return provider;
+};
+
+// Extract a receipt from one JPEG image (base64 without the data URL prefix).
+// options: { provider, endpoint, signal, categoryNames }; the category names are put into the prompt
+// and the response schema, which providers receive as options.prompt and options.responseSchema.
+// Fields a provider leaves out beyond the first five are filled with defaults before validation.
+export const extractReceipt = async (imageBase64, options = {}) => {
+    const provider = getProvider(options.provider || DEFAULT_PROVIDER);
+    const hasCategories = options.categoryNames && options.categoryNames.length > 0;
+    const prompt = hasCategories ? buildReceiptPrompt(options.categoryNames) : buildReceiptPrompt();
+    const responseSchema = hasCategories ? getResponseSchema(options.categoryNames) : getResponseSchema();
+    const result = withFieldDefaults(await provider.extract(imageBase64, { ...options, prompt, responseSchema }));
+
+    const { value, errors } = validateAgainstSchema(result, responseSchema);
+    if (errors.length > 0) {
+        console.error(`Invalid ${provider.id} extraction result:`, errors, result);
+        throw new Error(`The ${provider.label} response did not match the receipt schema: ${errors.slice(0, 3).join('; ')}.`);
+    }
+    return value;
+};
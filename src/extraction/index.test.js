@@ -0,0 +1,33 @@
+import { extractReceipt, getProvider } from './index';
+import { getResponseSchema, withFieldDefaults } from './payload';
+import { validateAgainstSchema } from './validate';
+
+// The bundled libraries are located with import.meta.url, which only webpack understands;
+// the OCR provider that uses them isn't under test here
+jest.mock('../libraries', () => ({ recognizeText: jest.fn() }));
+
+// Base64 of two different "images"; the mock provider only hashes the data
+const IMAGE_A = btoa('receipt image A');
+const IMAGE_B = btoa('receipt image B, a different photo');
+
+describe('extractReceipt with the mock provider', () => {
+    it('returns the same receipt for the same image', async () => {
+        const first = await extractReceipt(IMAGE_A, { provider: 'mock' });
+        const second = await extractReceipt(IMAGE_A, { provider: 'mock' });
+        expect(second).toEqual(first);
+        expect(await extractReceipt(IMAGE_B, { provider: 'mock' })).not.toEqual(first);
+    });
+
+    it('returns a receipt that matches the response schema', async () => {
+        const receipt = await extractReceipt(IMAGE_A, { provider: 'mock' });
+        expect(validateAgainstSchema(withFieldDefaults(receipt), getResponseSchema()).errors).toEqual([]);
+        expect(receipt.date).toMatch(/^2024-\d{2}-\d{2}$/);
+        expect(receipt.cost).toBeCloseTo(receipt.subtotal + receipt.tax, 2);
+        expect(receipt.lineItems.length).toBeGreaterThan(0);
+    });
+
+    it('works offline and rejects unknown providers', async () => {
+        expect(getProvider('mock').worksOffline).toBe(true);
+        await expect(extractReceipt(IMAGE_A, { provider: 'nope' })).rejects.toThrow('Unknown extraction provider: nope');
+    });
+});
@@ -0,0 +1,76 @@
+// Deterministic offline provider for development and tests.
+// The same image always produces the same receipt, and nothing leaves the browser.
+
+import { CONFIDENCE_FIELDS } from '../reviewFlags';
+
+const MERCHANTS = [
+    { companyName: 'Mock Noodle House', category: 'Restaurant', currency: 'SGD' },
+    { companyName: 'Mock Taxi Co', category: 'Transport', currency: 'SGD' },
+    { companyName: 'Mock Fresh Mart', category: 'Groceries', currency: 'USD' },
+    { companyName: 'Mock Power & Water', category: 'Utilities', currency: 'USD' },
+    { companyName: 'Mock Department Store', category: 'Shopping', currency: 'EUR' },
+    { companyName: 'Mock Sushi Bar', category: 'Restaurant', currency: 'JPY' }
+];
+
+// Simple 32-bit FNV-1a hash over (a sample of) the image data
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    const step = Math.max(1, Math.floor(text.length / 4096));
+    for (let i = 0; i < text.length; i += step) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+};
+
+const mockProvider = {
+    id: 'mock',
+    label: 'Mock (offline, deterministic)',
+    worksOffline: true,
+    extract: async (imageBase64) => {
+        const hash = hashString(imageBase64 || '');
+        const merchant = MERCHANTS[hash % MERCHANTS.length];
+        const month = (hash >>> 3) % 12 + 1;
+        const day = (hash >>> 7) % 28 + 1;
+        const itemCount = (hash >>> 11) % 3 + 1;
+
+        const lineItems = Array.from({ length: itemCount }, (_, i) => {
+            const quantity = ((hash >>> (13 + i)) % 2) + 1;
+            const unitPrice = (((hash >>> (17 + i)) % 2000) + 100) / 100;
+            return { description: `Mock item ${i + 1}`, quantity, unitPrice, amount: Math.round(quantity * unitPrice * 100) / 100 };
+        });
+        const subtotal = Math.round(lineItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+        const tax = Math.round(subtotal * 0.09 * 100) / 100;
+        const mealType = merchant.category === 'Restaurant' ? (hash % 2 === 0 ? 'Lunch' : 'Dinner') : 'Unknown';
+        // Every few receipts one field is read with low confidence, so the review queue has something in it
+        const unsureField = ['date', 'companyName', 'cost'][(hash >>> 5) % 6];
+
+        return {
+            date: `2024-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+            companyName: merchant.companyName,
+            category: merchant.category,
+            mealType,
+            cost: Math.round((subtotal + tax) * 100) / 100,
+            currency: merchant.currency,
+            lineItems,
+            subtotal,
+            tax,
+            tip: 0,
+            paymentMethod: hash % 3 === 0 ? 'Cash' : 'Visa',
+            receiptTime: `${mealType === 'Dinner' ? 19 : 12}:${String((hash >>> 9) % 60).padStart(2, '0')}`,
+            confidence: Object.fromEntries(CONFIDENCE_FIELDS.map(([field]) => [field, field === unsureField ? 0.55 : 0.95])),
+            // A fixed receipt layout: header at the top, totals at the bottom
+            boundingBoxes: {
+                companyName: [40, 150, 100, 850],
+                date: [120, 100, 160, 450],
+                subtotal: [700, 600, 740, 900],
+                tax: [750, 600, 790, 900],
+                cost: [810, 550, 860, 900],
+                currency: [810, 480, 860, 545],
+                paymentMethod: [890, 100, 930, 400]
+            }
+        };
+    }
+};
+
+export default mockProvider;
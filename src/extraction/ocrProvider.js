@@ -0,0 +1,177 @@
+// Browser-side OCR provider: Tesseract.js reads the text and regex heuristics turn it
+// into receipt fields. Nothing is sent to a cloud API, at the cost of accuracy.
+
+import { recognizeText } from '../libraries';
+import { CONFIDENCE_FIELDS } from '../reviewFlags';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Amount at the end of a line, e.g. "12.50", "1,234.50", "12,50"
+const TRAILING_AMOUNT = /(-?\d{1,3}(?:[,.\s]\d{3})*[.,]\d{2}|-?\d+[.,]\d{2})\s*$/;
+
+const CURRENCY_SYMBOLS = [
+    [/S\$/, 'SGD'], [/A\$/, 'AUD'], [/HK\$/, 'HKD'], [/\bRM\s?\d/, 'MYR'],
+    [/[¥円]/, 'JPY'], [/€/, 'EUR'], [/£/, 'GBP'], [/₹/, 'INR'], [/\$/, 'USD']
+];
+
+const CATEGORY_KEYWORDS = [
+    ['Restaurant', /restaurant|cafe|café|coffee|bistro|grill|kitchen|bar\b|diner|eatery|food|sushi|noodle|pizza|burger/i],
+    ['Transport', /taxi|cab\b|grab|uber|lyft|train|rail|mrt|bus\b|parking|petrol|fuel|shell|esso|airline|airport/i],
+    ['Groceries', /supermarket|grocer|mart\b|fairprice|cold storage|market|whole foods|aldi|lidl|tesco/i],
+    ['Utilities', /electric|water|gas\b|power|telecom|mobile|internet|broadband|singtel|starhub/i],
+    ['Shopping', /store|shop|mall|retail|boutique|department/i]
+];
+
+const SUMMARY_LINE = /total|subtotal|sub-total|tax|gst|vat|tip|gratuity|service|change|cash|card|visa|master|amex|balance|due|rounding|payment|tender/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Parse an amount string, treating a trailing ",dd" as a decimal comma
+const parseAmount = (text) => {
+    let cleaned = String(text).replace(/\s/g, '');
+    if (/,\d{2}$/.test(cleaned)) {
+        cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+    } else {
+        cleaned = cleaned.replace(/,/g, '');
+    }
+    const amount = parseFloat(cleaned);
+    return Number.isFinite(amount) ? amount : null;
+};
+
+const amountOf = (line) => {
+    const match = line.match(TRAILING_AMOUNT);
+    return match ? parseAmount(match[1]) : null;
+};
+
+// Last amount on a line matching the label (but not the exclusion), or 0
+const findLabelledAmount = (lines, label, exclude) => {
+    const matches = lines.filter(line => label.test(line) && !(exclude && exclude.test(line)) && amountOf(line) !== null);
+    return matches.length > 0 ? amountOf(matches[matches.length - 1]) : 0;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    return `${fullYear}-${pad(month)}-${pad(day)}`;
+};
+
+const findDate = (text) => {
+    let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+    if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+
+    match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+    if (match) {
+        // Day first unless the second number can't be a month
+        const [first, second] = [+match[1], +match[2]];
+        return second > 12 ? toIsoDate(+match[3], first, second) : toIsoDate(+match[3], second, first);
+    }
+
+    match = text.match(/\b(\d{1,2})\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?,?\s*(\d{2,4})\b/i);
+    if (match) return toIsoDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+
+    match = text.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*(\d{1,2}),?\s*(\d{2,4})\b/i);
+    if (match) return toIsoDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+
+    return null;
+};
+
+// Lunch between 11:00 and 15:59, dinner between 17:00 and 22:59
+// First time printed on the receipt as HH:MM (24-hour), or null
+const findTime = (text) => {
+    const match = text.match(/\b(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?\b/i);
+    if (!match) return null;
+    let hour = +match[1];
+    const meridiem = (match[3] || '').toLowerCase();
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    return `${String(hour).padStart(2, '0')}:${match[2]}`;
+};
+
+const findMealType = (text) => {
+    const time = findTime(text);
+    if (!time) return 'Unknown';
+    const hour = +time.slice(0, 2);
+    if (hour >= 11 && hour < 16) return 'Lunch';
+    if (hour >= 17 && hour < 23) return 'Dinner';
+    return 'Unknown';
+};
+
+const findCurrency = (text) => {
+    const code = text.match(/\b(USD|SGD|EUR|JPY|GBP|MYR|AUD|HKD|CNY|INR|THB|IDR|KRW|CAD|NZD|CHF)\b/);
+    if (code) return code[1];
+    const symbol = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(text));
+    return symbol ? symbol[1] : 'N/A';
+};
+
+const findPaymentMethod = (text) => {
+    const match = text.match(/\b(visa|mastercard|master card|amex|american express|nets|paynow|debit|cash)\b/i);
+    if (!match) return 'N/A';
+    const method = match[1].toLowerCase();
+    if (method.startsWith('master')) return 'Mastercard';
+    if (method === 'amex' || method === 'american express') return 'Amex';
+    return method.length <= 4 && method !== 'cash' ? method.toUpperCase() : method.charAt(0).toUpperCase() + method.slice(1);
+};
+
+// Turn raw OCR text into a receipt matching the extraction schema
+export const parseReceiptText = (text) => {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    const companyLine = lines.find(line => /[a-z]{3,}/i.test(line) && amountOf(line) === null && !findDate(line));
+    const companyName = companyLine ? companyLine.replace(/[^\w\s&'.-]/g, '').trim() : 'N/A';
+    const category = (CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text)) || ['Other'])[0];
+
+    const subtotal = findLabelledAmount(lines, /sub\s*-?\s*total/i);
+    const tax = findLabelledAmount(lines, /\b(tax|gst|vat)\b/i);
+    const tip = findLabelledAmount(lines, /\b(tip|gratuity|service\s*charge|svc)\b/i);
+    let cost = findLabelledAmount(lines, /\b(grand\s*total|total|amount\s*due|balance\s*due)\b/i, /sub\s*-?\s*total/i);
+    if (!cost) {
+        const amounts = lines.map(amountOf).filter(amount => amount !== null);
+        cost = amounts.length > 0 ? Math.max(...amounts) : 0;
+    }
+
+    const lineItems = lines
+        .filter(line => amountOf(line) !== null && !SUMMARY_LINE.test(line) && /[a-z]{2,}/i.test(line))
+        .map(line => {
+            const amount = amountOf(line);
+            let description = line.replace(TRAILING_AMOUNT, '').trim();
+            let quantity = 1;
+            const quantityMatch = description.match(/^(\d+)\s*[x@]?\s+(.*)$/i);
+            if (quantityMatch) {
+                quantity = +quantityMatch[1] || 1;
+                description = quantityMatch[2];
+            }
+            return { description, quantity, unitPrice: round2(amount / quantity), amount };
+        });
+
+    return {
+        date: findDate(text) || 'N/A',
+        companyName: companyName || 'N/A',
+        category,
+        mealType: category === 'Restaurant' ? findMealType(text) : 'Unknown',
+        cost,
+        currency: findCurrency(text),
+        lineItems,
+        subtotal,
+        tax,
+        tip,
+        paymentMethod: findPaymentMethod(text),
+        receiptTime: findTime(text) || 'N/A'
+    };
+};
+
+const ocrProvider = {
+    id: 'ocr',
+    label: 'Browser OCR (Tesseract.js)',
+    worksOffline: true, // Tesseract.js and its language data are part of the build
+    extract: async (imageBase64, { signal } = {}) => {
+        const data = await recognizeText(`data:image/jpeg;base64,${imageBase64}`, signal);
+        // Tesseract only rates the text as a whole (0-100), which is the best guess for every field
+        const receipt = parseReceiptText(data.text);
+        const confidence = Number.isFinite(data.confidence) ? data.confidence / 100 : undefined;
+        return confidence === undefined ? receipt : { ...receipt, confidence: Object.fromEntries(CONFIDENCE_FIELDS.map(([field]) => [field, confidence])) };
+    }
+};
+
+export default ocrProvider;
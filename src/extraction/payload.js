@@ -0,0 +1,104 @@
+// The extraction request: prompt and Gemini payload, including the response schema
+// every provider's output is validated against.
+
+import { DEFAULT_CATEGORIES, FALLBACK_CATEGORY, categoryNames as namesOf } from '../categories';
+import { BOX_FIELDS } from '../fieldBoxes';
+import { CONFIDENCE_FIELDS } from '../reviewFlags';
+
+const DEFAULT_CATEGORY_NAMES = namesOf(DEFAULT_CATEGORIES);
+
+const quoteList = (names) => names.map(name => `'${String(name).replace(/'/g, "\\'")}'`).join(', ');
+
+// The extraction prompt, asking the model to classify into the given category names
+export const buildReceiptPrompt = (categoryNames = DEFAULT_CATEGORY_NAMES) => `Extract the following information from this receipt image: date (YYYY-MM-DD), company name, category (classify as one of ${quoteList(categoryNames)}), meal type (classify as 'Lunch' or 'Dinner' based on typical meal times, if unclear, use 'Unknown'), total cost, and the currency of the total as an ISO 4217 code (e.g. 'USD', 'SGD', 'JPY', 'EUR'). Also list every line item (description, quantity, unit price and amount), and extract the subtotal, tax, tip or service charge, and payment method. Provide all amounts as numbers. If any information is missing, use 'N/A' for text and 0 for amounts. For the date, company name, total cost, currency, subtotal, tax, tip and payment method, also return the bounding box of the text each value was read from as [ymin, xmin, ymax, xmax] scaled to 0-1000; leave out fields that are not printed on the receipt. Give the time printed on the receipt as HH:MM in 24-hour format, or 'N/A' if there is none. Finally, rate how confident you are that the date, company name, category, meal type, currency and total cost are correct, from 0 (a guess) to 1 (clearly printed).`;
+
+export const RECEIPT_PROMPT = buildReceiptPrompt();
+
+// Build the full Gemini payload for one JPEG image (without the data URL prefix)
+export const buildExtractionPayload = (geminiBase64Data, prompt = RECEIPT_PROMPT, categoryNames = DEFAULT_CATEGORY_NAMES) => {
+    const payload = {
+        contents: [
+            {
+                role: "user",
+                parts: [
+                    { text: prompt },
+                    {
+                        inlineData: {
+                            mimeType: 'image/jpeg', // Always send JPEG to Gemini
+                            data: geminiBase64Data
+                        }
+                    }
+                ]
+            }
+        ],
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    "date": { "type": "STRING", "description": "Date of the receipt inYYYY-MM-DD format. If not found, use 'N/A'." },
+                    "companyName": { "type": "STRING", "description": "Name of the company or establishment. If not found, use 'N/A'." },
+                    "category": { "type": "STRING", "description": `Category of the expense, one of ${quoteList(categoryNames)}. If not found, use '${categoryNames.includes(FALLBACK_CATEGORY) ? FALLBACK_CATEGORY : categoryNames[categoryNames.length - 1]}'.` },
+                    "mealType": { "type": "STRING", "description": "Type of meal, either 'Lunch', 'Dinner', or 'Unknown'. If not found, use 'Unknown'." },
+                    "cost": { "type": "NUMBER", "description": "Total cost of the receipt as a number. If not found, use 0." },
+                    "currency": { "type": "STRING", "description": "ISO 4217 currency code of the amounts, inferred from symbols, country or address. If not found, use 'N/A'." },
+                    "lineItems": {
+                        "type": "ARRAY",
+                        "description": "Individual items on the receipt. If none are listed, return an empty array.",
+                        "items": {
+                            "type": "OBJECT",
+                            "properties": {
+                                "description": { "type": "STRING", "description": "Name or description of the item." },
+                                "quantity": { "type": "NUMBER", "description": "Quantity purchased. If not shown, use 1." },
+                                "unitPrice": { "type": "NUMBER", "description": "Price of a single unit." },
+                                "amount": { "type": "NUMBER", "description": "Line total (quantity times unit price)." }
+                            },
+                            "required": ["description", "quantity", "unitPrice", "amount"]
+                        }
+                    },
+                    "subtotal": { "type": "NUMBER", "description": "Subtotal before tax and tip. If not found, use 0." },
+                    "tax": { "type": "NUMBER", "description": "Total tax (GST, VAT, sales tax). If not found, use 0." },
+                    "tip": { "type": "NUMBER", "description": "Tip, gratuity or service charge. If not found, use 0." },
+                    "paymentMethod": { "type": "STRING", "description": "Payment method, e.g. 'Cash', 'Visa', 'Mastercard', 'Amex'. If not found, use 'N/A'." },
+                    "receiptTime": { "type": "STRING", "description": "Time printed on the receipt as HH:MM in 24-hour format. If not found, use 'N/A'." },
+                    "confidence": {
+                        "type": "OBJECT",
+                        "description": "How sure you are that each value is correct, from 0 (a guess) to 1 (clearly printed).",
+                        "properties": Object.fromEntries(CONFIDENCE_FIELDS.map(([field]) => [field, { "type": "NUMBER" }]))
+                    },
+                    "boundingBoxes": {
+                        "type": "OBJECT",
+                        "description": "Where each value is printed on the image, as [ymin, xmin, ymax, xmax] scaled to 0-1000. Omit fields that are not printed.",
+                        "properties": Object.fromEntries(BOX_FIELDS.map(([field]) => [field, { "type": "ARRAY", "items": { "type": "NUMBER" } }]))
+                    }
+                },
+                "required": ["date", "companyName", "category", "mealType", "cost", "currency", "lineItems", "subtotal", "tax", "tip", "paymentMethod"]
+            }
+        }
+    };
+    return payload;
+};
+
+// The JSON schema the extracted receipt must match
+export const getResponseSchema = (categoryNames = DEFAULT_CATEGORY_NAMES) => buildExtractionPayload('', RECEIPT_PROMPT, categoryNames).generationConfig.responseSchema;
+
+// Values of the required fields that came after the first five (date, companyName, category,
+// mealType, cost), for providers that don't return them yet, such as a proxy still using its own schema
+const FIELD_DEFAULTS = {
+    currency: 'N/A',
+    lineItems: [],
+    subtotal: 0,
+    tax: 0,
+    tip: 0,
+    paymentMethod: 'N/A'
+};
+
+// Fill in the missing fields of an extraction result with FIELD_DEFAULTS
+export const withFieldDefaults = (result) => {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) return result;
+    const filled = { ...result };
+    Object.entries(FIELD_DEFAULTS).forEach(([field, value]) => {
+        if (filled[field] === undefined || filled[field] === null) filled[field] = value;
+    });
+    return filled;
+};
@@ -0,0 +1,69 @@
+// Validation of extracted receipts against the Gemini-style response schema
+// (types OBJECT, ARRAY, STRING, NUMBER, INTEGER, BOOLEAN).
+//
+// Values that are clearly meant as the right type are coerced (e.g. "12.50" or "12,50" for a
+// NUMBER, 12 for a STRING); anything else is reported as an error.
+
+// A number written as text, e.g. "12.50", "$1,234.50" or "12,50": a comma followed by one or
+// two digits at the end is a decimal comma, other commas separate thousands
+const parseNumber = (text) => {
+    const digits = text.replace(/[^0-9.,-]/g, '');
+    const normalized = /,\d{1,2}$/.test(digits) ? digits.replace(/\./g, '').replace(',', '.') : digits.replace(/,/g, '');
+    return parseFloat(normalized);
+};
+
+const coerce = (value, schema, path, errors) => {
+    const type = String(schema.type || '').toUpperCase();
+
+    switch (type) {
+        case 'OBJECT': {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path || 'response'} should be an object`);
+                return value;
+            }
+            const result = { ...value };
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path ? `${path}.` : ''}${key} is missing`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    result[key] = coerce(value[key], propertySchema, path ? `${path}.${key}` : key, errors);
+                }
+            });
+            return result;
+        }
+        case 'ARRAY':
+            if (!Array.isArray(value)) {
+                errors.push(`${path} should be an array`);
+                return value;
+            }
+            return value.map((item, index) => coerce(item, schema.items || {}, `${path}[${index}]`, errors));
+        case 'NUMBER':
+        case 'INTEGER': {
+            const number = typeof value === 'string' ? parseNumber(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                errors.push(`${path} should be a number`);
+                return value;
+            }
+            return type === 'INTEGER' ? Math.round(number) : number;
+        }
+        case 'STRING':
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            if (typeof value !== 'string') errors.push(`${path} should be a string`);
+            return value;
+        case 'BOOLEAN':
+            if (typeof value !== 'boolean') errors.push(`${path} should be a boolean`);
+            return value;
+        default:
+            return value;
+    }
+};
+
+// Returns { value, errors }: the (coerced) value and a list of human-readable problems
+export const validateAgainstSchema = (value, schema) => {
+    const errors = [];
+    const coerced = coerce(value, schema, '', errors);
+    return { value: coerced, errors };
+};
@@ -0,0 +1,47 @@
+import { validateAgainstSchema } from './validate';
+import { getResponseSchema, withFieldDefaults } from './payload';
+
+const numberSchema = { type: 'NUMBER' };
+
+describe('validateAgainstSchema', () => {
+    it('coerces numbers written as text', () => {
+        const coerce = (text) => validateAgainstSchema(text, numberSchema).value;
+        expect(coerce('12.50')).toBe(12.5);
+        expect(coerce('$1,234.50')).toBe(1234.5);
+        expect(coerce('12,50')).toBe(12.5);
+        expect(coerce('1.234,50 €')).toBe(1234.5);
+        expect(coerce('1,234')).toBe(1234);
+        expect(coerce('-3.20')).toBe(-3.2);
+    });
+
+    it('rounds integers and stringifies numbers for strings', () => {
+        expect(validateAgainstSchema('2.6', { type: 'INTEGER' }).value).toBe(3);
+        expect(validateAgainstSchema(12, { type: 'STRING' }).value).toBe('12');
+    });
+
+    it('reports values that cannot be coerced', () => {
+        expect(validateAgainstSchema('twelve', numberSchema).errors).toHaveLength(1);
+        expect(validateAgainstSchema({ flag: 'yes' }, { type: 'OBJECT', properties: { flag: { type: 'BOOLEAN' } } }).errors).toEqual(['flag should be a boolean']);
+    });
+
+    it('checks required fields and nested arrays', () => {
+        const schema = {
+            type: 'OBJECT',
+            properties: { items: { type: 'ARRAY', items: { type: 'OBJECT', properties: { amount: numberSchema } } } },
+            required: ['items', 'total']
+        };
+        const { value, errors } = validateAgainstSchema({ items: [{ amount: '4,20' }, { amount: [] }] }, schema);
+        expect(value.items[0].amount).toBe(4.2);
+        expect(errors).toEqual(['total is missing', 'items[1].amount should be a number']);
+        expect(validateAgainstSchema({ items: 'none', total: 1 }, schema).errors).toEqual(['items should be an array']);
+        expect(validateAgainstSchema([], schema).errors).toEqual(['response should be an object']);
+    });
+
+    it('accepts a proxy result without the newer fields once the defaults are filled in', () => {
+        const result = { date: '2024-03-01', companyName: 'Cafe', category: 'Meals', mealType: 'Lunch', cost: '12,50' };
+        expect(validateAgainstSchema(result, getResponseSchema()).errors.length).toBeGreaterThan(0);
+        const { value, errors } = validateAgainstSchema(withFieldDefaults(result), getResponseSchema());
+        expect(errors).toEqual([]);
+        expect(value).toMatchObject({ cost: 12.5, currency: 'N/A', lineItems: [], subtotal: 0, tax: 0, tip: 0, paymentMethod: 'N/A' });
+    });
+});
@@ -0,0 +1,48 @@
+// Bounding boxes of extracted fields on the receipt image.
+// The extraction returns boundingBoxes as { field: [ymin, xmin, ymax, xmax] } scaled to 0-1000;
+// receipts store them as fieldBoxes: { field: { page, box } } with page the index into the page images.
+
+// Fields that are read from printed text and can be located on the image: [field, label]
+export const BOX_FIELDS = [
+    ['date', 'Date'],
+    ['companyName', 'Company'],
+    ['cost', 'Total'],
+    ['currency', 'Currency'],
+    ['subtotal', 'Subtotal'],
+    ['tax', 'Tax'],
+    ['tip', 'Tip'],
+    ['paymentMethod', 'Payment method']
+];
+
+const BOX_SCALE = 1000;
+
+const clamp = (value) => Math.min(BOX_SCALE, Math.max(0, value));
+
+// A valid box, or null
+const toBox = (value) => {
+    if (!Array.isArray(value) || value.length !== 4) return null;
+    const numbers = value.map(Number);
+    if (numbers.some(number => !Number.isFinite(number))) return null;
+    const [ymin, xmin, ymax, xmax] = numbers.map(clamp);
+    if (ymax <= ymin || xmax <= xmin) return null;
+    return [ymin, xmin, ymax, xmax];
+};
+
+// Turn the boundingBoxes of one page's extraction result into fieldBoxes for that page,
+// dropping anything malformed
+export const extractFieldBoxes = (result, page) => {
+    const fieldBoxes = {};
+    const raw = result && result.boundingBoxes;
+    if (!raw || typeof raw !== 'object') return fieldBoxes;
+    BOX_FIELDS.forEach(([field]) => {
+        const box = toBox(raw[field]);
+        if (box) fieldBoxes[field] = { page, box };
+    });
+    return fieldBoxes;
+};
+
+// Absolute-position style placing a box over the image, in percentages of the image size
+export const boxStyle = ({ box }) => {
+    const [ymin, xmin, ymax, xmax] = box.map(value => (value / BOX_SCALE) * 100);
+    return { top: `${ymin}%`, left: `${xmin}%`, height: `${ymax - ymin}%`, width: `${xmax - xmin}%` };
+};
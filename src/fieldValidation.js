@@ -0,0 +1,61 @@
+// Validation of values typed into the summary table's cell editors
+
+import { normalizeCurrencyCode } from './currency';
+
+export const MEAL_TYPE_OPTIONS = ['Lunch', 'Dinner', 'Unknown'];
+
+// Number of decimals a currency uses (2 for USD, 0 for JPY, 3 for KWD)
+export const currencyDecimals = (currency) => {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: normalizeCurrencyCode(currency) })
+            .resolvedOptions().maximumFractionDigits;
+    } catch (e) {
+        return 2;
+    }
+};
+
+// Whether a YYYY-MM-DD string is a real calendar date
+export const isValidIsoDate = (text) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+};
+
+// Validate and convert an edited value. Returns { value } or { error }.
+// `receipt` gives context such as the currency of a cost.
+export const validateField = (fieldName, rawValue, receipt) => {
+    const text = String(rawValue === undefined || rawValue === null ? '' : rawValue).trim();
+
+    switch (fieldName) {
+        case 'date':
+            if (text === 'N/A') return { value: text };
+            if (!isValidIsoDate(text)) return { error: 'Enter a valid date as YYYY-MM-DD.' };
+            return { value: text };
+        case 'companyName':
+            if (!text) return { error: 'Company name cannot be empty (use N/A if unknown).' };
+            return { value: text };
+        case 'category':
+        case 'mealType':
+            if (!text) return { error: 'Choose a value.' };
+            return { value: text };
+        case 'currency': {
+            const code = normalizeCurrencyCode(text, null);
+            if (!code) return { error: 'Enter a 3-letter ISO currency code, e.g. USD.' };
+            return { value: code };
+        }
+        case 'cost': {
+            if (!/^-?\d+(\.\d+)?$/.test(text)) return { error: 'Enter a number.' };
+            const value = parseFloat(text);
+            if (value < 0) return { error: 'Cost cannot be negative.' };
+            const decimals = currencyDecimals(receipt && receipt.currency);
+            const fraction = text.split('.')[1] || '';
+            if (fraction.length > decimals) {
+                return { error: decimals === 0 ? 'This currency has no decimals.' : `Use at most ${decimals} decimals.` };
+            }
+            return { value };
+        }
+        default:
+            return { value: text };
+    }
+};
@@ -0,0 +1,112 @@
+// Turning the different ways files come in (picker, drag and drop of files and folders, clipboard,
+// ZIP archives) into a flat list of receipt files for the upload queue.
+
+import { isHeicFile } from './imagePreprocessing';
+import { loadJsZip } from './libraries';
+
+const MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    pdf: 'application/pdf'
+};
+
+const extensionOf = (name) => (/\.([^./]+)$/.exec(String(name)) || [null, ''])[1].toLowerCase();
+
+export const isZipFile = (file) => /zip/.test(file.type) || extensionOf(file.name) === 'zip';
+
+// Files processFile can handle: images (including HEIC) and PDFs
+export const isSupportedFile = (file) => file.type.startsWith('image/') || file.type === 'application/pdf' || isHeicFile(file);
+
+// Hidden and OS metadata files that end up in folders and archives
+const isJunkPath = (path) => path.split('/').some(part => part.startsWith('.') || part === '__MACOSX' || part === 'Thumbs.db');
+
+// Files in a ZIP archive, with their MIME type guessed from the extension (archives don't store it)
+const unzipFiles = async (zipFile) => {
+    const JSZip = await loadJsZip();
+    const zip = await JSZip.loadAsync(zipFile);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isJunkPath(entry.name));
+    return Promise.all(entries.map(async entry => {
+        const name = entry.name.split('/').pop();
+        const blob = await entry.async('blob');
+        return new File([blob], name, { type: MIME_TYPES[extensionOf(name)] || '' });
+    }));
+};
+
+// Expand ZIP archives and drop unsupported files. Resolves with { files, skipped } where skipped
+// lists the names of files that were left out.
+export const expandInputFiles = async (inputFiles) => {
+    const files = [];
+    const skipped = [];
+    for (const file of inputFiles) {
+        if (isZipFile(file)) {
+            try {
+                const unzipped = await unzipFiles(file);
+                unzipped.forEach(entry => (isSupportedFile(entry) ? files.push(entry) : skipped.push(`${file.name}/${entry.name}`)));
+            } catch (zipError) {
+                console.error(`Error unpacking ${file.name}:`, zipError);
+                skipped.push(file.name);
+            }
+        } else if (isSupportedFile(file)) {
+            files.push(file);
+        } else {
+            skipped.push(file.name);
+        }
+    }
+    return { files, skipped };
+};
+
+// All entries of a dropped folder; readEntries returns them in batches until it returns none
+const readDirectory = (directoryEntry) => new Promise((resolve, reject) => {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+    const readBatch = () => reader.readEntries(batch => {
+        if (batch.length === 0) {
+            resolve(entries);
+        } else {
+            entries.push(...batch);
+            readBatch();
+        }
+    }, reject);
+    readBatch();
+});
+
+const entryFiles = async (entry) => {
+    if (isJunkPath(entry.name)) return [];
+    if (entry.isFile) {
+        return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (entry.isDirectory) {
+        const children = await readDirectory(entry);
+        const nested = await Promise.all(children.map(entryFiles));
+        return nested.flat();
+    }
+    return [];
+};
+
+// Files of a drop event, walking dropped folders recursively where the browser supports it
+export const filesFromDataTransfer = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+    // Entries have to be taken synchronously, before the drop event handler returns
+    const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files || []);
+    }
+    const nested = await Promise.all(entries.map(entryFiles));
+    return nested.flat();
+};
+
+// Files pasted from the clipboard; screenshots come in as "image.png", so they get a unique name
+export const filesFromClipboard = (clipboardData) => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return Array.from(clipboardData.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile())
+        .filter(Boolean)
+        .map((file, index) => new File([file], `pasted-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extensionOf(file.name) || 'png'}`, { type: file.type }));
+};
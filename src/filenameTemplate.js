@@ -0,0 +1,97 @@
+// Filename templates for the files in receipts.zip, e.g. "{yyyy}/{MM}/{seq:03}_{companyName}_{cost}".
+// Tokens are replaced with receipt fields, "/" creates subfolders and the original file extension
+// is always appended. Names that come out the same get "_2", "_3", ... in receipt order.
+
+import { glCodeFor } from './categories';
+
+// The original naming: date_company_category_mealType_cost.ext
+export const DEFAULT_FILENAME_TEMPLATE = '{date}_{companyName}_{category}_{mealType}_{cost}';
+
+const sanitize = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '_');
+const sanitizeDate = (value) => String(value).replace(/[^a-zA-Z0-9-]/g, '_'); // Allow hyphens for date
+const formatAmount = (value) => (Number(value) ? Number(value).toFixed(2).replace('.', '_') : '0_00');
+
+const dateParts = (date) => /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+
+// Token name -> { description, value(receipt, context, format) }
+export const TEMPLATE_TOKENS = {
+    date: { description: 'Receipt date (YYYY-MM-DD)', value: (receipt) => sanitizeDate(receipt.date) },
+    yyyy: { description: 'Year, e.g. 2024', value: (receipt) => (dateParts(receipt.date) ? dateParts(receipt.date)[1] : 'N_A') },
+    yy: { description: 'Two-digit year', value: (receipt) => (dateParts(receipt.date) ? dateParts(receipt.date)[1].slice(2) : 'N_A') },
+    MM: { description: 'Month, 01-12', value: (receipt) => (dateParts(receipt.date) ? dateParts(receipt.date)[2] : 'N_A') },
+    dd: { description: 'Day of the month, 01-31', value: (receipt) => (dateParts(receipt.date) ? dateParts(receipt.date)[3] : 'N_A') },
+    companyName: { description: 'Company name', value: (receipt) => sanitize(receipt.companyName) },
+    category: { description: 'Category', value: (receipt) => sanitize(receipt.category) },
+    glCode: { description: 'GL account of the category', value: (receipt, context) => sanitize(glCodeFor(receipt.category, context.categories) || 'N/A') },
+    mealType: { description: 'Meal type', value: (receipt) => sanitize(receipt.mealType) },
+    currency: { description: 'Currency code', value: (receipt) => sanitize(receipt.currency || 'N/A') },
+    cost: { description: 'Total cost, e.g. 12_50', value: (receipt) => formatAmount(receipt.cost) },
+    subtotal: { description: 'Subtotal', value: (receipt) => formatAmount(receipt.subtotal) },
+    tax: { description: 'Tax', value: (receipt) => formatAmount(receipt.tax) },
+    tip: { description: 'Tip or service charge', value: (receipt) => formatAmount(receipt.tip) },
+    paymentMethod: { description: 'Payment method', value: (receipt) => sanitize(receipt.paymentMethod || 'N/A') },
+    originalName: { description: 'Uploaded filename without extension', value: (receipt) => sanitize(String(receipt.originalFileName || '').replace(/\.[^.]*$/, '')) },
+    seq: {
+        description: 'Running number; {seq:03} pads to 3 digits',
+        value: (receipt, context, format) => String(context.seq).padStart(/^\d+$/.test(format || '') ? parseInt(format, 10) : 0, '0')
+    }
+};
+
+const TOKEN_PATTERN = /\{([^{}:]*)(?::([^{}]*))?\}/g;
+
+// Characters that aren't allowed in file or folder names
+const UNSAFE_LITERAL = /[\\:*?"<>|]/g;
+
+// Problems with a template, as readable messages (empty when it is usable)
+export const validateTemplate = (template) => {
+    const errors = [];
+    if (!String(template).trim()) {
+        errors.push('The template is empty.');
+        return errors;
+    }
+    const unknown = [];
+    String(template).replace(TOKEN_PATTERN, (match, name) => {
+        if (!TEMPLATE_TOKENS[name] && !unknown.includes(name)) unknown.push(name);
+        return match;
+    });
+    if (unknown.length > 0) {
+        errors.push(`Unknown token${unknown.length === 1 ? '' : 's'}: ${unknown.map(name => `{${name}}`).join(', ')}`);
+    }
+    if (/[{}]/.test(String(template).replace(TOKEN_PATTERN, ''))) {
+        errors.push('Unbalanced { or }.');
+    }
+    return errors;
+};
+
+// Path of one receipt inside the ZIP (before collision handling)
+const renderPath = (receipt, template, context) => {
+    const filled = String(template).replace(TOKEN_PATTERN, (match, name, format) => (
+        TEMPLATE_TOKENS[name] ? TEMPLATE_TOKENS[name].value(receipt, context, format) : match
+    ));
+    const segments = filled.split('/')
+        .map(segment => segment.replace(UNSAFE_LITERAL, '_').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    const extension = String(receipt.originalFileName || '').split('.').pop();
+    const name = segments.length > 0 ? segments.join('/') : `receipt_${context.seq}`;
+    return `${name}.${extension}`;
+};
+
+// ZIP paths for a list of receipts, in the same order (null for receipts without a stored file).
+// {seq} counts the receipts with a file, starting at 1. Collisions are compared case-insensitively,
+// since most file systems ignore case, and resolved by numbering the later receipts.
+export const buildZipPaths = (receipts, template = DEFAULT_FILENAME_TEMPLATE, categories = []) => {
+    const usedPaths = new Set();
+    let seq = 0;
+    return receipts.map(receipt => {
+        if (!receipt.originalFileData || !receipt.originalFileName) return null;
+        seq += 1;
+        const path = renderPath(receipt, template, { seq, categories });
+        let candidate = path;
+        const dot = path.lastIndexOf('.');
+        for (let copy = 2; usedPaths.has(candidate.toLowerCase()); copy++) {
+            candidate = `${path.slice(0, dot)}_${copy}${path.slice(dot)}`;
+        }
+        usedPaths.add(candidate.toLowerCase());
+        return candidate;
+    });
+};
@@ -0,0 +1,2 @@
+// Short unique ids for sessions and receipts (time-based prefix plus random suffix)
+export const generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
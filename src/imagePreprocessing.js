@@ -0,0 +1,285 @@
+// Client-side clean-up of receipt photos before extraction: HEIC conversion, EXIF orientation,
+// auto-crop to the receipt, deskew, contrast stretch and downscaling, re-encoded as JPEG.
+// Detection runs on a small grayscale copy; the output is drawn from the full-size image.
+
+import { loadHeic2Any } from './libraries';
+
+// Longest side of the grayscale copy used for crop and skew detection
+const ANALYSIS_SIZE = 600;
+// Skew angles tried when deskewing, in degrees
+const MAX_SKEW = 15;
+const SKEW_STEP = 0.5;
+
+export const DEFAULT_PREPROCESSING = {
+    enabled: true,
+    autoCrop: true,
+    deskew: true,
+    contrast: true,
+    maxDimension: 1600, // Longest side in pixels of the image sent for extraction (also used for PDF pages)
+    quality: 0.85 // JPEG quality
+};
+
+export const isHeicFile = (file) => /^image\/hei[cf]/i.test(file.type) || /\.(heic|heif)$/i.test(file.name);
+
+// Convert an HEIC/HEIF photo (iPhone default) to a JPEG blob
+const convertHeic = async (file, quality) => {
+    const heic2any = await loadHeic2Any();
+    const result = await heic2any({ blob: file, toType: 'image/jpeg', quality });
+    return Array.isArray(result) ? result[0] : result; // Image sequences give one blob per frame
+};
+
+// Decode an image with its EXIF orientation applied, so phone photos come out upright
+const decodeImage = async (blob) => {
+    if (window.createImageBitmap) {
+        try {
+            return await window.createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch (e) {
+            // Fall back to <img>, which also applies the EXIF orientation in current browsers
+        }
+    }
+    const url = URL.createObjectURL(blob);
+    try {
+        return await new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('The image could not be decoded.'));
+            image.src = url;
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+const sizeOf = (source) => ({ width: source.naturalWidth || source.width, height: source.naturalHeight || source.height });
+
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+};
+
+// Small grayscale copy of the image: { gray, width, height, scale } with scale = analysis / source pixels
+const toGrayscale = (source) => {
+    const { width, height } = sizeOf(source);
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(width, height));
+    const canvas = createCanvas(width * scale, height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    const gray = new Uint8Array(canvas.width * canvas.height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+    }
+    return { gray, width: canvas.width, height: canvas.height, scale };
+};
+
+// Otsu's threshold between dark (ink, background) and light (paper) pixels
+const otsuThreshold = (gray) => {
+    const histogram = new Array(256).fill(0);
+    gray.forEach(value => { histogram[value]++; });
+    const total = gray.length;
+    const sumAll = histogram.reduce((sum, count, value) => sum + value * count, 0);
+    let sumBackground = 0;
+    let weightBackground = 0;
+    let best = { threshold: 127, variance: -1 };
+    for (let threshold = 0; threshold < 256; threshold++) {
+        weightBackground += histogram[threshold];
+        if (weightBackground === 0) continue;
+        const weightForeground = total - weightBackground;
+        if (weightForeground === 0) break;
+        sumBackground += threshold * histogram[threshold];
+        const meanBackground = sumBackground / weightBackground;
+        const meanForeground = (sumAll - sumBackground) / weightForeground;
+        const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+        if (variance > best.variance) best = { threshold, variance };
+    }
+    return best.threshold;
+};
+
+// Bounds of the light receipt paper on a darker background, in analysis pixels, or null
+// when the paper fills (almost) the whole photo or can't be told apart from the background
+const findReceiptBounds = ({ gray, width, height }, threshold) => {
+    const rowLight = new Array(height).fill(0);
+    const columnLight = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (gray[y * width + x] > threshold) {
+                rowLight[y]++;
+                columnLight[x]++;
+            }
+        }
+    }
+    const firstAbove = (counts, minimum) => counts.findIndex(count => count >= minimum);
+    const lastAbove = (counts, minimum) => counts.length - 1 - [...counts].reverse().findIndex(count => count >= minimum);
+
+    const top = firstAbove(rowLight, width * 0.3);
+    const left = firstAbove(columnLight, height * 0.3);
+    if (top === -1 || left === -1) return null;
+    const bottom = lastAbove(rowLight, width * 0.3);
+    const right = lastAbove(columnLight, height * 0.3);
+
+    const margin = Math.round(Math.max(width, height) * 0.02);
+    const bounds = {
+        x: Math.max(0, left - margin),
+        y: Math.max(0, top - margin),
+        width: Math.min(width, right + margin + 1) - Math.max(0, left - margin),
+        height: Math.min(height, bottom + margin + 1) - Math.max(0, top - margin)
+    };
+    const areaRatio = (bounds.width * bounds.height) / (width * height);
+    return areaRatio > 0.15 && areaRatio < 0.92 ? bounds : null;
+};
+
+// Skew of the text lines in degrees (positive = tilted clockwise), found as the angle at which
+// the ink projects onto the fewest, fullest rows. Only the inside of the bounds is used, with its
+// own ink/paper threshold, so the background around the receipt doesn't count as ink.
+const estimateSkew = ({ gray, width }, bounds) => {
+    const inset = Math.round(Math.min(bounds.width, bounds.height) * 0.05);
+    const left = bounds.x + inset;
+    const top = bounds.y + inset;
+    const regionWidth = Math.max(0, bounds.width - 2 * inset);
+    const regionHeight = Math.max(0, bounds.height - 2 * inset);
+    const region = new Uint8Array(regionWidth * regionHeight);
+    for (let y = 0; y < regionHeight; y++) {
+        for (let x = 0; x < regionWidth; x++) {
+            region[y * regionWidth + x] = gray[(top + y) * width + left + x];
+        }
+    }
+    const threshold = otsuThreshold(region);
+    const points = [];
+    region.forEach((value, i) => {
+        if (value <= threshold) points.push(left + (i % regionWidth), top + Math.floor(i / regionWidth));
+    });
+    const pointCount = points.length / 2;
+    if (pointCount < 50) return 0;
+    const stride = Math.max(1, Math.floor(pointCount / 20000)) * 2;
+
+    let best = { angle: 0, score: -1 };
+    for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+        const radians = (angle * Math.PI) / 180;
+        const sin = Math.sin(radians);
+        const cos = Math.cos(radians);
+        const rows = new Map();
+        for (let i = 0; i < points.length; i += stride) {
+            const row = Math.round(points[i + 1] * cos - points[i] * sin);
+            rows.set(row, (rows.get(row) || 0) + 1);
+        }
+        let score = 0;
+        rows.forEach(count => { score += count * count; });
+        if (score > best.score) best = { angle, score };
+    }
+    return Math.abs(best.angle) < SKEW_STEP ? 0 : best.angle;
+};
+
+// Stretch the luminance range so the 1st-99th percentile covers black to white
+const stretchContrast = (context, width, height) => {
+    const imageData = context.getImageData(0, 0, width, height);
+    const { data } = imageData;
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+        histogram[Math.round((data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000)]++;
+    }
+    const pixelCount = data.length / 4;
+    const percentile = (fraction) => {
+        let seen = 0;
+        for (let value = 0; value < 256; value++) {
+            seen += histogram[value];
+            if (seen >= pixelCount * fraction) return value;
+        }
+        return 255;
+    };
+    const low = percentile(0.01);
+    const high = percentile(0.99);
+    // Already using (nearly) the full range
+    if (high - low < 16 || high - low > 230) return false;
+
+    const levels = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+        levels[value] = ((value - low) * 255) / (high - low);
+    }
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = levels[data[i]];
+        data[i + 1] = levels[data[i + 1]];
+        data[i + 2] = levels[data[i + 2]];
+    }
+    context.putImageData(imageData, 0, 0);
+    return true;
+};
+
+// Preprocess an image file. Returns { base64, steps, originalBytes, processedBytes } with base64 a JPEG
+// (without the data URL prefix) and steps a human-readable list of what was changed.
+// With settings.enabled false only the HEIC conversion and orientation fix are done.
+export const preprocessImage = async (file, settings = DEFAULT_PREPROCESSING) => {
+    const options = settings.enabled
+        ? { ...DEFAULT_PREPROCESSING, ...settings }
+        : { ...DEFAULT_PREPROCESSING, ...settings, autoCrop: false, deskew: false, contrast: false, maxDimension: 0 };
+    const steps = [];
+
+    let blob = file;
+    if (isHeicFile(file)) {
+        blob = await convertHeic(file, options.quality);
+        steps.push('converted from HEIC');
+    }
+    const source = await decodeImage(blob);
+    const { width: sourceWidth, height: sourceHeight } = sizeOf(source);
+
+    // Crop and skew detection on the small grayscale copy, mapped back to source pixels
+    let crop = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+    let skew = 0;
+    if (options.autoCrop || options.deskew) {
+        const analysis = toGrayscale(source);
+        const threshold = otsuThreshold(analysis.gray);
+        let bounds = { x: 0, y: 0, width: analysis.width, height: analysis.height };
+        const receiptBounds = options.autoCrop ? findReceiptBounds(analysis, threshold) : null;
+        if (receiptBounds) {
+            bounds = receiptBounds;
+            crop = {
+                x: bounds.x / analysis.scale,
+                y: bounds.y / analysis.scale,
+                width: Math.min(sourceWidth, bounds.width / analysis.scale),
+                height: Math.min(sourceHeight, bounds.height / analysis.scale)
+            };
+            steps.push('cropped to receipt');
+        }
+        if (options.deskew) {
+            skew = estimateSkew(analysis, bounds);
+            if (skew !== 0) steps.push(`deskewed by ${Math.abs(skew)}°`);
+        }
+    }
+
+    // Output size: the rotated crop, downscaled to the maximum dimension
+    const radians = (skew * Math.PI) / 180;
+    const rotatedWidth = crop.width * Math.abs(Math.cos(radians)) + crop.height * Math.abs(Math.sin(radians));
+    const rotatedHeight = crop.width * Math.abs(Math.sin(radians)) + crop.height * Math.abs(Math.cos(radians));
+    const scale = options.maxDimension > 0 ? Math.min(1, options.maxDimension / Math.max(rotatedWidth, rotatedHeight)) : 1;
+    if (scale < 1) steps.push(`resized to ${Math.round(rotatedWidth * scale)}×${Math.round(rotatedHeight * scale)}`);
+
+    const canvas = createCanvas(rotatedWidth * scale, rotatedHeight * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff'; // Corners uncovered by deskewing become paper-white
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.rotate(-radians);
+    context.scale(scale, scale);
+    context.drawImage(source, crop.x, crop.y, crop.width, crop.height, -crop.width / 2, -crop.height / 2, crop.width, crop.height);
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    if (source.close) source.close(); // Free ImageBitmap memory
+
+    if (options.contrast && stretchContrast(context, canvas.width, canvas.height)) {
+        steps.push('contrast enhanced');
+    }
+
+    const base64 = canvas.toDataURL('image/jpeg', options.quality).split(',')[1];
+    return {
+        base64,
+        steps,
+        originalBytes: file.size,
+        processedBytes: Math.round((base64.length * 3) / 4)
+    };
+};
+
+// "4.2 MB", "310 KB"
+export const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
@@ -1,6 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import '@fontsource/inter/400.css';
+import '@fontsource/inter/600.css';
+import '@fontsource/inter/700.css';
+import './index.css'; // Tailwind, built with the app so it works offline
 import App from './App'; // Assuming your main React component is in App.js
+import { registerServiceWorker } from './serviceWorkerRegistration';
 
 // Find the root DOM element where the React app will be mounted.
 // This corresponds to <div id="root"></div> in your index.html.
@@ -19,6 +24,6 @@ root.render(
   </React.StrictMode>
 );
 
-// You might also see imports for a CSS file here (e.g., import './index.css';)
-// if you have global styles defined in a separate CSS file.
+// Cache the app so it starts and can capture receipts without a connection
+registerServiceWorker();
 
@@ -0,0 +1,80 @@
+// Bundled third-party libraries, split into their own chunks and loaded on first use:
+// pdf.js when a PDF is uploaded, JSZip for ZIP archives and XLSX files, FileSaver for downloads,
+// heic2any for iPhone photos, jsPDF for the expense report and Tesseract.js for browser OCR.
+// Repeated calls share the same promise; a failed load can be retried.
+
+import { createAbortError, throwIfAborted } from './processingQueue';
+
+const loaded = {};
+
+const loadOnce = (name, load) => {
+    if (!loaded[name]) {
+        loaded[name] = load().catch(loadError => {
+            delete loaded[name];
+            throw new Error(`Failed to load ${name}. ${loadError.message || ''}`.trim());
+        });
+    }
+    return loaded[name];
+};
+
+// pdf.js with its worker served from our own build instead of a CDN
+export const loadPdfJs = () => loadOnce('pdf.js', async () => {
+    const pdfjsLib = await import('pdfjs-dist');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+    return pdfjsLib;
+});
+
+export const loadJsZip = () => loadOnce('JSZip', async () => (await import('jszip')).default);
+
+export const loadHeic2Any = () => loadOnce('heic2any', async () => (await import('heic2any')).default);
+
+export const loadJsPdf = () => loadOnce('jsPDF', async () => (await import('jspdf')).jsPDF);
+
+// Tesseract.js with its worker, WebAssembly core and English language data served from our own
+// build instead of CDNs, so OCR also works offline. The language data is copied to public/tessdata
+// by scripts/copy-ocr-data.js; the non-SIMD core runs in every browser.
+const createOcrWorker = async () => {
+    const { createWorker } = await loadOnce('Tesseract.js', () => import('tesseract.js'));
+    return createWorker('eng', undefined, {
+        workerPath: new URL('tesseract.js/dist/worker.min.js', import.meta.url).toString(),
+        corePath: new URL('tesseract.js-core/tesseract-core-lstm.wasm.js', import.meta.url).toString(),
+        langPath: new URL(`${process.env.PUBLIC_URL}/tessdata`, window.location.href).toString()
+    });
+};
+
+// Workers that finished a recognition, kept for the next one: starting a worker loads the
+// multi-MB core and language data again
+const idleOcrWorkers = [];
+
+// Read the text of an image with Tesseract.js and resolve with its result ({ text, confidence, ... }).
+// Aborting the signal terminates the worker and rejects with an AbortError.
+export const recognizeText = async (image, signal) => {
+    throwIfAborted(signal);
+    const worker = idleOcrWorkers.pop() || await createOcrWorker();
+    return new Promise((resolve, reject) => {
+        const handleAbort = () => {
+            worker.terminate();
+            reject(createAbortError());
+        };
+        if (signal && signal.aborted) {
+            handleAbort();
+            return;
+        }
+        if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+        worker.recognize(image).then(({ data }) => {
+            if (signal) signal.removeEventListener('abort', handleAbort);
+            idleOcrWorkers.push(worker);
+            resolve(data);
+        }, recognizeError => {
+            if (signal) signal.removeEventListener('abort', handleAbort);
+            worker.terminate();
+            reject(recognizeError);
+        });
+    });
+};
+
+// Save a Blob as a download with the given filename
+export const saveFile = async (blob, filename) => {
+    const { saveAs } = await loadOnce('FileSaver', () => import('file-saver'));
+    saveAs(blob, filename);
+};
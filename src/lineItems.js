@@ -0,0 +1,70 @@
+// Helpers for the line-item breakdown of a receipt (items, subtotal, tax, tip)
+
+// Largest rounding difference still treated as "adds up"
+const TOLERANCE = 0.01;
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+const hasNumber = (value) => Number.isFinite(parseFloat(value));
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Make sure every line item has numeric quantity, unitPrice and amount
+export const normalizeLineItems = (lineItems) => (Array.isArray(lineItems) ? lineItems : []).map(item => ({
+    description: item && item.description ? String(item.description) : '',
+    quantity: hasNumber(item && item.quantity) ? toNumber(item.quantity) : 1, // 0 is a void or comped line
+    unitPrice: toNumber(item && item.unitPrice),
+    amount: toNumber(item && item.amount)
+}));
+
+export const createEmptyLineItem = () => ({ description: '', quantity: 1, unitPrice: 0, amount: 0 });
+
+// Apply an edit to one field of a line item; quantity and unit price changes recompute the amount
+export const updateLineItem = (item, fieldName, value) => {
+    if (fieldName === 'description') {
+        return { ...item, description: value };
+    }
+    const updated = { ...item, [fieldName]: toNumber(value) };
+    if (fieldName === 'quantity' || fieldName === 'unitPrice') {
+        updated.amount = roundMoney(updated.quantity * updated.unitPrice);
+    }
+    return updated;
+};
+
+// Check whether the line items add up to the extracted totals.
+// Returns null when there are no line items to check, otherwise
+// { itemsTotal, expectedTotal, matches, message }.
+export const checkLineItems = (receipt) => {
+    const lineItems = normalizeLineItems(receipt.lineItems);
+    if (lineItems.length === 0) return null;
+
+    const itemsTotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const subtotal = toNumber(receipt.subtotal);
+    const tax = toNumber(receipt.tax);
+    const tip = toNumber(receipt.tip);
+    const cost = toNumber(receipt.cost);
+
+    if (subtotal > 0 && Math.abs(itemsTotal - subtotal) > TOLERANCE) {
+        return {
+            itemsTotal,
+            expectedTotal: subtotal,
+            matches: false,
+            message: `Line items add up to ${itemsTotal.toFixed(2)} but the subtotal is ${subtotal.toFixed(2)}.`
+        };
+    }
+
+    const computedTotal = roundMoney(itemsTotal + tax + tip);
+    if (Math.abs(computedTotal - cost) > TOLERANCE) {
+        return {
+            itemsTotal,
+            expectedTotal: cost,
+            matches: false,
+            message: `Line items plus tax and tip add up to ${computedTotal.toFixed(2)} but the total is ${cost.toFixed(2)}.`
+        };
+    }
+
+    return { itemsTotal, expectedTotal: cost, matches: true, message: '' };
+};
@@ -0,0 +1,51 @@
+// Receipts captured without a connection are stored right away with placeholder fields and
+// syncStatus 'pending', then extracted automatically once the browser is back online.
+
+import { FALLBACK_CATEGORY } from './categories';
+import { isNetworkError } from './processingQueue';
+
+// Lifecycle of a receipt captured offline: pending -> syncing -> synced, or failed (retryable).
+// Receipts extracted straight away have no syncStatus.
+export const SYNC_STATUS = {
+    PENDING: 'pending',
+    SYNCING: 'syncing',
+    SYNCED: 'synced',
+    FAILED: 'failed'
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// A network failure while offline means the request never left the device
+export const isConnectionError = (err) => isNetworkError(err) && isOffline();
+
+// Placeholder fields of a receipt waiting for extraction
+export const pendingReceiptFields = (currency) => ({
+    date: 'N/A',
+    companyName: 'N/A',
+    category: FALLBACK_CATEGORY,
+    mealType: 'Unknown',
+    cost: 0,
+    currency,
+    lineItems: [],
+    subtotal: 0,
+    tax: 0,
+    tip: 0,
+    paymentMethod: 'N/A',
+    fieldBoxes: {},
+    syncStatus: SYNC_STATUS.PENDING
+});
+
+// Receipts that were still syncing when the page was closed are queued again
+export const resumeSync = (receipt) => (receipt.syncStatus === SYNC_STATUS.SYNCING ? { ...receipt, syncStatus: SYNC_STATUS.PENDING } : receipt);
+
+// Fill in a pending receipt with the extracted fields. Fields the user already changed by hand
+// while it was pending are kept.
+export const applySyncedFields = (receipt, extracted) => {
+    const placeholders = pendingReceiptFields(receipt.currency);
+    const synced = { ...receipt, syncStatus: SYNC_STATUS.SYNCED, syncError: null };
+    Object.entries(extracted).forEach(([field, value]) => {
+        const edited = field in placeholders && JSON.stringify(receipt[field]) !== JSON.stringify(placeholders[field]);
+        if (!edited) synced[field] = value;
+    });
+    return synced;
+};
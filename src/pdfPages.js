@@ -0,0 +1,92 @@
+// Helpers for multi-page PDF receipts: choosing pages, rendering them and merging
+// the per-page extraction results back into a single receipt.
+
+// Parse a page selection such as "all", "1-3,5" or "2-last" into sorted, unique page numbers.
+// Pages outside 1..numPages are ignored; throws if nothing valid is selected.
+export const parsePageRange = (spec, numPages) => {
+    const text = String(spec || '').trim().toLowerCase();
+    if (text === '' || text === 'all') {
+        return Array.from({ length: numPages }, (_, i) => i + 1);
+    }
+
+    const toPageNumber = (token) => (token === 'last' ? numPages : parseInt(token, 10));
+    const pages = new Set();
+    text.split(',').forEach(part => {
+        const [startToken, endToken] = part.split('-').map(token => token.trim());
+        const start = toPageNumber(startToken);
+        const end = endToken === undefined ? start : toPageNumber(endToken);
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            throw new Error(`Invalid page range "${part.trim()}".`);
+        }
+        for (let page = Math.min(start, end); page <= Math.max(start, end); page++) {
+            if (page >= 1 && page <= numPages) pages.add(page);
+        }
+    });
+
+    if (pages.size === 0) {
+        throw new Error(`Page range "${spec}" does not match any of the ${numPages} page(s).`);
+    }
+    return Array.from(pages).sort((a, b) => a - b);
+};
+
+// Render the given pages of a loaded pdf.js document to base64 JPEGs (without the data URL prefix).
+// options: { maxDimension, quality }; pages are rendered at twice their size unless maxDimension sets
+// the longest side in pixels.
+export const renderPdfPages = async (pdf, pageNumbers, { maxDimension = 0, quality = 0.8 } = {}) => {
+    const pageImages = [];
+    for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const baseViewport = page.getViewport({ scale: 1 });
+        const scale = maxDimension > 0 ? maxDimension / Math.max(baseViewport.width, baseViewport.height) : 2;
+        const viewport = page.getViewport({ scale });
+        const canvas = document.createElement('canvas');
+        const canvasContext = canvas.getContext('2d');
+        canvas.height = viewport.height;
+        canvas.width = viewport.width;
+
+        await page.render({ canvasContext, viewport }).promise;
+        pageImages.push(canvas.toDataURL('image/jpeg', quality).split(',')[1]);
+    }
+    return pageImages;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '' || value === 'N/A' || value === 'Unknown';
+
+// Merge the extraction results of several pages of the same receipt.
+// Descriptive fields come from the first page that has them; totals come from the
+// last page with a non-zero value, since folios and invoices print them at the end.
+export const mergePageResults = (pageResults) => {
+    if (pageResults.length === 1) return pageResults[0];
+
+    const merged = { ...pageResults[0], fieldBoxes: {}, fieldConfidence: {} };
+    // The bounding box and confidence of a field come from the same page as its value
+    const takeBox = (field, result) => {
+        if (result.fieldBoxes && result.fieldBoxes[field]) merged.fieldBoxes[field] = result.fieldBoxes[field];
+        if (result.fieldConfidence && result.fieldConfidence[field] !== undefined) merged.fieldConfidence[field] = result.fieldConfidence[field];
+    };
+
+    ['date', 'companyName', 'category', 'mealType', 'currency', 'paymentMethod', 'receiptTime'].forEach(field => {
+        const found = pageResults.find(result => !isMissing(result[field]));
+        if (found) {
+            merged[field] = found[field];
+            takeBox(field, found);
+        }
+    });
+
+    ['cost', 'subtotal', 'tax', 'tip'].forEach(field => {
+        const withValue = pageResults.filter(result => Number(result[field]) > 0);
+        merged[field] = withValue.length > 0 ? Number(withValue[withValue.length - 1][field]) : 0;
+        if (withValue.length > 0) takeBox(field, withValue[withValue.length - 1]);
+    });
+
+    // Line items continue across pages
+    merged.lineItems = pageResults.reduce((items, result) => items.concat(result.lineItems || []), []);
+    return merged;
+};
+
+// All rendered page images of a receipt (older receipts only have geminiImageData)
+export const getReceiptPages = (receipt) => {
+    if (!receipt) return [];
+    if (receipt.pageImages && receipt.pageImages.length > 0) return receipt.pageImages;
+    return receipt.geminiImageData ? [receipt.geminiImageData] : [];
+};
@@ -0,0 +1,190 @@
+// Printable expense report as one PDF, built in the browser with jsPDF: a cover page with the
+// claimant, period, per-category summary and grand total, then a page per receipt image with the
+// extracted fields as a caption.
+
+import { loadJsPdf } from './libraries';
+import { computeAnalytics } from './analytics';
+import { convertAmount, normalizeCurrencyCode } from './currency';
+import { currencyDecimals } from './fieldValidation';
+import { glCodeFor } from './categories';
+import { getReceiptPages } from './pdfPages';
+
+// A4 portrait, in millimetres
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 15;
+const LINE_HEIGHT = 6;
+const CAPTION_HEIGHT = 36;
+
+// "SGD 1,234.50" - the built-in PDF fonts lack many currency symbols, so codes are used instead
+const formatAmount = (amount, currency) => {
+    const decimals = currencyDecimals(currency);
+    return `${currency} ${(Number(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+// Period covered by the receipts, from their earliest to latest valid date
+export const receiptPeriod = (receipts) => {
+    const dates = receipts.map(receipt => String(receipt.date)).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date)).sort();
+    return dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : { from: '', to: '' };
+};
+
+// Page images are stored as base64 without a prefix; JPEG and PNG go into the PDF as they are,
+// anything else is re-encoded as JPEG through a canvas
+const toPdfImage = async (base64) => {
+    if (base64.startsWith('/9j/')) return { dataUrl: `data:image/jpeg;base64,${base64}`, format: 'JPEG' };
+    if (base64.startsWith('iVBOR')) return { dataUrl: `data:image/png;base64,${base64}`, format: 'PNG' };
+    const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('A receipt image could not be read for the PDF report.'));
+        img.src = `data:image;base64,${base64}`;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return { dataUrl: canvas.toDataURL('image/jpeg', 0.9), format: 'JPEG' };
+};
+
+// Write lines of text from y, starting a new page when the page is full; returns the next y
+const writeLines = (doc, lines, y) => {
+    let currentY = y;
+    lines.forEach(line => {
+        if (currentY > PAGE_HEIGHT - MARGIN) {
+            doc.addPage();
+            currentY = MARGIN + LINE_HEIGHT;
+        }
+        doc.text(line, MARGIN, currentY);
+        currentY += LINE_HEIGHT;
+    });
+    return currentY;
+};
+
+const addCoverPage = (doc, receipts, { claimant, period, reportingCurrency, rates, categories }) => {
+    const analytics = computeAnalytics(receipts, reportingCurrency, rates);
+    let y = MARGIN + 10;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(22);
+    doc.text('Expense Report', MARGIN, y);
+    y += 14;
+
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    y = writeLines(doc, [
+        `Claimant: ${claimant || '-'}`,
+        `Period: ${period.from || '?'} to ${period.to || '?'}`,
+        `Receipts: ${receipts.length}`,
+        `Prepared: ${new Date().toISOString().slice(0, 10)}`
+    ], y);
+    y += 6;
+
+    // Per-category summary table
+    const columns = [MARGIN, MARGIN + 70, MARGIN + 105, PAGE_WIDTH - MARGIN];
+    doc.setFont('helvetica', 'bold');
+    doc.text('Category', columns[0], y);
+    doc.text('GL account', columns[1], y);
+    doc.text('Receipts', columns[2], y);
+    doc.text(`Total (${reportingCurrency})`, columns[3], y, { align: 'right' });
+    doc.line(MARGIN, y + 2, PAGE_WIDTH - MARGIN, y + 2);
+    y += LINE_HEIGHT + 2;
+    doc.setFont('helvetica', 'normal');
+    analytics.byCategory.forEach(group => {
+        doc.text(String(group.key), columns[0], y);
+        doc.text(glCodeFor(group.key, categories) || '-', columns[1], y);
+        doc.text(String(group.count), columns[2], y);
+        doc.text(formatAmount(group.total, reportingCurrency), columns[3], y, { align: 'right' });
+        y += LINE_HEIGHT;
+    });
+    doc.line(MARGIN, y - 4, PAGE_WIDTH - MARGIN, y - 4);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Grand total', columns[0], y);
+    doc.text(formatAmount(analytics.grandTotal, reportingCurrency), columns[3], y, { align: 'right' });
+    y += LINE_HEIGHT;
+    doc.setFont('helvetica', 'normal');
+    if (analytics.unconvertedCount > 0) {
+        doc.setFontSize(9);
+        y = writeLines(doc, [`${analytics.unconvertedCount} receipt(s) without an exchange rate to ${reportingCurrency} are not included in the totals.`], y);
+        doc.setFontSize(11);
+    }
+    y += 6;
+
+    // Index of the receipts, numbered like the pages that follow
+    doc.setFont('helvetica', 'bold');
+    y = writeLines(doc, ['Receipts'], y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    writeLines(doc, receipts.map((receipt, index) => {
+        const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+        return `${index + 1}. ${receipt.date}  ${receipt.companyName}  ${receipt.category}  ${formatAmount(receipt.cost, currency)}`;
+    }), y);
+};
+
+const receiptCaption = (receipt, number, { reportingCurrency, rates, categories }, violations = []) => {
+    const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+    const converted = convertAmount(receipt.cost, currency, reportingCurrency, rates);
+    const glCode = glCodeFor(receipt.category, categories);
+    return [
+        `#${number}  ${receipt.date}  ${receipt.companyName}`,
+        `Category: ${receipt.category}${glCode ? ` (GL ${glCode})` : ''}   Meal type: ${receipt.mealType}   Payment: ${receipt.paymentMethod || 'N/A'}`,
+        `Amount: ${formatAmount(receipt.cost, currency)}${currency !== reportingCurrency
+            ? ` = ${converted === null ? `no ${currency} rate` : formatAmount(converted, reportingCurrency)}`
+            : ''}`,
+        `File: ${receipt.originalFileName || '-'}`,
+        ...(violations.length > 0
+            ? [`Policy: ${violations.map(violation => violation.message).join('; ')}`, `Justification: ${receipt.policyJustification || '-'}`]
+            : [])
+    ];
+};
+
+// One page per page image of a receipt: caption at the top, image scaled to fit below it
+const addReceiptPages = async (doc, receipt, number, options) => {
+    const pages = getReceiptPages(receipt);
+    // Long policy and justification lines are wrapped to the page width
+    doc.setFontSize(10);
+    const caption = receiptCaption(receipt, number, options, options.violations ? options.violations[number - 1] : [])
+        .flatMap(line => doc.splitTextToSize(line, PAGE_WIDTH - 2 * MARGIN));
+
+    if (pages.length === 0) {
+        doc.addPage();
+        doc.setFontSize(10);
+        writeLines(doc, [...caption, '', 'No image stored for this receipt.'], MARGIN + LINE_HEIGHT);
+        return;
+    }
+
+    for (const [pageIndex, pageImage] of pages.entries()) {
+        doc.addPage();
+        doc.setFontSize(10);
+        const captionEnd = writeLines(doc, pages.length > 1 ? [...caption, `Page ${pageIndex + 1} of ${pages.length}`] : caption, MARGIN + 4);
+        // Captions with policy notes can be taller than the usual caption area
+        const imageTop = Math.max(MARGIN + CAPTION_HEIGHT, captionEnd);
+
+        const { dataUrl, format } = await toPdfImage(pageImage);
+        const { width, height } = doc.getImageProperties(dataUrl);
+        const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+        const maxHeight = PAGE_HEIGHT - MARGIN - imageTop;
+        const scale = Math.min(maxWidth / width, maxHeight / height);
+        const imageWidth = width * scale;
+        const imageHeight = height * scale;
+        doc.addImage(dataUrl, format, MARGIN + (maxWidth - imageWidth) / 2, imageTop, imageWidth, imageHeight, undefined, 'FAST');
+    }
+};
+
+// Build the report for the given receipts. options: { claimant, period: { from, to }, reportingCurrency,
+// rates, categories, violations }; an empty period is filled in from the receipt dates and violations
+// (policy violations per receipt, in receipt order) are optional. Resolves with a PDF Blob.
+export const buildExpenseReport = async (receipts, options) => {
+    const JsPdf = await loadJsPdf();
+    const datesPeriod = receiptPeriod(receipts);
+    const reportOptions = {
+        ...options,
+        period: { from: options.period.from || datesPeriod.from, to: options.period.to || datesPeriod.to }
+    };
+
+    const doc = new JsPdf({ unit: 'mm', format: 'a4' });
+    addCoverPage(doc, receipts, reportOptions);
+    for (const [index, receipt] of receipts.entries()) {
+        await addReceiptPages(doc, receipt, index + 1, reportOptions);
+    }
+    return doc.output('blob');
+};
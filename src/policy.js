@@ -0,0 +1,120 @@
+// Expense policy: a JSON list of rules evaluated against every receipt. Receipts that break a rule
+// are flagged in the table and can be given a justification note, which goes into the exports.
+//
+// Rule types:
+//   { "type": "maxAmount", "max": 25, "mealType": "Lunch", "category": "Restaurant" }
+//       cost (converted to the reporting currency) must not exceed max; mealType and category
+//       are optional and limit the rule to matching receipts
+//   { "type": "blockedCategory", "categories": ["Shopping"] }
+//   { "type": "noWeekends" }
+//   { "type": "maxAgeDays", "days": 90 }
+// Every rule can have a "label" that is shown instead of the generated message.
+
+import { convertAmount, formatMoney, normalizeCurrencyCode } from './currency';
+
+export const DEFAULT_POLICY = {
+    rules: [
+        { type: 'maxAmount', mealType: 'Lunch', max: 25 },
+        { type: 'maxAmount', mealType: 'Dinner', max: 50 },
+        { type: 'blockedCategory', categories: ['Shopping'] },
+        { type: 'noWeekends' },
+        { type: 'maxAgeDays', days: 90 }
+    ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Receipt date as a UTC timestamp, or null when it isn't a YYYY-MM-DD date
+const receiptTime = (date) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+    return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+// Rule type -> { validate(rule) returning an error or null, check(receipt, rule, context) returning
+// a message when the receipt breaks the rule, or null }
+const RULE_TYPES = {
+    maxAmount: {
+        validate: (rule) => (typeof rule.max === 'number' && rule.max >= 0 ? null : '"max" must be a non-negative number.'),
+        check: (receipt, rule, { reportingCurrency, rates }) => {
+            if (rule.mealType && !sameText(receipt.mealType, rule.mealType)) return null;
+            if (rule.category && !sameText(receipt.category, rule.category)) return null;
+            const currency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+            // Without an exchange rate the amount can't be compared with the limit
+            const cost = convertAmount(receipt.cost, currency, reportingCurrency, rates);
+            if (cost === null || cost <= rule.max) return null;
+            const scope = [rule.mealType, rule.category].filter(Boolean).join(' ') || 'Receipt';
+            return `${scope} over ${formatMoney(rule.max, reportingCurrency)} limit (${formatMoney(cost, reportingCurrency)})`;
+        }
+    },
+    blockedCategory: {
+        validate: (rule) => (Array.isArray(rule.categories) && rule.categories.every(name => typeof name === 'string')
+            ? null
+            : '"categories" must be a list of category names.'),
+        check: (receipt, rule) => (rule.categories.some(name => sameText(name, receipt.category))
+            ? `${receipt.category} is not reimbursable`
+            : null)
+    },
+    noWeekends: {
+        validate: () => null,
+        check: (receipt) => {
+            const time = receiptTime(receipt.date);
+            if (time === null) return null;
+            const day = new Date(time).getUTCDay();
+            return day === 0 || day === 6 ? `Weekend expense (${day === 0 ? 'Sunday' : 'Saturday'})` : null;
+        }
+    },
+    maxAgeDays: {
+        validate: (rule) => (Number.isInteger(rule.days) && rule.days > 0 ? null : '"days" must be a positive whole number.'),
+        check: (receipt, rule, { today }) => {
+            const time = receiptTime(receipt.date);
+            if (time === null) return null;
+            const age = Math.round((today - time) / DAY_MS);
+            return age > rule.days ? `Older than ${rule.days} days (${age} days)` : null;
+        }
+    }
+};
+
+// Midnight UTC of the local calendar date, comparable with receiptTime
+const todayTime = (now = new Date()) => Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+
+// Violations of one receipt: [{ rule: index in policy.rules, message }]
+export const evaluatePolicy = (receipt, policy, { reportingCurrency, rates = {}, now } = {}) => {
+    const context = { reportingCurrency, rates, today: todayTime(now) };
+    const violations = [];
+    (policy && Array.isArray(policy.rules) ? policy.rules : []).forEach((rule, index) => {
+        const type = rule && RULE_TYPES[rule.type];
+        if (!type || type.validate(rule)) return;
+        const message = type.check(receipt, rule, context);
+        if (message) violations.push({ rule: index, message: rule.label || message });
+    });
+    return violations;
+};
+
+export const policyToJson = (policy) => JSON.stringify(policy, null, 2);
+
+// Parse a policy definition: { rules: [...] } or a bare array. Throws on invalid input.
+export const parsePolicyJson = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The policy is not valid JSON.');
+    }
+    const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error('The policy must contain a "rules" array.');
+    }
+    rules.forEach((rule, index) => {
+        const type = rule && RULE_TYPES[rule.type];
+        if (!type) {
+            throw new Error(`Rule ${index + 1} has an unknown type. Use one of: ${Object.keys(RULE_TYPES).join(', ')}.`);
+        }
+        const problem = type.validate(rule);
+        if (problem) {
+            throw new Error(`Rule ${index + 1} (${rule.type}): ${problem}`);
+        }
+    });
+    return { rules };
+};
@@ -0,0 +1,84 @@
+// Helpers for the upload processing queue: queue items, retry with backoff and cancellation.
+
+// Lifecycle of a queued file: queued -> reading -> preprocessing (images) or rendering (PDFs) -> extracting -> done,
+// or failed / cancelled at any point. Failed and cancelled files can be queued again. Files captured offline
+// end as deferred: their receipts are added and extracted later (see offlineSync.js).
+export const QUEUE_STATUS = {
+    QUEUED: 'queued',
+    READING: 'reading',
+    PREPROCESSING: 'preprocessing',
+    RENDERING: 'rendering',
+    EXTRACTING: 'extracting',
+    DONE: 'done',
+    DEFERRED: 'deferred',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+export const ACTIVE_STATUSES = [QUEUE_STATUS.READING, QUEUE_STATUS.PREPROCESSING, QUEUE_STATUS.RENDERING, QUEUE_STATUS.EXTRACTING];
+export const FINISHED_STATUSES = [QUEUE_STATUS.DONE, QUEUE_STATUS.DEFERRED, QUEUE_STATUS.FAILED, QUEUE_STATUS.CANCELLED];
+
+let nextItemId = 1;
+
+export const createQueueItem = (file) => ({
+    id: nextItemId++,
+    file,
+    name: file.name,
+    status: QUEUE_STATUS.QUEUED,
+    error: null,
+    attempt: 0
+});
+
+export const isAbortError = (err) => err && err.name === 'AbortError';
+
+// fetch rejects with a TypeError when the request never got a response. Providers tag those
+// errors, so TypeErrors from bugs elsewhere aren't mistaken for network failures.
+export const tagNetworkError = (err) => {
+    if (err instanceof TypeError) err.isNetworkError = true;
+    return err;
+};
+
+export const isNetworkError = (err) => Boolean(err && err.isNetworkError);
+
+// Errors worth retrying: network failures, rate limiting and 5xx responses
+export const isRetryableError = (err) => {
+    if (!err || isAbortError(err)) return false;
+    if (err.status) return err.status === 429 || err.status >= 500;
+    return isNetworkError(err);
+};
+
+export const createAbortError = () => {
+    const abortError = new Error('Cancelled');
+    abortError.name = 'AbortError';
+    return abortError;
+};
+
+export const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) throw createAbortError();
+};
+
+// Wait for the given time, rejecting early if the signal is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }, { once: true });
+    }
+});
+
+// Call fn until it succeeds, retrying retryable errors with exponential backoff
+// (baseDelay, 2 x baseDelay, 4 x baseDelay, ...). onRetry(attempt, err) is called before each retry.
+export const withRetry = async (fn, { retries = 3, baseDelay = 1000, signal, onRetry } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        throwIfAborted(signal);
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= retries || !isRetryableError(err)) throw err;
+            if (onRetry) onRetry(attempt + 1, err);
+            await sleep(baseDelay * 2 ** attempt, signal);
+        }
+    }
+};
@@ -0,0 +1,67 @@
+// Filtering and sorting of the receipts summary table
+
+export const EMPTY_FILTERS = {
+    search: '', // Matched against companyName and the original filename
+    dateFrom: '', // YYYY-MM-DD, inclusive
+    dateTo: '',
+    categories: [], // Empty means all
+    mealTypes: [],
+    costMin: '',
+    costMax: ''
+};
+
+export const hasActiveFilters = (filters) => Object.keys(EMPTY_FILTERS).some(key => (
+    Array.isArray(filters[key]) ? filters[key].length > 0 : filters[key] !== ''
+));
+
+export const matchesFilters = (receipt, filters) => {
+    const search = filters.search.trim().toLowerCase();
+    if (search) {
+        const haystack = `${receipt.companyName || ''} ${receipt.originalFileName || ''}`.toLowerCase();
+        if (!haystack.includes(search)) return false;
+    }
+
+    // Dates are YYYY-MM-DD strings, so they compare correctly as text; unparsed dates fail a date filter
+    if (filters.dateFrom || filters.dateTo) {
+        const date = String(receipt.date || '');
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+        if (filters.dateFrom && date < filters.dateFrom) return false;
+        if (filters.dateTo && date > filters.dateTo) return false;
+    }
+
+    if (filters.categories.length > 0 && !filters.categories.includes(receipt.category)) return false;
+    if (filters.mealTypes.length > 0 && !filters.mealTypes.includes(receipt.mealType)) return false;
+
+    const cost = Number(receipt.cost) || 0;
+    if (filters.costMin !== '' && cost < parseFloat(filters.costMin)) return false;
+    if (filters.costMax !== '' && cost > parseFloat(filters.costMax)) return false;
+
+    return true;
+};
+
+// Sort table rows ({ receipt, index }) by a receipt field; ties keep upload order
+export const sortRows = (rows, sort) => {
+    if (!sort) return rows;
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    const valueOf = (receipt) => {
+        const value = receipt[sort.field];
+        return sort.field === 'cost' ? Number(value) || 0 : String(value === undefined || value === null ? '' : value).toLowerCase();
+    };
+    return [...rows].sort((a, b) => {
+        const valueA = valueOf(a.receipt);
+        const valueB = valueOf(b.receipt);
+        if (valueA < valueB) return -direction;
+        if (valueA > valueB) return direction;
+        return a.index - b.index;
+    });
+};
+
+// Next sort state when a column header is clicked: ascending, then descending, then unsorted
+export const nextSort = (sort, field) => {
+    if (!sort || sort.field !== field) return { field, direction: 'asc' };
+    if (sort.direction === 'asc') return { field, direction: 'desc' };
+    return null;
+};
+
+// Distinct non-empty values of a field, sorted, for the multi-select filters
+export const distinctValues = (receipts, field) => Array.from(new Set(receipts.map(receipt => receipt[field]).filter(Boolean))).sort();
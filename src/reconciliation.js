@@ -0,0 +1,342 @@
+// Reconciliation of receipts against an imported bank or credit card statement (CSV or OFX).
+// Statement charges are matched to receipts by amount, by date within a tolerance and by how
+// much the statement description looks like the company name. Charges left without a receipt
+// are the receipts still missing at month end.
+//
+// Statement transactions: { id, date (YYYY-MM-DD or ''), description, amount (a charge, > 0), currency }
+
+import { normalizeCurrencyCode, convertAmount } from './currency';
+import { isValidIsoDate } from './fieldValidation';
+import { escapeCsvValue } from './exporters';
+
+// Days a charge may be posted before or after the receipt date
+export const DEFAULT_DATE_TOLERANCE = 3;
+
+// How dates like 03/04/2024 are read: [value, label]
+export const DATE_ORDERS = [
+    ['auto', 'Auto-detect'],
+    ['dmy', 'Day first (31/12/2024)'],
+    ['mdy', 'Month first (12/31/2024)']
+];
+
+// Converted amounts may differ this much (relative) from the charge, for card exchange fees
+const CONVERTED_AMOUNT_TOLERANCE = 0.03;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const iso = `${fullYear}-${pad(month)}-${pad(day)}`;
+    return isValidIsoDate(iso) ? iso : '';
+};
+
+const NUMERIC_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/;
+
+// Whether the numeric dates of a statement are day first ('dmy', when a first part is above 12)
+// or month first ('mdy', also when nothing tells them apart)
+const detectDateOrder = (values) => {
+    const parts = values.map(value => NUMERIC_DATE.exec(String(value).trim())).filter(Boolean);
+    return parts.some(match => +match[1] > 12) ? 'dmy' : 'mdy';
+};
+
+// A statement date as YYYY-MM-DD, or '' when it can't be read
+const parseStatementDate = (text, order) => {
+    const value = String(text || '').trim();
+    let match = /^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/.exec(value); // 2024-03-31, 20240331 (OFX)
+    if (match) return toIsoDate(+match[1], +match[2], +match[3]);
+    match = NUMERIC_DATE.exec(value);
+    if (match) {
+        return order === 'dmy' ? toIsoDate(+match[3], +match[2], +match[1]) : toIsoDate(+match[3], +match[1], +match[2]);
+    }
+    match = /^(\d{1,2})[\s-]+([a-z]{3})[a-z]*\.?[\s,-]+(\d{2,4})/i.exec(value); // 31 Mar 2024
+    if (match && MONTHS.includes(match[2].toLowerCase())) {
+        return toIsoDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+    }
+    match = /^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/i.exec(value); // Mar 31, 2024
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+        return toIsoDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+    }
+    return '';
+};
+
+// A signed amount such as '-12.50', '(12.50)', '1,234.56', '1.234,56', '12.50 DR' or '$12.50 CR',
+// or null when there is none
+const parseAmount = (text) => {
+    const value = String(text || '').trim();
+    const digits = value.replace(/[^0-9.,]/g, '');
+    if (!/\d/.test(digits)) return null;
+    // A comma followed by one or two digits at the end is a decimal comma
+    const normalized = /,\d{1,2}$/.test(digits) ? digits.replace(/\./g, '').replace(',', '.') : digits.replace(/,/g, '');
+    const number = parseFloat(normalized);
+    if (!Number.isFinite(number)) return null;
+    const negative = /^\(.*\)$/.test(value) || value.includes('-') || /\bDR\b/i.test(value);
+    return negative ? -number : number;
+};
+
+// Split CSV text into rows of cells, with quoted cells and the delimiter (comma, semicolon or tab) detected
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+const findColumn = (header, pattern, exclude) => header.findIndex(label => pattern.test(label) && !(exclude && exclude.test(label)));
+
+// Read a CSV statement: a header row with a date, a description and either one signed amount
+// column or separate debit and credit columns. With a single amount column the charges are the
+// sign most rows have, since banks export charges as negative amounts and card issuers as positive.
+const parseCsvStatement = (text, dateOrder, defaultCurrency) => {
+    const rows = parseCsv(text);
+    const headerIndex = rows.findIndex(cells => cells.some(cell => /date/i.test(cell)));
+    if (headerIndex === -1) throw new Error('The statement CSV needs a header row with a date column.');
+    const header = rows[headerIndex].map(label => label.trim().toLowerCase());
+    const postedColumn = findColumn(header, /date/, /value date/);
+    const dateColumn = postedColumn !== -1 ? postedColumn : findColumn(header, /date/);
+    const descriptionColumn = findColumn(header, /description|payee|merchant|details|narrative|particulars|name|memo/);
+    const debitColumn = findColumn(header, /debit|withdrawal|money out|paid out/);
+    const creditColumn = findColumn(header, /credit|deposit|money in|paid in/, /credit card/);
+    const amountColumn = findColumn(header, /amount/, /debit|credit/);
+    const currencyColumn = findColumn(header, /currency|ccy/);
+    if (amountColumn === -1 && debitColumn === -1) {
+        throw new Error('The statement CSV needs an amount column, or debit and credit columns.');
+    }
+
+    const dataRows = rows.slice(headerIndex + 1);
+    const order = dateOrder === 'auto' ? detectDateOrder(dataRows.map(cells => cells[dateColumn] || '')) : dateOrder;
+    const signedAmount = (cells) => {
+        if (amountColumn !== -1) return parseAmount(cells[amountColumn]);
+        const debit = parseAmount(cells[debitColumn]);
+        const credit = creditColumn === -1 ? null : parseAmount(cells[creditColumn]);
+        if (debit) return -Math.abs(debit);
+        return credit ? Math.abs(credit) : null;
+    };
+    const entries = dataRows
+        .map((cells, index) => ({ cells, index, amount: signedAmount(cells) }))
+        .filter(entry => entry.amount !== null && entry.amount !== 0);
+    const negativeCount = entries.filter(entry => entry.amount < 0).length;
+    const chargeSign = amountColumn === -1 || negativeCount >= entries.length - negativeCount ? -1 : 1;
+
+    return {
+        transactions: entries
+            .filter(entry => Math.sign(entry.amount) === chargeSign)
+            .map(({ cells, index }) => ({
+                id: `csv-${headerIndex + index + 2}`, // Row of the statement, stable when the same file is imported again
+                date: parseStatementDate(cells[dateColumn], order),
+                description: String(descriptionColumn === -1 ? '' : cells[descriptionColumn] || '').trim(),
+                amount: Math.abs(signedAmount(cells)),
+                currency: normalizeCurrencyCode(currencyColumn === -1 ? '' : cells[currencyColumn], defaultCurrency)
+            })),
+        creditCount: entries.length - entries.filter(entry => Math.sign(entry.amount) === chargeSign).length
+    };
+};
+
+const ofxTag = (block, tag) => {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim() : '';
+};
+
+const decodeEntities = (text) => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+// Read an OFX/QFX statement (SGML or XML); debits have a negative TRNAMT
+const parseOfxStatement = (text, defaultCurrency) => {
+    const blocks = text.split(/<STMTTRN>/i).slice(1);
+    if (blocks.length === 0) throw new Error('No transactions found in the OFX file.');
+    const currency = normalizeCurrencyCode(ofxTag(text, 'CURDEF'), defaultCurrency);
+    const entries = blocks.map((block, index) => ({
+        id: ofxTag(block, 'FITID') || `ofx-${index + 1}`,
+        date: parseStatementDate(ofxTag(block, 'DTPOSTED'), 'dmy'),
+        description: decodeEntities([ofxTag(block, 'NAME'), ofxTag(block, 'MEMO')].filter(Boolean).join(' ')),
+        amount: parseAmount(ofxTag(block, 'TRNAMT')),
+        currency
+    })).filter(entry => entry.amount !== null && entry.amount !== 0);
+    const charges = entries.filter(entry => entry.amount < 0);
+    return {
+        transactions: charges.map(entry => ({ ...entry, amount: Math.abs(entry.amount) })),
+        creditCount: entries.length - charges.length
+    };
+};
+
+// Read a statement file's text: { transactions, creditCount } where creditCount is the number of
+// payments and refunds that were left out. Throws when the file can't be read as a statement.
+export const parseStatement = (text, fileName, { dateOrder = 'auto', defaultCurrency } = {}) => {
+    const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>/i.test(text);
+    const result = isOfx ? parseOfxStatement(text, defaultCurrency) : parseCsvStatement(text, dateOrder, defaultCurrency);
+    if (result.transactions.length === 0) throw new Error('No charges found in the statement.');
+    return result;
+};
+
+// Words that say nothing about the merchant: legal forms and card processor noise
+const NAME_NOISE = /\b(pte|ltd|llc|inc|co|corp|company|sdn|bhd|gmbh|plc|the|sq|pos|purchase|card|visa|mastercard|debit|payment|www|com)\b/g;
+
+const normalizeName = (text) => String(text || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(NAME_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const bigrams = (text) => {
+    const compact = text.replace(/ /g, '');
+    return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, index) => compact.slice(index, index + 2));
+};
+
+// Similarity of a statement description and a company name, from 0 to 1: 1 when one contains
+// the other, otherwise the Dice coefficient of their letter pairs
+export const nameSimilarity = (description, companyName) => {
+    const a = normalizeName(description);
+    const b = normalizeName(companyName);
+    if (!a || !b || companyName === 'N/A') return 0;
+    if (a.includes(b) || b.includes(a)) return 1;
+    const pairsA = bigrams(a);
+    const pairsB = bigrams(b);
+    if (pairsA.length === 0 || pairsB.length === 0) return 0;
+    const remaining = [...pairsB];
+    let shared = 0;
+    pairsA.forEach(pair => {
+        const index = remaining.indexOf(pair);
+        if (index !== -1) {
+            shared += 1;
+            remaining.splice(index, 1);
+        }
+    });
+    return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayNumber = (isoDate) => Date.UTC(+isoDate.slice(0, 4), +isoDate.slice(5, 7) - 1, +isoDate.slice(8, 10)) / DAY_MS;
+
+// Receipt total in the currency of a charge, or null when it can't be converted
+const receiptAmountIn = (receipt, currency, reportingCurrency, rates) => {
+    const receiptCurrency = normalizeCurrencyCode(receipt.currency, reportingCurrency);
+    const cost = Number(receipt.cost) || 0;
+    if (receiptCurrency === currency) return { amount: cost, converted: false };
+    if (currency !== reportingCurrency) return null;
+    const converted = convertAmount(cost, receiptCurrency, reportingCurrency, rates);
+    return converted === null ? null : { amount: converted, converted: true };
+};
+
+// Score (0-1) of a charge and a receipt being the same expense, or null when they can't be:
+// the amount has to match (within exchange fees when converted) and the date has to be within
+// the tolerance. Receipts without a readable date need a similar name instead.
+export const matchScore = (transaction, receipt, { dateTolerance = DEFAULT_DATE_TOLERANCE, reportingCurrency, rates = {} }) => {
+    const receiptAmount = receiptAmountIn(receipt, transaction.currency, reportingCurrency, rates);
+    if (!receiptAmount || receiptAmount.amount <= 0) return null;
+    const difference = Math.abs(receiptAmount.amount - transaction.amount);
+    const allowed = receiptAmount.converted ? transaction.amount * CONVERTED_AMOUNT_TOLERANCE : 0.005;
+    if (difference > allowed) return null;
+
+    const name = nameSimilarity(transaction.description, receipt.companyName);
+    let dateScore = 0;
+    if (transaction.date && isValidIsoDate(String(receipt.date))) {
+        const days = Math.abs(dayNumber(transaction.date) - dayNumber(receipt.date));
+        if (days > dateTolerance) return null;
+        dateScore = 1 - days / (dateTolerance + 1);
+    } else if (name < 0.5) {
+        return null;
+    }
+    const amountScore = receiptAmount.converted ? 1 - difference / (allowed || 1) : 1;
+    return 0.5 * name + 0.3 * dateScore + 0.2 * amountScore;
+};
+
+// Match statement charges to receipts. Manual pairs ([{ transactionId, receiptId }]) are kept as
+// they are; the remaining charges and receipts are paired best score first. rejectedPairs are
+// automatic matches the user undid, which aren't proposed again.
+// Returns { matches: [{ transaction, receipt, index, score, manual }], unmatchedTransactions,
+// unmatchedReceipts: [{ receipt, index }] } with index the position in receipts.
+export const reconcile = (transactions, receipts, { manualPairs = [], rejectedPairs = [], ...options }) => {
+    const pairKey = (transactionId, receiptId) => `${transactionId}\u0000${receiptId}`;
+    const rejected = new Set(rejectedPairs.map(pair => pairKey(pair.transactionId, pair.receiptId)));
+    const usedTransactions = new Set();
+    const usedReceipts = new Set();
+    const matches = [];
+
+    manualPairs.forEach(({ transactionId, receiptId }) => {
+        const transaction = transactions.find(candidate => candidate.id === transactionId);
+        const index = receipts.findIndex(receipt => receipt.id === receiptId);
+        if (!transaction || index === -1 || usedTransactions.has(transactionId) || usedReceipts.has(receiptId)) return;
+        usedTransactions.add(transactionId);
+        usedReceipts.add(receiptId);
+        matches.push({ transaction, receipt: receipts[index], index, score: null, manual: true });
+    });
+
+    const candidates = [];
+    transactions.forEach(transaction => {
+        if (usedTransactions.has(transaction.id)) return;
+        receipts.forEach((receipt, index) => {
+            if (usedReceipts.has(receipt.id) || rejected.has(pairKey(transaction.id, receipt.id))) return;
+            const score = matchScore(transaction, receipt, options);
+            if (score !== null) candidates.push({ transaction, receipt, index, score });
+        });
+    });
+    candidates
+        .sort((a, b) => b.score - a.score)
+        .forEach(candidate => {
+            if (usedTransactions.has(candidate.transaction.id) || usedReceipts.has(candidate.receipt.id)) return;
+            usedTransactions.add(candidate.transaction.id);
+            usedReceipts.add(candidate.receipt.id);
+            matches.push({ ...candidate, manual: false });
+        });
+
+    return {
+        matches: matches.sort((a, b) => String(a.transaction.date).localeCompare(String(b.transaction.date))),
+        unmatchedTransactions: transactions.filter(transaction => !usedTransactions.has(transaction.id)),
+        unmatchedReceipts: receipts.map((receipt, index) => ({ receipt, index })).filter(({ receipt }) => !usedReceipts.has(receipt.id))
+    };
+};
+
+const REPORT_COLUMNS = ['Status', 'Match', 'Statement Date', 'Statement Description', 'Charge', 'Charge Currency', 'Receipt Date', 'Company', 'Receipt Total', 'Receipt Currency', 'Receipt File'];
+
+// Reconciliation report as CSV: matched pairs, then charges without a receipt, then receipts
+// without a charge
+export const reconciliationReportCsv = (result, reportingCurrency) => {
+    const chargeCells = (transaction) => [transaction.date, transaction.description, transaction.amount.toFixed(2), transaction.currency];
+    const receiptCells = (receipt) => [
+        receipt.date,
+        receipt.companyName,
+        (Number(receipt.cost) || 0).toFixed(2),
+        normalizeCurrencyCode(receipt.currency, reportingCurrency),
+        receipt.originalFileName || ''
+    ];
+    const rows = [
+        REPORT_COLUMNS,
+        ...result.matches.map(({ transaction, receipt, manual }) => ['Matched', manual ? 'Manual' : 'Automatic', ...chargeCells(transaction), ...receiptCells(receipt)]),
+        ...result.unmatchedTransactions.map(transaction => ['Missing receipt', '', ...chargeCells(transaction), '', '', '', '', '']),
+        ...result.unmatchedReceipts.map(({ receipt }) => ['No matching charge', '', '', '', '', '', ...receiptCells(receipt)])
+    ];
+    return `${rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n')}\r\n`;
+};
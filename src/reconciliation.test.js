@@ -0,0 +1,153 @@
+import { parseStatement, nameSimilarity, reconcile, reconciliationReportCsv } from './reconciliation';
+
+describe('parseStatement (CSV)', () => {
+    it('reads a bank export with negative charges and leaves out the credits', () => {
+        const csv = [
+            'Date,Description,Amount',
+            '03/04/2024,STARBUCKS 123,-12.50',
+            '05/04/2024,SALARY,2500.00',
+            '06/04/2024,"UBER *TRIP, HELP.UBER.COM",-23.10'
+        ].join('\n');
+        const { transactions, creditCount } = parseStatement(csv, 'statement.csv', { defaultCurrency: 'EUR' });
+        expect(transactions).toEqual([
+            { id: 'csv-2', date: '2024-03-04', description: 'STARBUCKS 123', amount: 12.5, currency: 'EUR' },
+            { id: 'csv-4', date: '2024-06-04', description: 'UBER *TRIP, HELP.UBER.COM', amount: 23.1, currency: 'EUR' }
+        ]);
+        expect(creditCount).toBe(1);
+    });
+
+    it('takes positive amounts as the charges of a card export where most rows are positive', () => {
+        const csv = [
+            'Transaction Date,Merchant,Amount',
+            '2024-03-01,Cafe A,4.50',
+            '2024-03-02,Cafe B,6.00',
+            '2024-03-03,PAYMENT THANK YOU,-100.00'
+        ].join('\n');
+        const { transactions, creditCount } = parseStatement(csv, 'card.csv', { defaultCurrency: 'USD' });
+        expect(transactions.map(transaction => [transaction.description, transaction.amount])).toEqual([['Cafe A', 4.5], ['Cafe B', 6]]);
+        expect(creditCount).toBe(1);
+    });
+
+    it('reads separate debit and credit columns', () => {
+        const csv = [
+            'Date;Details;Debit;Credit',
+            '2024-03-01;Lunch;15,00;',
+            '2024-03-02;Refund;;5,00'
+        ].join('\n');
+        const { transactions, creditCount } = parseStatement(csv, 'bank.csv', { defaultCurrency: 'EUR' });
+        expect(transactions).toHaveLength(1);
+        expect(transactions[0]).toMatchObject({ description: 'Lunch', amount: 15 });
+        expect(creditCount).toBe(1);
+    });
+
+    it('detects day-first dates when a day is above 12', () => {
+        const csv = ['Date,Description,Amount', '03/04/2024,A,-1.00', '25/04/2024,B,-2.00'].join('\n');
+        const { transactions } = parseStatement(csv, 'statement.csv', {});
+        expect(transactions.map(transaction => transaction.date)).toEqual(['2024-04-03', '2024-04-25']);
+    });
+
+    it('reads ambiguous dates month first unless told otherwise', () => {
+        const csv = ['Date,Description,Amount', '03/04/2024,A,-1.00'].join('\n');
+        expect(parseStatement(csv, 'statement.csv', {}).transactions[0].date).toBe('2024-03-04');
+        expect(parseStatement(csv, 'statement.csv', { dateOrder: 'dmy' }).transactions[0].date).toBe('2024-04-03');
+    });
+
+    it('reads dates with month names and leaves unreadable dates empty', () => {
+        const csv = ['Date,Description,Amount', '31 Mar 2024,A,-1.00', '"Mar 30, 2024",B,-2.00', 'yesterday,C,-3.00'].join('\n');
+        expect(parseStatement(csv, 'statement.csv', {}).transactions.map(transaction => transaction.date)).toEqual(['2024-03-31', '2024-03-30', '']);
+    });
+
+    it('reads decimal commas, thousands separators and DR/CR or bracketed signs', () => {
+        const csv = [
+            'Date;Description;Amount',
+            '2024-03-01;A;-1.234,56',
+            '2024-03-02;B;-12,5',
+            '2024-03-03;C;(1,234.50)',
+            '2024-03-04;D;99.00 DR',
+            '2024-03-05;E;10.00 CR'
+        ].join('\n');
+        const { transactions, creditCount } = parseStatement(csv, 'statement.csv', {});
+        expect(transactions.map(transaction => transaction.amount)).toEqual([1234.56, 12.5, 1234.5, 99]);
+        expect(creditCount).toBe(1);
+    });
+
+    it('uses the currency column when there is one', () => {
+        const csv = ['Date,Description,Amount,Currency', '2024-03-01,A,-5.00,gbp'].join('\n');
+        expect(parseStatement(csv, 'statement.csv', { defaultCurrency: 'USD' }).transactions[0].currency).toBe('GBP');
+    });
+
+    it('throws on a CSV without a date column or without charges', () => {
+        expect(() => parseStatement('Description,Amount\nA,-1.00', 'statement.csv', {})).toThrow('date column');
+        expect(() => parseStatement('Date,Description\n2024-03-01,A', 'statement.csv', {})).toThrow('amount column');
+        expect(() => parseStatement('Date,Description,Amount\n2024-03-01,A,0', 'statement.csv', {})).toThrow('No charges');
+    });
+});
+
+describe('parseStatement (OFX)', () => {
+    const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>SGD
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240315120000[+8:SGT]<TRNAMT>-42.80<FITID>T1<NAME>TEA &amp; CO<MEMO>POS
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240316<TRNAMT>100.00<FITID>T2<NAME>TRANSFER
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+    it('reads the debits as charges in the statement currency', () => {
+        const { transactions, creditCount } = parseStatement(ofx, 'march.qfx', { defaultCurrency: 'USD' });
+        expect(transactions).toEqual([{ id: 'T1', date: '2024-03-15', description: 'TEA & CO POS', amount: 42.8, currency: 'SGD' }]);
+        expect(creditCount).toBe(1);
+    });
+
+    it('is recognised by its content whatever the file name', () => {
+        expect(parseStatement(ofx, 'download.txt', {}).transactions).toHaveLength(1);
+    });
+});
+
+describe('nameSimilarity', () => {
+    it('ignores legal forms and card noise', () => {
+        expect(nameSimilarity('SQ *BLUE BOTTLE COFFEE', 'Blue Bottle Coffee Inc.')).toBe(1);
+    });
+
+    it('is 0 for unknown company names', () => {
+        expect(nameSimilarity('STARBUCKS', 'N/A')).toBe(0);
+    });
+});
+
+describe('reconcile', () => {
+    const transactions = [
+        { id: 't1', date: '2024-03-02', description: 'STARBUCKS 123', amount: 12.5, currency: 'USD' },
+        { id: 't2', date: '2024-03-10', description: 'HOTEL PARIS', amount: 110, currency: 'USD' },
+        { id: 't3', date: '2024-03-20', description: 'TAXI', amount: 30, currency: 'USD' }
+    ];
+    const receipts = [
+        { id: 'r1', date: '2024-03-01', companyName: 'Starbucks', cost: 12.5, currency: 'USD' },
+        { id: 'r2', date: '2024-03-10', companyName: 'Hotel Paris', cost: 100, currency: 'EUR' },
+        { id: 'r3', date: '2024-03-28', companyName: 'Taxi', cost: 30, currency: 'USD' }
+    ];
+    const options = { reportingCurrency: 'USD', rates: { EUR: 1.1 } };
+
+    it('matches by amount, date tolerance and converted amounts', () => {
+        const result = reconcile(transactions, receipts, options);
+        expect(result.matches.map(match => [match.transaction.id, match.receipt.id, match.manual])).toEqual([['t1', 'r1', false], ['t2', 'r2', false]]);
+        expect(result.unmatchedTransactions.map(transaction => transaction.id)).toEqual(['t3']);
+        expect(result.unmatchedReceipts).toEqual([{ receipt: receipts[2], index: 2 }]);
+    });
+
+    it('keeps manual pairs and does not propose rejected ones again', () => {
+        const result = reconcile(transactions, receipts, {
+            ...options,
+            manualPairs: [{ transactionId: 't3', receiptId: 'r3' }],
+            rejectedPairs: [{ transactionId: 't1', receiptId: 'r1' }]
+        });
+        expect(result.matches.map(match => [match.transaction.id, match.receipt.id, match.manual])).toEqual([['t2', 'r2', false], ['t3', 'r3', true]]);
+        expect(result.unmatchedTransactions.map(transaction => transaction.id)).toEqual(['t1']);
+    });
+
+    it('writes a report with a row per match, missing receipt and unmatched receipt', () => {
+        const csv = reconciliationReportCsv(reconcile(transactions, receipts, options), 'USD');
+        const rows = csv.trim().split('\r\n');
+        expect(rows).toHaveLength(5);
+        expect(rows[1]).toBe('Matched,Automatic,2024-03-02,STARBUCKS 123,12.50,USD,2024-03-01,Starbucks,12.50,USD,');
+        expect(rows[3]).toBe('Missing receipt,,2024-03-20,TAXI,30.00,USD,,,,,');
+        expect(rows[4]).toBe('No matching charge,,,,,,2024-03-28,Taxi,30.00,USD,');
+    });
+});
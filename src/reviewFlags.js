@@ -0,0 +1,113 @@
+// Fields of an extracted receipt that deserve a second look: values the extraction wasn't sure
+// about, and values that look wrong whatever the confidence (a date in the future or that can't
+// be parsed, a total of 0, values that weren't found, a meal type that doesn't match the time
+// printed on the receipt).
+// The extraction returns confidence as { field: 0-1 }; receipts store it as fieldConfidence.
+
+import { isValidIsoDate } from './fieldValidation';
+import { SYNC_STATUS } from './offlineSync';
+
+// Fields the extraction rates its confidence for, which are also the highlighted table columns: [field, label]
+export const CONFIDENCE_FIELDS = [
+    ['date', 'Date'],
+    ['companyName', 'Company'],
+    ['category', 'Category'],
+    ['mealType', 'Meal type'],
+    ['currency', 'Currency'],
+    ['cost', 'Total']
+];
+
+// Values the extraction is less sure about than this are flagged
+export const LOW_CONFIDENCE = 0.7;
+
+// Turn the confidence of an extraction result into fieldConfidence, dropping invalid values.
+// Some models answer in percent, so values above 1 are scaled down.
+export const extractFieldConfidence = (result) => {
+    const fieldConfidence = {};
+    const raw = result && result.confidence;
+    if (!raw || typeof raw !== 'object') return fieldConfidence;
+    CONFIDENCE_FIELDS.forEach(([field]) => {
+        if (raw[field] === undefined || raw[field] === null) return;
+        const value = Number(raw[field]);
+        if (!Number.isFinite(value) || value < 0) return;
+        fieldConfidence[field] = value > 1 ? Math.min(value / 100, 1) : value;
+    });
+    return fieldConfidence;
+};
+
+// Hour of the day (with minutes as a fraction) of a printed time such as '12:45', '7:30 PM'
+// or '19:05:12', or null when it isn't a time
+export const parseReceiptTime = (text) => {
+    const match = /^(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?\s*([ap]\.?m\.?)?$/i.exec(String(text || '').trim());
+    if (!match) return null;
+    let hour = +match[1];
+    const minutes = +match[2];
+    const meridiem = (match[3] || '').charAt(0).toLowerCase();
+    if (minutes > 59 || hour > 23 || (meridiem && (hour === 0 || hour > 12))) return null;
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    return hour + minutes / 60;
+};
+
+// Hours a meal type is plausible at, [from, to); dinner runs past midnight
+const MEAL_HOURS = {
+    Lunch: [10.5, 16],
+    Dinner: [16.5, 2]
+};
+
+const withinHours = (hour, [from, to]) => (from <= to ? hour >= from && hour < to : hour >= from || hour < to);
+
+const isMissing = (value) => value === undefined || value === null || String(value).trim() === '' || String(value).trim().toUpperCase() === 'N/A';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Today as YYYY-MM-DD in local time
+const localDate = (now) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+// Problems found in each field of a receipt: { field: [message] }. Receipts still waiting for
+// extraction only have placeholder values, so they aren't checked.
+export const findReviewIssues = (receipt, now = new Date()) => {
+    const issues = {};
+    if (receipt.syncStatus === SYNC_STATUS.PENDING || receipt.syncStatus === SYNC_STATUS.SYNCING || receipt.syncStatus === SYNC_STATUS.FAILED) {
+        return issues;
+    }
+    const add = (field, message) => {
+        issues[field] = (issues[field] || []).concat(message);
+    };
+
+    const fieldConfidence = receipt.fieldConfidence || {};
+    CONFIDENCE_FIELDS.forEach(([field, label]) => {
+        const confidence = fieldConfidence[field];
+        if (typeof confidence === 'number' && confidence < LOW_CONFIDENCE) {
+            add(field, `${label}: low confidence (${Math.round(confidence * 100)}%)`);
+        }
+    });
+
+    if (isMissing(receipt.date)) {
+        add('date', 'Date: not found on the receipt');
+    } else if (!isValidIsoDate(String(receipt.date))) {
+        add('date', `Date: "${receipt.date}" is not a valid date`);
+    } else if (receipt.date > localDate(now)) {
+        add('date', 'Date: in the future');
+    }
+
+    ['companyName', 'category', 'currency'].forEach(field => {
+        if (isMissing(receipt[field])) {
+            add(field, `${CONFIDENCE_FIELDS.find(([name]) => name === field)[1]}: not found on the receipt`);
+        }
+    });
+
+    if (!(Number(receipt.cost) > 0)) {
+        add('cost', 'Total: is 0');
+    }
+
+    const hour = parseReceiptTime(receipt.receiptTime);
+    if (hour !== null && MEAL_HOURS[receipt.mealType] && !withinHours(hour, MEAL_HOURS[receipt.mealType])) {
+        add('mealType', `Meal type: ${receipt.mealType} doesn't match the time on the receipt (${receipt.receiptTime})`);
+    }
+
+    return issues;
+};
+
+// Whether a receipt belongs in the "needs review" queue: it has issues and hasn't been approved yet
+export const needsReview = (receipt, issues) => !receipt.reviewed && Object.keys(issues).length > 0;
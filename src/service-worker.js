@@ -0,0 +1,33 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker that makes the dashboard usable offline. The build (react-scripts with
+// workbox-webpack-plugin) injects the list of app files into self.__WB_MANIFEST; they are
+// precached, so the app shell, the styles and fonts, the lazily loaded library chunks and the
+// pdf.js and Tesseract.js workers all load without a connection. Nothing is loaded from a CDN.
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+clientsClaim();
+
+// The OCR language data is copied into public/ rather than bundled, so it is added by hand;
+// its revision changes with the language data version in scripts/copy-ocr-data.js
+precacheAndRoute([
+    ...self.__WB_MANIFEST,
+    { url: `${process.env.PUBLIC_URL}/tessdata/eng.traineddata.gz`, revision: 'eng-4.0.0_best_int' }
+]);
+
+// Every navigation is answered with the cached index.html
+registerRoute(new NavigationRoute(createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)));
+
+// The icons in public/ aren't in the build manifest either; they are cached the first time they load
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(png|ico)$/.test(url.pathname),
+    new CacheFirst({
+        cacheName: 'icons',
+        plugins: [new ExpirationPlugin({ maxEntries: 20 })]
+    })
+);
@@ -0,0 +1,15 @@
+// Registration of the offline service worker (src/service-worker.js). Only production builds
+// have one; in development it would serve stale files while editing.
+
+export const registerServiceWorker = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+    // The app may be served from a sub-path (see "homepage" in package.json)
+    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    if (publicUrl.origin !== window.location.origin) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(registrationError => {
+            console.error('Service worker registration failed:', registrationError);
+        });
+    });
+};
@@ -0,0 +1,121 @@
+// IndexedDB-backed storage for receipt sessions.
+// Each session is stored as a single record: { id, name, receipts, createdAt, updatedAt }.
+// Receipts are stored as-is, including originalFileData and geminiImageData, so a
+// restored session can still be previewed and downloaded.
+
+import { generateId } from './ids';
+
+const DB_NAME = 'receipt-scanner';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const ACTIVE_SESSION_KEY = 'receipt-scanner.activeSessionId';
+
+let dbPromise = null;
+
+// Open (and upgrade if needed) the database. The connection is shared across calls.
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+};
+
+// Run a single request against the session store and resolve with its result
+const runRequest = async (mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SESSION_STORE, mode);
+        const request = makeRequest(tx.objectStore(SESSION_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+// List all sessions without their receipts, oldest first
+export const listSessions = async () => {
+    const sessions = await runRequest('readonly', store => store.getAll());
+    return sessions
+        .map(({ id, name, createdAt, updatedAt, receipts }) => ({
+            id, name, createdAt, updatedAt, receiptCount: receipts ? receipts.length : 0
+        }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Load a full session (including receipts). Resolves with undefined if it does not exist.
+export const loadSession = (id) => runRequest('readonly', store => store.get(id));
+
+const newSession = (name) => {
+    const now = Date.now();
+    return { id: generateId(), name, receipts: [], createdAt: now, updatedAt: now };
+};
+
+// Create a new, empty session and return it
+export const createSession = async (name) => {
+    const session = newSession(name);
+    await runRequest('readwrite', store => store.put(session));
+    return session;
+};
+
+// Create an empty session when there are none yet. Counting and creating share one transaction,
+// so two calls at once (e.g. an effect run twice by StrictMode) create only one session.
+export const createSessionIfNone = (name) => runRequest('readwrite', store => {
+    const request = store.count();
+    request.onsuccess = () => {
+        if (request.result === 0) store.put(newSession(name));
+    };
+    return request;
+});
+
+// Merge changes into an existing session. The read and the write share one transaction, so a
+// save can't write back a name that a rename changed in between (or the other way round).
+const updateSession = (id, changes) => runRequest('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...changes, updatedAt: Date.now() });
+    };
+    return request;
+});
+
+// Replace the receipts of an existing session
+export const saveSessionReceipts = async (id, receipts) => {
+    await updateSession(id, { receipts });
+};
+
+export const renameSession = async (id, name) => {
+    await updateSession(id, { name });
+};
+
+export const deleteSession = (id) => runRequest('readwrite', store => store.delete(id));
+
+// The active session id is kept in localStorage so it survives a refresh
+export const getActiveSessionId = () => {
+    try {
+        return window.localStorage.getItem(ACTIVE_SESSION_KEY);
+    } catch (e) {
+        return null;
+    }
+};
+
+export const setActiveSessionId = (id) => {
+    try {
+        window.localStorage.setItem(ACTIVE_SESSION_KEY, id);
+    } catch (e) {
+        // localStorage may be unavailable (e.g. private mode); the session still works for this page load
+    }
+};
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+
+// Small JSON settings store on top of localStorage for preferences shared by all
+// sessions (reporting currency, exchange rates, ...).
+
+const SETTINGS_PREFIX = 'receipt-scanner.settings.';
+
+export const loadSetting = (name, defaultValue) => {
+    try {
+        const stored = window.localStorage.getItem(SETTINGS_PREFIX + name);
+        return stored === null ? defaultValue : JSON.parse(stored);
+    } catch (e) {
+        return defaultValue;
+    }
+};
+
+export const saveSetting = (name, value) => {
+    try {
+        window.localStorage.setItem(SETTINGS_PREFIX + name, JSON.stringify(value));
+    } catch (e) {
+        // localStorage may be full or unavailable; the setting still applies for this page load
+    }
+};
+
+// useState that is initialised from, and saved back to, a stored setting
+export const useSetting = (name, defaultValue) => {
+    const [value, setValue] = useState(() => loadSetting(name, defaultValue));
+    useEffect(() => {
+        saveSetting(name, value);
+    }, [name, value]);
+    return [value, setValue];
+};
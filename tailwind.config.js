@@ -0,0 +1,8 @@
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+    content: ['./src/**/*.js', './public/index.html'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};